@@ -30,12 +30,34 @@ function uglify(srcPath, distPath) {
 
 var libFiles = [
    '../src/util.js',
+   '../src/Iterator.js',
+   '../src/Observable.js',
    '../src/Iterable.js',
+   '../src/View.js',
    '../src/Sequence.js',
    '../src/List.js',
+   '../src/LiveList.js',
+   '../src/PersistentList.js',
    '../src/Map.js',
+   '../src/PersistentMap.js',
    '../src/Set.js',
    '../src/ArrayMap.js',
+   '../src/SortedMap.js',
+   '../src/SortedSet.js',
+   '../src/Combinatorics.js',
+   '../src/MultiMap.js',
+   '../src/MultiSet.js',
+   '../src/BiMap.js',
+   '../src/CacheMap.js',
+   '../src/Deque.js',
+   '../src/PriorityQueue.js',
+   '../src/LinkedList.js',
+   '../src/LinkedMap.js',
+   '../src/TrieMap.js',
+   '../src/IntervalTree.js',
+   '../src/RangeSet.js',
+   '../src/History.js',
+   '../src/Transaction.js',
 ];
 
 // Browser global + Node build
@@ -11,7 +11,7 @@
 * linked list to better fit Javascript and its ubiquitous Array.
 * Using an Array provides the advantage of having a ready Array at all time instead of having to repeatedly build it from scratch.
 * Numerous frameworks/libs take an Array as input to do their work; An Array is also JSON friendly, unlike a linked list.
-* The disadvantage is that key removals become O(log n) instead of O(1).
+* The disadvantage is that key removals become O(log n) instead of O(1); LinkedMap makes the opposite tradeoff.
 */
 var ArrayMap = createType('ArrayMap', Iterable);
 
@@ -54,8 +54,19 @@ ArrayMap.prototype.put = function(key, value) {
    var previousValue = this._map.put(key, value);
    var entry = this._map.addedEntry;
 
-   if (previousValue === undefined) this._addEntryItem(entry);
-   else entry.value = value;
+   if (previousValue === undefined) {
+      this._addEntryItem(entry);
+      this._notify({type: 'add', index: this.items.length - 1, key: key, value: value});
+   }
+   else {
+      entry.value = value;
+      if (this._observers && previousValue !== value) {
+         this._notify({type: 'update', index: this._entryIndex(entry), key: entry.key,
+            oldValue: previousValue, newValue: value});
+      }
+      // Without listeners, the index of the entry is not worth looking for.
+      else this._version++;
+   }
    
    return previousValue;
 };
@@ -66,8 +77,11 @@ ArrayMap.prototype.put = function(key, value) {
 ArrayMap.prototype.remove = function(key) {
    var value = this._map.remove(key);
 
-   if (value !== undefined)
-      this._removeEntryItem(this._map.removedEntry);
+   if (value !== undefined) {
+      var entry = this._map.removedEntry;
+      var index = this._removeEntryItem(entry);
+      this._notify({type: 'remove', index: index, key: entry.key, oldValue: value});
+   }
    
    return value;
 };
@@ -76,13 +90,13 @@ ArrayMap.prototype.remove = function(key) {
 * Removes all key-value mappings satisfying a predicate.
 */
 ArrayMap.prototype.removeIf = function(predicate) {
-   for (var i = 0; i < this.items.length; i++) {
-      var entry = this.items[i];
-      if (predicate(entry.key, entry.value)) {
-         this.remove(entry.key);
-         i--;
-      }
-   }
+   var map = this._map;
+   var result = removeMatching(this.items, function(entry) {
+      if (!predicate(entry.key, entry.value)) return false;
+      map.remove(entry.key);
+      return true;
+   });
+   if (result.record) this._notify(result.record);
    return this;
 };
 
@@ -90,8 +104,10 @@ ArrayMap.prototype.removeIf = function(predicate) {
 * Removes all key-value mappings from this map.
 */
 ArrayMap.prototype.removeAll = function() {
+   var removed = this.items;
    this._map.removeAll();
    this.items = [];
+   if (removed.length) this._notify({type: 'splice', index: 0, removed: removed, added: []});
    return this;
 };
 
@@ -111,8 +127,10 @@ ArrayMap.prototype.getOrPut = function(key, defaultValue) {
    var previousValue = this.get(key);
    var newValue = this._map.getOrPut(key, defaultValue);
 
-   if (previousValue !== newValue)
+   if (previousValue !== newValue) {
       this._addEntryItem(this._map.addedEntry);
+      this._notify({type: 'add', index: this.items.length - 1, key: key, value: newValue});
+   }
    
    return newValue;
 };
@@ -137,7 +155,7 @@ ArrayMap.prototype.containsValue = function(value) {
 * as it's faster.
 */
 ArrayMap.prototype.keys = function() {
-   var keys = Seq(this.items).map(function(entry) {
+   var keys = Seq(this._items()).map(function(entry) {
       return entry.key;
    });
    return List.fromArray(keys);
@@ -149,12 +167,65 @@ ArrayMap.prototype.keys = function() {
 * as it's faster.
 */
 ArrayMap.prototype.values = function() {
-   var values = Seq(this.items).map(function(entry) {
+   var values = Seq(this._items()).map(function(entry) {
       return entry.value;
    });
    return List.fromArray(values);
 };
 
+/*
+* Returns a read-only List of all the values of this map, in the order their keys were inserted,
+* which is kept in sync with this map. See LiveList.
+*/
+ArrayMap.prototype.liveValues = function() {
+   return LiveList(this, this.values().items, function(record) {
+      switch (record.type) {
+         case 'add':
+            this._splice(record.index, 0, [record.value]);
+            break;
+         case 'update':
+            this._update(record.index, record.newValue);
+            break;
+         case 'remove':
+            this._splice(record.index, 1, []);
+            break;
+         case 'splice':
+            var added = [];
+            for (var i = 0, length = record.added.length; i < length; i++) added.push(record.added[i].value);
+            this._splice(record.index, record.removed.length, added);
+      }
+   });
+};
+
+/*
+* Returns an iterator over the [key, value] pairs of this map, in the order they were inserted.
+* This makes it possible to create an ES2015 Map from an ArrayMap: new window.Map(arrayMap).
+*/
+ArrayMap.prototype[iteratorSymbol] = function() {
+   return this.entriesIterator();
+};
+
+/*
+* Returns an iterator over the keys of this map, in the order they were inserted.
+*/
+ArrayMap.prototype.keysIterator = function() {
+   return arrayIterator(this._items(), function(entry) {return entry.key});
+};
+
+/*
+* Returns an iterator over the values of this map, in the order their keys were inserted.
+*/
+ArrayMap.prototype.valuesIterator = function() {
+   return arrayIterator(this._items(), function(entry) {return entry.value});
+};
+
+/*
+* Returns an iterator over the [key, value] pairs of this map, in the order they were inserted.
+*/
+ArrayMap.prototype.entriesIterator = function() {
+   return arrayIterator(this._items(), function(entry) {return [entry.key, entry.value]});
+};
+
 /*
 * Same as Iterable's sorted but sort the map based on its keys.
 */
@@ -188,25 +259,65 @@ ArrayMap.prototype._sortBy = function(field, options) {
    return Iterable.prototype.sorted.call(this, options);
 };
 
+/*
+* Returns a transient version of this map: A copy of this map to apply many modifications to,
+* then frozen in place by calling its persistent() method.
+*/
+ArrayMap.prototype.asTransient = function() {
+   var copy = ArrayMap.withKey(this._map.getId);
+   var map = copy._map = this._map.asTransient();
+   // The items share their entries with the underlying map.
+   for (var i = 0, length = this.items.length; i < length; i++) {
+      copy._addEntryItem(map.keyIdToEntry[map.getId(this.items[i].key)]);
+   }
+   return makeTransient(copy);
+};
+
+/*
+* Applies the modifications made by a function to a transient version of this map and returns it, frozen:
+* Any further call to one of its mutating methods throws an Error and its items Array cannot be modified.
+*/
+ArrayMap.prototype.withMutations = withMutations;
+
+/*
+* Makes this map read-only: Any further call to one of its mutating methods throws an Error
+* and its items Array is frozen. Returns this map.
+*/
+ArrayMap.prototype.freeze = function() {
+   this._map.freeze();
+   return freeze(this, this.items);
+};
+
+makeObservable(ArrayMap);
+
+ArrayMap.prototype._mutators = Map.prototype._mutators;
+
 /*
 * Adds the specified entry to the items Array.
 */
 ArrayMap.prototype._addEntryItem = function(entry) {
    this.items.push(entry);
-   this._setMeta(entry);
+   this._setMeta(entry, this.items.length - 1);
 };
 
 /*
-* Removes the specified entry from the items Array.
+* Removes the specified entry from the items Array and returns the index it was found at.
 */
 ArrayMap.prototype._removeEntryItem = function(entry) {
+   var entryIndex = this._entryIndex(entry);
+   this.items.splice(entryIndex, 1);
+   return entryIndex;
+};
+
+/*
+* Returns the current index of the specified entry in the items Array.
+*/
+ArrayMap.prototype._entryIndex = function(entry) {
    var maxIndex = Math.min(entry.meta.insertionIndex, this.items.length - 1);
 
-   var entryIndex = (maxIndex < 10)
+   return (maxIndex < 10)
       ? this._entryIndexLinearSearch(entry, maxIndex)
       : this._entryIndexBinarySearch(entry, maxIndex);
-
-   this.items.splice(entryIndex, 1);
 };
 
 ArrayMap.prototype._entryIndexLinearSearch = function(entry, maxIndex) {
@@ -229,20 +340,41 @@ ArrayMap.prototype._entryIndexBinarySearch = function(entry, maxIndex) {
 };
 
 /*
-* Associates some information with the entry to later help remove it more efficiently.
+* Associates some information with the entry located at the specified index to later help remove it more efficiently.
+* The insertion indices of the entries are strictly increasing and never lower than the current index of the entry,
+* so that the entry can be found using a binary search.
 * The actual metadatas are stored in a function so that it's ignored during JSON serialization.
 */
-ArrayMap.prototype._setMeta = function(entry) {
+ArrayMap.prototype._setMeta = function(entry, index) {
+   var previous = this.items[index - 1];
    entry.meta = function() {};
-   entry.meta.insertionIndex = this.items.length - 1;
+   entry.meta.insertionIndex = previous ? previous.meta.insertionIndex + 1 : index;
+};
+
+/*
+* Adds a value for a new key at a specific index rather than at the last position.
+* This is used to restore the position of a removed key, e.g when undoing a modification.
+*/
+ArrayMap.prototype._putAt = function(key, value, index) {
+   if (this.containsKey(key)) return this.put(key, value);
+
+   this._map.put(key, value);
+   var entry = this._map.addedEntry, items = this.items;
+   items.splice(index, 0, entry);
+   this._setMeta(entry, index);
+
+   // The following entries moved one step further: Shift their insertion indices till they are increasing again.
+   for (var i = index + 1; i < items.length && items[i].meta.insertionIndex <= items[i - 1].meta.insertionIndex; i++) {
+      items[i].meta.insertionIndex = items[i - 1].meta.insertionIndex + 1;
+   }
+
+   this._notify({type: 'add', index: index, key: key, value: value});
+   return undefined;
 };
 
 // Iterable overrides
   
-ArrayMap.prototype._invoke = function(func, forIndex, extraParam) {
-   var entry = this.items[forIndex];
-   return func(entry.key, entry.value, extraParam);
-};
+ArrayMap.prototype._invokeItem = Map.prototype._invokeItem;
 
 ArrayMap.prototype._createNew = function(array) {
    var map = ArrayMap.withKey(this._map.getId);
@@ -0,0 +1,259 @@
+/*
+* A map whose values are unique as well as its keys, so that it can be looked up in both directions.
+*
+* The map is built on two Maps: One from the keys to the values and one from the values to the keys,
+* each with its own key function; See BiMap.withKeys().
+* inverse() returns a BiMap sharing these two Maps the other way around, so that both stay consistent.
+*/
+var BiMap = createType('BiMap');
+
+/*
+* Creates a new BiMap using the specified tuple Array.
+*/
+BiMap.fromArray = function(array) {
+   var map = BiMap();
+   addAll(map, array);
+   return map;
+};
+
+/*
+* Creates a new BiMap using a key function for its keys and another one for its values,
+* as opposed to using reference equality. Either function can be null to use reference equality.
+*/
+BiMap.withKeys = function(keyFunction, valueFunction) {
+   var args = keyArgs(keyFunction || getId, slice.call(arguments, 2));
+   args.valueFunction = valueFunction || getId;
+   return BiMap(args);
+};
+
+BiMap.prototype._init = function() {
+   var valueFunction = (arguments[0] && arguments[0].isKeyArgs) ? arguments[0].valueFunction : getId;
+
+   this._forward = Map.withKey(getKeyFunction(arguments));
+   this._backward = Map.withKey(valueFunction);
+
+   initPairs(this, getArgs(arguments));
+};
+
+/*
+* The Map from the keys to the values, and the Map from the values to the keys.
+*/
+BiMap.prototype._forward = null;
+BiMap.prototype._backward = null;
+
+BiMap.prototype._inverse = null;
+
+/*
+* Adds a value for the specified key.
+* Returns the previous value mapped for this key, or undefined if the key is new.
+* Throws an Error if the value is already mapped to another key; Use forcePut to replace that mapping.
+*/
+BiMap.prototype.put = function(key, value) {
+   var currentKey = this._backward.get(value);
+   if (currentKey !== undefined && !this._sameKey(currentKey, key)) {
+      throw new Error('The value ' + value + ' is already mapped to the key ' + currentKey);
+   }
+   return this._put(key, value);
+};
+
+/*
+* Same as put, but removes the mapping of the value to another key first, if any.
+*/
+BiMap.prototype.forcePut = function(key, value) {
+   var currentKey = this._backward.get(value);
+   if (currentKey !== undefined && !this._sameKey(currentKey, key)) this.remove(currentKey);
+   return this._put(key, value);
+};
+
+/*
+* Returns the value associated with the specified key, or undefined.
+*/
+BiMap.prototype.get = function(key) {
+   return this._forward.get(key);
+};
+
+/*
+* Returns the key associated with the specified value, or undefined.
+*/
+BiMap.prototype.getKey = function(value) {
+   return this._backward.get(value);
+};
+
+/*
+* Removes the specified key and returns the value it was mapped to.
+*/
+BiMap.prototype.remove = function(key) {
+   var value = this._forward.remove(key);
+   if (value !== undefined) this._backward.remove(value);
+   return value;
+};
+
+/*
+* Removes the specified value and returns the key it was mapped to.
+*/
+BiMap.prototype.removeValue = function(value) {
+   return this.inverse().remove(value);
+};
+
+/*
+* Removes all key-value mappings satisfying a predicate.
+*/
+BiMap.prototype.removeIf = function(predicate) {
+   var backward = this._backward;
+   this._forward.removeIf(function(key, value) {
+      if (!predicate(key, value)) return false;
+      backward.remove(value);
+      return true;
+   });
+   return this;
+};
+
+/*
+* Removes all key-value mappings from this map.
+*/
+BiMap.prototype.removeAll = function() {
+   this._forward.removeAll();
+   this._backward.removeAll();
+   return this;
+};
+
+/*
+* Tests whether this map contains a binding for this key.
+*/
+BiMap.prototype.containsKey = function(key) {
+   return this._forward.containsKey(key);
+};
+
+/*
+* Tests whether this map contains this value. Unlike Map's, this is O(1).
+*/
+BiMap.prototype.containsValue = function(value) {
+   return this._backward.containsKey(value);
+};
+
+/*
+* Returns the inverse of this map, mapping the values to the keys.
+* The inverse is a live view: The modifications made to one are visible in the other.
+*/
+BiMap.prototype.inverse = function() {
+   if (!this._inverse) {
+      var inverse = BiMap();
+      inverse._forward = this._backward;
+      inverse._backward = this._forward;
+      inverse._inverse = this;
+      this._inverse = inverse;
+   }
+   return this._inverse;
+};
+
+/*
+* Returns the number of key-value pairs in this map.
+*/
+BiMap.prototype.size = function() {
+   return this._forward.size();
+};
+
+/*
+* Tests whether this map has no key-value pairs.
+*/
+BiMap.prototype.isEmpty = function() {
+   return this.size() == 0;
+};
+
+/*
+* Returns a List of all the keys of this map, in no particular order.
+*/
+BiMap.prototype.keys = function() {
+   return this._forward.keys();
+};
+
+/*
+* Returns a List of all the values of this map, in no particular order.
+*/
+BiMap.prototype.values = function() {
+   return this._forward.values();
+};
+
+/*
+* Applies a function to all key-value of this map.
+*/
+BiMap.prototype.each = function(callback) {
+   this._forward.each(function(key, value) {callback(key, value)});
+};
+
+/*
+* Converts this map to a List of {key, value} entries.
+*/
+BiMap.prototype.toList = function() {
+   return this._forward.toList();
+};
+
+/*
+* Converts this map to an Array of {key, value} entries.
+*/
+BiMap.prototype.toArray = function() {
+   return this._forward.toArray();
+};
+
+/*
+* Creates a copy of this map, using the same key functions.
+*/
+BiMap.prototype.clone = function() {
+   var clone = BiMap.withKeys(this._forward.getId, this._backward.getId);
+   this.each(function(key, value) {clone._put(key, value)});
+   return clone;
+};
+
+/*
+* Returns a transient version of this map: A copy of this map, using the same key functions, to apply many modifications to,
+* then frozen in place along with its inverse by calling its persistent() method.
+*/
+BiMap.prototype.asTransient = function() {
+   return makeTransient(this.clone());
+};
+
+/*
+* Applies the modifications made by a function to a transient version of this map and returns it, frozen.
+*/
+BiMap.prototype.withMutations = withMutations;
+
+/*
+* Makes this map and its inverse read-only: Any further call to one of their mutating methods throws an Error.
+* Returns this map.
+*/
+BiMap.prototype.freeze = function() {
+   this._forward.freeze();
+   this._backward.freeze();
+   freeze(this.inverse());
+   return freeze(this);
+};
+
+BiMap.prototype._mutators = ['put', 'forcePut', 'remove', 'removeValue', 'removeIf', 'removeAll'];
+BiMap.prototype._liveViews = ['inverse'];
+
+/*
+* Returns an iterator over the [key, value] pairs of this map, in no particular order.
+*/
+BiMap.prototype[iteratorSymbol] = function() {
+   return this._forward.entriesIterator();
+};
+
+BiMap.prototype.toString = function() {
+   return 'BiMap(' + this.toArray().join(', ') + ')';
+};
+
+BiMap.prototype._put = function(key, value) {
+   var previousValue = this._forward.get(key);
+   if (previousValue !== undefined) this._backward.remove(previousValue);
+
+   this._forward.put(key, value);
+   this._backward.put(value, this._forward.addedEntry.key);
+   return previousValue;
+};
+
+BiMap.prototype._sameKey = function(key, otherKey) {
+   return this._forward.getId(key) === this._forward.getId(otherKey);
+};
+
+
+Collection.BiMap = BiMap;
\ No newline at end of file
@@ -0,0 +1,328 @@
+/*
+* A map of limited size evicting its least valuable entries, e.g to memoize expensive computations.
+*
+* Options:
+* maxSize: The maximum number of entries. Defaults to Infinity.
+* policy: 'lru' (the default) evicts the least recently used entry, 'lfu' the least frequently used one
+*         (the least recently used one among those used the least).
+* ttl: The number of milliseconds after which an entry expires, unless another ttl is given to put. Defaults to Infinity.
+* clock: A function returning the current time in milliseconds. Defaults to Date.now; Tests can pass a fake clock.
+* onEvict: A function called with (key, value, reason) when an entry is evicted, the reason being 'capacity' or 'expired'.
+*          Removing an entry explicitly does not call it.
+* key: The key function, as with Map.withKey.
+*
+* The entries are kept in a doubly linked list ordered from the next entry to evict to the most valuable one,
+* so that get, put and remove are O(1) for both policies. Expired entries are removed as they are found, or using prune().
+*/
+var CacheMap = createType('CacheMap');
+
+/*
+* Creates a new CacheMap of unlimited size using the specified tuple Array.
+*/
+CacheMap.fromArray = function(array) {
+   var map = CacheMap();
+   addAll(map, array);
+   return map;
+};
+
+/*
+* Creates a new CacheMap using the specified options.
+*/
+CacheMap.withOptions = function(options) {
+   var pairs = slice.call(arguments, 1);
+   return CacheMap(optionArgs(options, pairs));
+};
+
+/*
+* Creates a new CacheMap of unlimited size which uses a key function to determine whether
+* it contains a binding for a key, as opposed to using reference equality.
+*/
+CacheMap.withKey = function(keyFunction) {
+   var pairs = slice.call(arguments, 1);
+   return CacheMap(optionArgs({key: keyFunction}, pairs));
+};
+
+CacheMap.prototype._init = function() {
+   var options = getOptions(arguments);
+
+   this._nodes = Map.withKey(options.key || getId);
+   this._maxSize = (options.maxSize === undefined) ? Infinity : options.maxSize;
+   this._lfu = (options.policy == 'lfu');
+   this._ttl = (options.ttl === undefined) ? Infinity : options.ttl;
+   this._clock = options.clock || currentTime;
+   this._onEvict = options.onEvict || null;
+   this._frequencyTails = {};
+   this.resetStats();
+
+   initPairs(this, getArgs(arguments));
+};
+
+/*
+* The list nodes by key. Each node holds a key, a value, an expiration time and a number of uses.
+*/
+CacheMap.prototype._nodes = null;
+
+/*
+* The first node of the list (the next one to be evicted) and the last one.
+*/
+CacheMap.prototype._head = null;
+CacheMap.prototype._tail = null;
+
+/*
+* For the 'lfu' policy, the last node of each group of nodes having the same number of uses.
+*/
+CacheMap.prototype._frequencyTails = null;
+
+/*
+* Returns the value associated with the specified key, or undefined.
+* This is a use of the entry and is recorded in the hit/miss statistics.
+*/
+CacheMap.prototype.get = function(key) {
+   var node = this._liveNode(key);
+   if (!node) {
+      this._misses++;
+      return undefined;
+   }
+   this._hits++;
+   this._use(node);
+   return node.value;
+};
+
+/*
+* Same as get, but is not considered a use of the entry and is not recorded in the statistics.
+*/
+CacheMap.prototype.peek = function(key) {
+   var node = this._liveNode(key);
+   return node ? node.value : undefined;
+};
+
+/*
+* Adds a value for the specified key, expiring after ttl milliseconds if specified.
+* Returns the previous value mapped for this key, or undefined if the key is new.
+* Putting a new key in a full map evicts an entry first.
+*/
+CacheMap.prototype.put = function(key, value, ttl) {
+   var expires = this._clock() + (ttl === undefined ? this._ttl : ttl);
+   var node = this._liveNode(key);
+
+   if (node) {
+      var previousValue = node.value;
+      node.value = value;
+      node.expires = expires;
+      this._use(node);
+      return previousValue;
+   }
+
+   if (this._maxSize <= 0) return undefined;
+   if (this._nodes.size() >= this._maxSize) this._evict(this._head, 'capacity');
+
+   this._nodes.put(key, {key: key, value: value, expires: expires, uses: 1, previous: null, next: null});
+   this._insert(this._nodes.addedEntry.value, null);
+   return undefined;
+};
+
+/*
+* If the given key is already in this map, returns the associated value.
+* Otherwise, either use the provided value as is if it's not a function or the result from that function call.
+* The value is then stored with that key and returned.
+*/
+CacheMap.prototype.getOrPut = Map.prototype.getOrPut;
+
+/*
+* Removes and returns the value mapped to the specified key.
+*/
+CacheMap.prototype.remove = function(key) {
+   var node = this._liveNode(key);
+   if (!node) return undefined;
+
+   this._removeNode(node);
+   return node.value;
+};
+
+/*
+* Removes all entries from this map.
+*/
+CacheMap.prototype.removeAll = function() {
+   this._nodes.removeAll();
+   this._head = this._tail = null;
+   this._frequencyTails = {};
+   return this;
+};
+
+/*
+* Removes all the expired entries.
+*/
+CacheMap.prototype.prune = function() {
+   var time = this._clock();
+   for (var node = this._head; node; ) {
+      var next = node.next;
+      if (node.expires <= time) this._evict(node, 'expired');
+      node = next;
+   }
+   return this;
+};
+
+/*
+* Tests whether this map contains a binding for this key. This is not considered a use of the entry.
+*/
+CacheMap.prototype.containsKey = function(key) {
+   return this._liveNode(key) !== null;
+};
+
+/*
+* Returns the number of entries in this map, including the expired entries that were not removed yet; See prune().
+*/
+CacheMap.prototype.size = function() {
+   return this._nodes.size();
+};
+
+/*
+* Tests whether this map has no entries, expired or not.
+*/
+CacheMap.prototype.isEmpty = function() {
+   return this.size() == 0;
+};
+
+/*
+* Returns a List of all the keys of this map, from the next one to be evicted to the most valuable one.
+*/
+CacheMap.prototype.keys = function() {
+   var keys = [];
+   this.each(function(key) {keys.push(key)});
+   return List.fromArray(keys);
+};
+
+/*
+* Returns a List of all the values of this map, in the same order as keys().
+*/
+CacheMap.prototype.values = function() {
+   var values = [];
+   this.each(function(key, value) {values.push(value)});
+   return List.fromArray(values);
+};
+
+/*
+* Applies a function to all key-value of this map, in the same order as keys().
+* This is not considered a use of the entries.
+*/
+CacheMap.prototype.each = function(callback) {
+   for (var node = this._head; node; node = node.next) callback(node.key, node.value);
+};
+
+/*
+* Returns the hit/miss statistics of get (and getOrPut) since the map was created or resetStats was called:
+* {hits, misses, evictions, hitRate}.
+*/
+CacheMap.prototype.stats = function() {
+   var lookups = this._hits + this._misses;
+   return {
+      hits: this._hits,
+      misses: this._misses,
+      evictions: this._evictions,
+      hitRate: lookups ? this._hits / lookups : 0
+   };
+};
+
+/*
+* Resets the statistics.
+*/
+CacheMap.prototype.resetStats = function() {
+   this._hits = this._misses = this._evictions = 0;
+};
+
+CacheMap.prototype._mutators = ['put', 'getOrPut', 'remove', 'removeAll', 'prune', 'resetStats'];
+
+/*
+* Returns an iterator over the [key, value] pairs of this map, in the same order as keys().
+* The pairs are the ones found in the map when the iterator was created.
+*/
+CacheMap.prototype[iteratorSymbol] = function() {
+   var pairs = [];
+   this.each(function(key, value) {pairs.push([key, value])});
+   return arrayIterator(pairs);
+};
+
+CacheMap.prototype.toString = function() {
+   var entries = [];
+   this.each(function(key, value) {entries.push(key + ' -> ' + value)});
+   return 'CacheMap(' + entries.join(', ') + ')';
+};
+
+/*
+* Returns the node of the key, or null if there is none or if it expired, in which case it is evicted.
+*/
+CacheMap.prototype._liveNode = function(key) {
+   var node = this._nodes.get(key);
+   if (!node) return null;
+   if (node.expires > this._clock()) return node;
+
+   this._evict(node, 'expired');
+   return null;
+};
+
+CacheMap.prototype._evict = function(node, reason) {
+   this._removeNode(node);
+   this._evictions++;
+   if (this._onEvict) this._onEvict(node.key, node.value, reason);
+};
+
+/*
+* Moves a node after a use: To the end of the list for 'lru',
+* or after the nodes used as many times as it now is for 'lfu'.
+*/
+CacheMap.prototype._use = function(node) {
+   var previous = node.previous;
+   this._unlink(node);
+   node.uses++;
+   this._insert(node, previous);
+};
+
+/*
+* Inserts a node according to the policy. For 'lfu', the nodes used less often than this node must be before it:
+* If no other node is used as many times (or one time less), the node goes after the fallback node.
+*/
+CacheMap.prototype._insert = function(node, fallback) {
+   if (!this._lfu) return this._link(node, this._tail);
+
+   var tails = this._frequencyTails;
+   this._link(node, tails[node.uses] || tails[node.uses - 1] || fallback || null);
+   tails[node.uses] = node;
+};
+
+CacheMap.prototype._removeNode = function(node) {
+   this._nodes.remove(node.key);
+   this._unlink(node);
+};
+
+/*
+* Inserts a node in the list after the specified node, or first if it is null.
+*/
+CacheMap.prototype._link = function(node, previous) {
+   var next = previous ? previous.next : this._head;
+   node.previous = previous;
+   node.next = next;
+   if (previous) previous.next = node;
+   else this._head = node;
+   if (next) next.previous = node;
+   else this._tail = node;
+};
+
+CacheMap.prototype._unlink = function(node) {
+   if (this._lfu && this._frequencyTails[node.uses] === node) {
+      var previous = node.previous;
+      if (previous && previous.uses == node.uses) this._frequencyTails[node.uses] = previous;
+      else delete this._frequencyTails[node.uses];
+   }
+
+   if (node.previous) node.previous.next = node.next;
+   else this._head = node.next;
+   if (node.next) node.next.previous = node.previous;
+   else this._tail = node.previous;
+   node.previous = node.next = null;
+};
+
+
+var currentTime = Date.now || function() {return new Date().getTime()};
+
+
+Collection.CacheMap = CacheMap;
\ No newline at end of file
@@ -0,0 +1,178 @@
+/*
+* Combinatorics on sequences and sets.
+*
+* All the methods below return a lazy View (See Iterable's view()): The combinations are generated one by one
+* as the view is traversed, so that huge spaces can be explored with take, find, some, etc. without being materialized.
+* The items of the collections are read every time the view is traversed.
+*/
+
+/*
+* Returns a lazy view of all the k-permutations of the items of this sequence: The ordered arrangements of k distinct items.
+* k defaults to the size of this sequence.
+* The permutations are collections of the same type as this sequence, generated in lexicographic order of the item indices.
+* Forcing the view gives a List of these permutations.
+*/
+Sequence.prototype.permutations = function(k) {
+   var self = this;
+   return combinatoricView(function() {
+      var items = cloneArray(collectionItems(self)), size = (k === undefined) ? items.length : k;
+      if (size < 0 || size > items.length) return null;
+
+      var used = [];
+      for (var i = 0; i < items.length; i++) used.push(i < size);
+      return {items: items, indices: rangeArray(size), used: used};
+   }, nextPermutation, function(state) {
+      return self._createNew(pickItems(state.items, state.indices));
+   }, List());
+};
+
+/*
+* Returns a lazy view of all the k-combinations of the items of this sequence: The unordered selections of k distinct items.
+* k defaults to the size of this sequence.
+* The combinations are collections of the same type as this sequence, keeping the order of the items in this sequence.
+* Forcing the view gives a List of these combinations.
+*/
+Sequence.prototype.combinations = function(k) {
+   var self = this;
+   return combinatoricView(function() {
+      var items = cloneArray(collectionItems(self)), size = (k === undefined) ? items.length : k;
+      if (size < 0 || size > items.length) return null;
+      return {items: items, indices: rangeArray(size)};
+   }, nextCombination, function(state) {
+      return self._createNew(pickItems(state.items, state.indices));
+   }, List());
+};
+
+/*
+* Returns a lazy view of all the subsets of this set, starting with the empty set.
+* The subsets use the same key function as this set. Forcing the view gives a Set of these subsets.
+*/
+Set.prototype.powerSet = function() {
+   var self = this;
+   return combinatoricView(function() {
+      var items = cloneArray(collectionItems(self)), included = [];
+      for (var i = 0; i < items.length; i++) included.push(false);
+      return {items: items, included: included};
+   }, nextSubset, function(state) {
+      var subset = [];
+      for (var i = 0, length = state.items.length; i < length; i++) {
+         if (state.included[i]) subset.push(state.items[i]);
+      }
+      return self._createNew(subset);
+   }, Set());
+};
+
+SortedSet.prototype.powerSet = Set.prototype.powerSet;
+
+/*
+* Returns a lazy view of the cartesian product of the specified sequences (Iterables or Arrays):
+* All the Lists made of one item of each sequence, in lexicographic order.
+* Forcing the view gives a List of these Lists.
+*/
+var cartesianProduct = Collection.cartesianProduct = function() {
+   var sequences = cloneArray(arguments);
+   return combinatoricView(function() {
+      var inputs = [], indices = [];
+      for (var i = 0; i < sequences.length; i++) {
+         var items = cloneArray(collectionItems(sequences[i]));
+         if (!items.length) return null;
+         inputs.push(items);
+         indices.push(0);
+      }
+      return {inputs: inputs, indices: indices};
+   }, nextTuple, function(state) {
+      var tuple = [];
+      for (var i = 0, length = state.indices.length; i < length; i++) {
+         tuple.push(state.inputs[i][state.indices[i]]);
+      }
+      return List.fromArray(tuple);
+   }, List());
+};
+
+
+/*
+* Creates a View over successive states: init returns the first state (or null if there is none),
+* advance moves a state to the next one and returns false when there is none left, and build creates an item from a state.
+*/
+var combinatoricView = function(init, advance, build, source) {
+   return View(function() {
+      var state = init(), started = false;
+      return function() {
+         if (!state) return DONE;
+         if (started && !advance(state)) {
+            state = null;
+            return DONE;
+         }
+         started = true;
+         return build(state);
+      };
+   }, source);
+};
+
+var rangeArray = function(n) {
+   var array = [];
+   for (var i = 0; i < n; i++) array.push(i);
+   return array;
+};
+
+var pickItems = function(items, indices) {
+   var picked = [];
+   for (var i = 0, length = indices.length; i < length; i++) picked.push(items[indices[i]]);
+   return picked;
+};
+
+var nextPermutation = function(state) {
+   var indices = state.indices, used = state.used, n = state.items.length;
+
+   for (var i = indices.length - 1; i >= 0; i--) {
+      used[indices[i]] = false;
+      for (var j = indices[i] + 1; j < n; j++) {
+         if (used[j]) continue;
+
+         indices[i] = j;
+         used[j] = true;
+         // Fill the following positions with the lowest unused indices.
+         for (var position = i + 1, index = 0; position < indices.length; index++) {
+            if (used[index]) continue;
+            indices[position++] = index;
+            used[index] = true;
+         }
+         return true;
+      }
+   }
+   return false;
+};
+
+var nextCombination = function(state) {
+   var indices = state.indices, k = indices.length, n = state.items.length;
+
+   var i = k - 1;
+   while (i >= 0 && indices[i] == n - k + i) i--;
+   if (i < 0) return false;
+
+   indices[i]++;
+   for (var j = i + 1; j < k; j++) indices[j] = indices[j - 1] + 1;
+   return true;
+};
+
+var nextSubset = function(state) {
+   // Counts in binary, the first item being the lowest bit.
+   var included = state.included;
+   for (var i = 0, length = included.length; i < length; i++) {
+      if (!included[i]) {
+         included[i] = true;
+         return true;
+      }
+      included[i] = false;
+   }
+   return false;
+};
+
+var nextTuple = function(state) {
+   var indices = state.indices, inputs = state.inputs;
+   for (var i = indices.length - 1; i >= 0; i--) {
+      if (++indices[i] < inputs[i].length) return true;
+      indices[i] = 0;
+   }
+   return false;
+};
\ No newline at end of file
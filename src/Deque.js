@@ -0,0 +1,342 @@
+/*
+* A double-ended queue: Items can be added and removed at both ends in amortized O(1),
+* whereas List's removeFirst and addAt(item, 0) are O(n).
+* Deque has access to all Sequence and Iterable methods, the items being ordered from the front to the back.
+*
+* The items are stored in a ring buffer which doubles in size when it is full
+* and is halved when it is less than a quarter full, so that a long-lived deque does not keep the memory of its largest size.
+* The capacity of a deque can be bounded, in which case adding an item to a full deque either
+* fails or removes the item at the other end; See Deque.withOptions().
+*/
+var Deque = createType('Deque', Sequence);
+
+/*
+* Creates a new Deque containing all the specified array items.
+*/
+Deque.fromArray = function(array) {
+   var deque = Deque();
+   pushAllBack(deque, array);
+   return deque;
+};
+
+/*
+* Creates a new Deque using the specified options:
+* capacity: The maximum number of items. Defaults to Infinity.
+* overflow: What happens when an item is added to a full deque: 'reject' (the default) does not add it and returns false,
+*           'overwrite' removes the item at the other end to make room.
+*/
+Deque.withOptions = function(options) {
+   var items = slice.call(arguments, 1);
+   return Deque(optionArgs(options, items));
+};
+
+Deque.prototype._init = function() {
+   var options = getOptions(arguments);
+
+   this._options = options;
+   this._capacity = (options.capacity === undefined) ? Infinity : options.capacity;
+   this._overwrite = (options.overflow == 'overwrite');
+   this._buffer = new Array(minBufferLength);
+   this._head = 0;
+   this._size = 0;
+   this._version = 0;
+
+   pushAllBack(this, getArgs(arguments));
+};
+
+Deque.prototype._options = null;
+
+/*
+* The ring buffer, the index of the front item in the buffer and the number of items.
+*/
+Deque.prototype._buffer = null;
+Deque.prototype._head = 0;
+Deque.prototype._size = 0;
+
+/*
+* Incremented after every modification, so that items is only rebuilt when needed.
+*/
+Deque.prototype._version = 0;
+Deque.prototype._itemArray = null;
+Deque.prototype._itemsVersion = -1;
+
+Deque.prototype._items = function() {
+   if (this._itemsVersion !== this._version) {
+      this._itemArray = new Array(this._size);
+      for (var i = 0; i < this._size; i++) this._itemArray[i] = this.itemAt(i);
+      this._itemsVersion = this._version;
+   }
+   return this._itemArray;
+};
+defineGetter(Deque.prototype, 'items', Deque.prototype._items);
+
+/*
+* Adds the item at the back of this deque.
+* Returns false if the deque is full and rejects new items, true otherwise.
+*/
+Deque.prototype.pushBack = function(item) {
+   if (!this._makeRoom(this.popFront)) return false;
+
+   this._buffer[this._bufferIndex(this._size)] = item;
+   this._size++;
+   this._version++;
+   return true;
+};
+
+/*
+* Adds the item at the front of this deque.
+* Returns false if the deque is full and rejects new items, true otherwise.
+*/
+Deque.prototype.pushFront = function(item) {
+   if (!this._makeRoom(this.popBack)) return false;
+
+   this._head = this._bufferIndex(this._buffer.length - 1);
+   this._buffer[this._head] = item;
+   this._size++;
+   this._version++;
+   return true;
+};
+
+/*
+* Removes and returns the item at the front of this deque, or undefined if it is empty.
+*/
+Deque.prototype.popFront = function() {
+   if (!this._size) return undefined;
+
+   var item = this._buffer[this._head];
+   this._buffer[this._head] = undefined;
+   this._head = this._bufferIndex(1);
+   this._size--;
+   this._version++;
+   this._shrink();
+   return item;
+};
+
+/*
+* Removes and returns the item at the back of this deque, or undefined if it is empty.
+*/
+Deque.prototype.popBack = function() {
+   if (!this._size) return undefined;
+
+   var index = this._bufferIndex(this._size - 1);
+   var item = this._buffer[index];
+   this._buffer[index] = undefined;
+   this._size--;
+   this._version++;
+   this._shrink();
+   return item;
+};
+
+/*
+* Returns the item at the front of this deque without removing it, or undefined if it is empty.
+*/
+Deque.prototype.peekFront = function() {
+   return this._size ? this._buffer[this._head] : undefined;
+};
+
+/*
+* Returns the item at the back of this deque without removing it, or undefined if it is empty.
+*/
+Deque.prototype.peekBack = function() {
+   return this._size ? this._buffer[this._bufferIndex(this._size - 1)] : undefined;
+};
+
+/*
+* Same as peekFront and peekBack, for consistency with the other sequences.
+*/
+Deque.prototype.first = Deque.prototype.peekFront;
+Deque.prototype.last = Deque.prototype.peekBack;
+
+/*
+* Returns the item at the specified index, the front item being at index 0.
+*/
+Deque.prototype.itemAt = function(index) {
+   if (index < 0 || index >= this._size) return undefined;
+   return this._buffer[this._bufferIndex(index)];
+};
+
+/*
+* Removes all items from this deque.
+*/
+Deque.prototype.removeAll = function() {
+   this._buffer = new Array(minBufferLength);
+   this._head = 0;
+   this._size = 0;
+   this._version++;
+   return this;
+};
+
+/*
+* Returns the number of items in this deque.
+*/
+Deque.prototype.size = function() {
+   return this._size;
+};
+
+/*
+* Tests whether this deque has reached its capacity.
+*/
+Deque.prototype.isFull = function() {
+   return this._size >= this._capacity;
+};
+
+/*
+* Returns a transient version of this deque: A copy of this deque, with the same capacity and overflow behavior,
+* to push and pop many items, then frozen in place by calling its persistent() method.
+*/
+Deque.prototype.asTransient = function() {
+   return makeTransient(this._createNew(this._items()));
+};
+
+/*
+* Applies the modifications made by a function to a transient version of this deque and returns it, frozen.
+*/
+Deque.prototype.withMutations = withMutations;
+
+/*
+* Makes this deque read-only: Pushing or popping items then throws an Error. Returns this deque.
+*/
+Deque.prototype.freeze = function() {
+   return freeze(this, this._items());
+};
+
+Deque.prototype._mutators = ['pushBack', 'pushFront', 'popFront', 'popBack', 'removeAll'];
+
+/*
+* The collections returned by the Iterable methods have the same capacity and overflow behavior.
+*/
+Deque.prototype._createNew = function(array) {
+   var deque = this.constructor.withOptions(this._options);
+   pushAllBack(deque, array);
+   return deque;
+};
+
+/*
+* Makes room for a new item, growing the buffer or removing the item at the other end using the specified method.
+* Returns false if the item must be rejected.
+*/
+Deque.prototype._makeRoom = function(removeOtherEnd) {
+   if (this.isFull()) {
+      if (!this._overwrite || this._capacity <= 0) return false;
+      removeOtherEnd.call(this);
+   }
+   if (this._size == this._buffer.length) this._resize(this._buffer.length * 2);
+   return true;
+};
+
+/*
+* Halves the buffer after an item was removed, if it is less than a quarter full.
+*/
+Deque.prototype._shrink = function() {
+   var length = this._buffer.length;
+   if (length > minBufferLength && this._size < length / 4) this._resize(length / 2);
+};
+
+/*
+* Copies the items to a new buffer of the specified length, the front item being at index 0.
+*/
+Deque.prototype._resize = function(length) {
+   var buffer = new Array(length);
+   for (var i = 0; i < this._size; i++) buffer[i] = this._buffer[this._bufferIndex(i)];
+   this._buffer = buffer;
+   this._head = 0;
+};
+
+/*
+* Returns the index in the buffer of the item at the specified offset from the front item.
+*/
+Deque.prototype._bufferIndex = function(offset) {
+   return (this._head + offset) % this._buffer.length;
+};
+
+
+var minBufferLength = 8;
+
+var pushAllBack = function(deque, items) {
+   for (var i = 0, length = items.length; i < length; i++) deque.pushBack(items[i]);
+};
+
+
+/*
+* A first-in first-out Deque.
+*/
+var Queue = createType('Queue', Deque);
+
+/*
+* Same as Deque.fromArray.
+*/
+Queue.fromArray = function(array) {
+   var queue = Queue();
+   pushAllBack(queue, array);
+   return queue;
+};
+
+/*
+* Same as Deque.withOptions.
+*/
+Queue.withOptions = function(options) {
+   var items = slice.call(arguments, 1);
+   return Queue(optionArgs(options, items));
+};
+
+/*
+* Adds the item at the back of this queue. Returns false if the queue is full and rejects new items.
+*/
+Queue.prototype.enqueue = Deque.prototype.pushBack;
+
+/*
+* Removes and returns the item at the front of this queue, or undefined if it is empty.
+*/
+Queue.prototype.dequeue = Deque.prototype.popFront;
+
+/*
+* Returns the item at the front of this queue without removing it.
+*/
+Queue.prototype.peek = Deque.prototype.peekFront;
+
+Queue.prototype._mutators = Deque.prototype._mutators.concat(['enqueue', 'dequeue']);
+
+
+/*
+* A last-in first-out Deque. The items are ordered from the bottom to the top of the stack.
+*/
+var Stack = createType('Stack', Deque);
+
+/*
+* Same as Deque.fromArray, the last item being the top of the stack.
+*/
+Stack.fromArray = function(array) {
+   var stack = Stack();
+   pushAllBack(stack, array);
+   return stack;
+};
+
+/*
+* Same as Deque.withOptions. When the stack is full, 'overwrite' removes the bottom item.
+*/
+Stack.withOptions = function(options) {
+   var items = slice.call(arguments, 1);
+   return Stack(optionArgs(options, items));
+};
+
+/*
+* Adds the item at the top of this stack. Returns false if the stack is full and rejects new items.
+*/
+Stack.prototype.push = Deque.prototype.pushBack;
+
+/*
+* Removes and returns the item at the top of this stack, or undefined if it is empty.
+*/
+Stack.prototype.pop = Deque.prototype.popBack;
+
+/*
+* Returns the item at the top of this stack without removing it.
+*/
+Stack.prototype.peek = Deque.prototype.peekBack;
+
+Stack.prototype._mutators = Deque.prototype._mutators.concat(['push', 'pop']);
+
+
+Collection.Deque = Deque;
+Collection.Queue = Queue;
+Collection.Stack = Stack;
\ No newline at end of file
@@ -0,0 +1,311 @@
+/*
+* Records the modifications of a List, Set, Map or ArrayMap so that they can be undone and redone.
+*
+* Every change record sent by the collection (See observe) is kept along with its inverse.
+* Several modifications can be grouped into a single, named step using transaction().
+*
+* Options:
+* maxDepth: The maximum number of steps that can be undone. The oldest steps are forgotten first. Defaults to Infinity.
+*/
+var History = createType('History');
+
+History.prototype._init = function(collection, options) {
+   this.collection = collection;
+   this._maxDepth = (options && options.maxDepth !== undefined) ? options.maxDepth : Infinity;
+   this._undoSteps = [];
+   this._redoSteps = [];
+   this._listener = bind(this._record, this);
+   collection.observe(this._listener);
+};
+
+/*
+* The collection whose modifications are recorded.
+*/
+History.prototype.collection = null;
+
+History.prototype._transaction = null;
+History.prototype._applying = false;
+
+/*
+* Reverts the last step. Returns false if there was nothing to undo.
+*/
+History.prototype.undo = function() {
+   this._assertNoTransaction('undo');
+   var step = this._undoSteps.pop();
+   if (!step) return false;
+
+   this._revert(step);
+   this._redoSteps.push(step);
+   return true;
+};
+
+/*
+* Applies again the last step that was undone. Returns false if there was nothing to redo.
+*/
+History.prototype.redo = function() {
+   this._assertNoTransaction('redo');
+   var step = this._redoSteps.pop();
+   if (!step) return false;
+
+   this._apply(step.records, false);
+   this._undoSteps.push(step);
+   return true;
+};
+
+/*
+* Tests whether there is a step to undo.
+*/
+History.prototype.canUndo = function() {
+   return this._undoSteps.length > 0;
+};
+
+/*
+* Tests whether there is a step to redo.
+*/
+History.prototype.canRedo = function() {
+   return this._redoSteps.length > 0;
+};
+
+/*
+* Returns the name of the step undo() would revert, or undefined.
+* Steps that are not transactions have no name.
+*/
+History.prototype.undoName = function() {
+   var step = this._undoSteps[this._undoSteps.length - 1];
+   return step && step.name;
+};
+
+/*
+* Returns the name of the step redo() would apply again, or undefined.
+*/
+History.prototype.redoName = function() {
+   var step = this._redoSteps[this._redoSteps.length - 1];
+   return step && step.name;
+};
+
+/*
+* Runs a function modifying the collection and records all its modifications as a single step.
+* If the function throws, its modifications are reverted and the error is thrown again.
+* A transaction started inside another transaction is part of the outer one.
+*/
+History.prototype.transaction = function(name, modifications) {
+   if (this._transaction) {
+      modifications(this.collection);
+      return;
+   }
+
+   var step = this._transaction = {name: name, records: [], received: []};
+   try {
+      modifications(this.collection);
+   }
+   catch (e) {
+      this._transaction = null;
+      this._revert(step);
+      throw e;
+   }
+   this._transaction = null;
+   if (step.records.length) this._push(step);
+};
+
+/*
+* Forgets all the recorded steps.
+*/
+History.prototype.clear = function() {
+   this._undoSteps = [];
+   this._redoSteps = [];
+};
+
+/*
+* Stops recording the modifications of the collection.
+*/
+History.prototype.dispose = function() {
+   this.collection.unobserve(this._listener);
+};
+
+/*
+* Keeps a snapshot of the record, along with the record itself so that it can be forgotten
+* when a later record reverts it, e.g when a transaction is rolled back (See revertChange).
+*/
+History.prototype._record = function(record) {
+   if (this._applying) return;
+   if (record.reverts) return this._forget(record.reverts);
+
+   var step = this._transaction || {name: undefined, records: [], received: []};
+   step.records.push(snapshotRecord(this.collection, record));
+   step.received.push(record);
+   if (!this._transaction) this._push(step);
+};
+
+/*
+* Removes a record from the current transaction or the steps that can be undone.
+* A step left without records is removed as well.
+*/
+History.prototype._forget = function(record) {
+   var steps = this._transaction ? [this._transaction] : [];
+   steps = steps.concat(this._undoSteps.slice().reverse());
+
+   for (var i = 0; i < steps.length; i++) {
+      var index = Seq(steps[i].received).indexOf(record);
+      if (index == -1) continue;
+
+      steps[i].records.splice(index, 1);
+      steps[i].received.splice(index, 1);
+      if (!steps[i].records.length && steps[i] !== this._transaction) {
+         this._undoSteps.splice(Seq(this._undoSteps).indexOf(steps[i]), 1);
+      }
+      return;
+   }
+};
+
+History.prototype._push = function(step) {
+   this._undoSteps.push(step);
+   if (this._undoSteps.length > this._maxDepth) this._undoSteps.shift();
+   this._redoSteps = [];
+};
+
+History.prototype._revert = function(step) {
+   this._apply(step.records, true);
+};
+
+/*
+* Applies change records (or their inverses, in reverse order) without recording them.
+*/
+History.prototype._apply = function(records, inverse) {
+   this._applying = true;
+   try {
+      if (inverse) revertRecords(this.collection, records);
+      else applyRecords(this.collection, records);
+   }
+   finally {
+      this._applying = false;
+   }
+};
+
+History.prototype._assertNoTransaction = function(methodName) {
+   if (this._transaction) throw new Error(methodName + '() cannot be called during a transaction');
+};
+
+
+// Change records
+
+var applyRecords = function(collection, records) {
+   for (var i = 0, length = records.length; i < length; i++) {
+      applyRecord(collection, records[i]);
+   }
+};
+
+var revertRecords = function(collection, records) {
+   for (var i = records.length - 1; i >= 0; i--) {
+      applyRecord(collection, invertRecord(records[i]));
+   }
+};
+
+/*
+* Cancels a modification described by a change record the collection sent.
+* The change records sent meanwhile hold that record as their reverts property,
+* e.g so that a History forgets the modification rather than recording the one cancelling it.
+*/
+var revertChange = function(collection, record) {
+   collection._reverting = record;
+   try {
+      applyRecord(collection, invertRecord(record));
+   }
+   finally {
+      collection._reverting = null;
+   }
+};
+
+/*
+* Returns a copy of a map's splice record holding {key, value} copies of its entries:
+* The maps modify their entries in place, so the recorded values would otherwise change after the fact.
+*/
+var snapshotRecord = function(collection, record) {
+   if (record.type != 'splice' || collection instanceof List || collection instanceof Set) return record;
+
+   var snapshot = cloneObject(record);
+   snapshot.removed = copyEntries(record.removed);
+   snapshot.added = copyEntries(record.added);
+   return snapshot;
+};
+
+var copyEntries = function(entries) {
+   var copies = [];
+   for (var i = 0, length = entries.length; i < length; i++) {
+      copies.push({key: entries[i].key, value: entries[i].value});
+   }
+   return copies;
+};
+
+/*
+* Returns the change record cancelling the specified one.
+*/
+var invertRecord = function(record) {
+   var inverse = cloneObject(record);
+   switch (record.type) {
+      case 'splice':
+         inverse.removed = record.added;
+         inverse.added = record.removed;
+         break;
+      case 'update':
+         inverse.oldValue = record.newValue;
+         inverse.newValue = record.oldValue;
+         break;
+      case 'add':
+         inverse.type = 'remove';
+         if ('value' in record) {
+            inverse.oldValue = record.value;
+            delete inverse.value;
+         }
+         break;
+      case 'remove':
+         inverse.type = 'add';
+         if ('oldValue' in record) {
+            inverse.value = record.oldValue;
+            delete inverse.oldValue;
+         }
+   }
+   return inverse;
+};
+
+/*
+* Modifies a collection as described by a change record, e.g to replay a modification on another collection
+* or to apply an inverted record. Positions are restored for the ordered collections.
+*/
+var applyRecord = function(collection, record) {
+   var isSet = (collection instanceof Set), isList = (collection instanceof List), i;
+
+   switch (record.type) {
+      case 'splice':
+         if (isList) collection._splice(record.index, record.removed.length, record.added);
+         else if (isSet) {
+            for (i = 0; i < record.removed.length; i++) collection.remove(record.removed[i]);
+            for (i = 0; i < record.added.length; i++) collection.add(record.added[i]);
+         }
+         else {
+            for (i = 0; i < record.removed.length; i++) collection.remove(record.removed[i].key);
+            for (i = 0; i < record.added.length; i++) {
+               putRecordEntry(collection, record.added[i].key, record.added[i].value, record.index + i);
+            }
+         }
+         break;
+      case 'update':
+         if (isList) collection.update(record.index, record.newValue);
+         else collection.put(record.key, record.newValue);
+         break;
+      case 'add':
+         if (isSet) collection.add(record.item);
+         else putRecordEntry(collection, record.key, record.value, record.index);
+         break;
+      case 'remove':
+         if (isSet) collection.remove(record.item);
+         else collection.remove(record.key);
+   }
+};
+
+var putRecordEntry = function(map, key, value, index) {
+   if (map instanceof ArrayMap) map._putAt(key, value, index);
+   else map.put(key, value);
+};
+
+
+Collection.History = History;
\ No newline at end of file
@@ -0,0 +1,265 @@
+/*
+* A collection of values associated with intervals, which can be looked up by overlapping interval or by point,
+* e.g the meetings overlapping a time slot or the annotations of a genome region.
+*
+* The intervals are half-open as with Array's slice: [start, end) contains start but not end,
+* so that [9, 10) and [10, 11) do not overlap. Several values can be associated with the same interval.
+* The bounds are numbers, or any comparable values ordered using the same options as Iterable's sorted
+* or a comparator function; See IntervalTree.withOrdering().
+*
+* The intervals are stored in the same balanced tree as SortedMap's, ordered by start then end,
+* where each node also knows the highest end of its subtree. Insertions and removals are O(log n)
+* and the lookups are O(log n + number of results).
+* The lookups return Lists of {start, end, value} Objects ordered by start then end.
+*/
+var IntervalTree = createType('IntervalTree');
+
+/*
+* Creates a new IntervalTree using the specified Array of [start, end, value] tuples.
+*/
+IntervalTree.fromArray = function(array) {
+   var tree = IntervalTree();
+   for (var i = 0, length = array.length; i < length; i++) tree.insert(array[i][0], array[i][1], array[i][2]);
+   return tree;
+};
+
+/*
+* Creates a new IntervalTree using the specified ordering of the bounds, which is either
+* an Object with the same options as Iterable's sorted or a comparator function.
+*/
+IntervalTree.withOrdering = function(ordering) {
+   var triples = slice.call(arguments, 1);
+   return IntervalTree(keyArgs(isFunction(ordering) ? ordering : createComparator(ordering), triples));
+};
+
+IntervalTree.prototype._init = function() {
+   var compare = (arguments[0] && arguments[0].isKeyArgs) ? arguments[0].keyFunction : createComparator();
+   var triples = getArgs(arguments);
+
+   this._compare = compare;
+   this._tree = {root: null, compare: intervalKeyComparator(compare), augment: maxEndAugmenter(compare)};
+   this._size = 0;
+   this._insertCount = 0;
+
+   if ((triples.length % 3) != 0) {
+      throw new Error('An IntervalTree constructor requires a multiple of 3 arguments');
+   }
+   for (var i = 0, length = triples.length; i < length; i += 3) {
+      this.insert(triples[i], triples[i + 1], triples[i + 2]);
+   }
+};
+
+/*
+* The function comparing the bounds and the tree, whose entries have {start, end, order} keys,
+* order being the insertion count telling apart the values of the same interval.
+*/
+IntervalTree.prototype._compare = null;
+IntervalTree.prototype._tree = null;
+IntervalTree.prototype._size = 0;
+IntervalTree.prototype._insertCount = 0;
+
+/*
+* Associates a value with the interval [start, end). Throws an Error if start is not lower than end.
+*/
+IntervalTree.prototype.insert = function(start, end, value) {
+   if (this._compare(start, end) >= 0) {
+      throw new Error('The start of an interval must be lower than its end: [' + start + ', ' + end + ')');
+   }
+
+   var tree = this._tree, key = {start: start, end: end, order: this._insertCount++};
+   tree.root = treeInsert(tree.root, key, value, tree, {});
+   tree.root.red = false;
+   this._size++;
+   return this;
+};
+
+/*
+* Removes the value associated with the interval [start, end), or all the values of that interval if no value is specified.
+* Returns true if anything was removed.
+*/
+IntervalTree.prototype.remove = function(start, end, value) {
+   var compare = this._compare, tree = this._tree;
+   var entries = Seq(this._collect(start, end, false)).filter(function(entry) {
+      return compare(entry.key.start, start) === 0 && compare(entry.key.end, end) === 0
+         && (value === undefined || entry.value === value);
+   });
+
+   for (var i = 0, length = entries.length; i < length; i++) {
+      if (!isRed(tree.root.left) && !isRed(tree.root.right)) tree.root.red = true;
+      tree.root = treeRemove(tree.root, entries[i].key, tree);
+      if (tree.root) tree.root.red = false;
+      this._size--;
+   }
+   return entries.length > 0;
+};
+
+/*
+* Removes all intervals from this tree.
+*/
+IntervalTree.prototype.removeAll = function() {
+   this._tree.root = null;
+   this._size = 0;
+   return this;
+};
+
+/*
+* Returns a List of the intervals overlapping [start, end).
+*/
+IntervalTree.prototype.overlapping = function(start, end) {
+   return intervalList(this._collect(start, end, false));
+};
+
+/*
+* Returns a List of the intervals containing the specified point.
+*/
+IntervalTree.prototype.containing = function(point) {
+   return intervalList(this._collect(point, point, true));
+};
+
+/*
+* Returns a List of {start, end} ranges covering the same points as the intervals of this tree,
+* where the overlapping and adjacent intervals (e.g [1, 3) and [3, 5)) are merged. See RangeSet.
+*/
+IntervalTree.prototype.merged = function() {
+   var ranges = RangeSet.withOrdering(this._compare);
+   this.each(function(start, end) {ranges.add(start, end)});
+   return ranges.ranges();
+};
+
+/*
+* Returns the number of intervals of this tree, counting an interval once per value.
+*/
+IntervalTree.prototype.size = function() {
+   return this._size;
+};
+
+/*
+* Tests whether this tree holds no interval.
+*/
+IntervalTree.prototype.isEmpty = function() {
+   return this._size == 0;
+};
+
+/*
+* Applies a function to all the (start, end, value) of this tree, ordered by start then end.
+*/
+IntervalTree.prototype.each = function(callback) {
+   var entries = this._entries();
+   for (var i = 0, length = entries.length; i < length; i++) {
+      callback(entries[i].key.start, entries[i].key.end, entries[i].value);
+   }
+};
+
+/*
+* Converts this tree to a List of {start, end, value} Objects, ordered by start then end.
+*/
+IntervalTree.prototype.toList = function() {
+   return intervalList(this._entries());
+};
+
+/*
+* Converts this tree to an Array of {start, end, value} Objects, ordered by start then end.
+*/
+IntervalTree.prototype.toArray = function() {
+   return this.toList().items;
+};
+
+/*
+* Creates a copy of this tree, using the same ordering.
+*/
+IntervalTree.prototype.clone = function() {
+   var clone = IntervalTree.withOrdering(this._compare);
+   this.each(function(start, end, value) {clone.insert(start, end, value)});
+   return clone;
+};
+
+/*
+* Returns a transient version of this tree: A copy of this tree, using the same ordering, to insert and remove many intervals,
+* then frozen in place by calling its persistent() method.
+*/
+IntervalTree.prototype.asTransient = function() {
+   return makeTransient(this.clone());
+};
+
+/*
+* Inserts and removes intervals on a transient version of this tree using a function, then returns that tree frozen.
+*/
+IntervalTree.prototype.withMutations = withMutations;
+
+/*
+* Makes this tree read-only: Inserting or removing intervals then throws an Error,
+* while the overlap and point lookups keep working. Returns this tree.
+*/
+IntervalTree.prototype.freeze = function() {
+   return freeze(this);
+};
+
+IntervalTree.prototype._mutators = ['insert', 'remove', 'removeAll'];
+
+/*
+* Returns an iterator over the {start, end, value} Objects of this tree, ordered by start then end.
+*/
+IntervalTree.prototype[iteratorSymbol] = function() {
+   return arrayIterator(this.toArray());
+};
+
+IntervalTree.prototype.toString = function() {
+   var intervals = [];
+   this.each(function(start, end, value) {intervals.push('[' + start + ', ' + end + ') -> ' + value)});
+   return 'IntervalTree(' + intervals.join(', ') + ')';
+};
+
+IntervalTree.prototype._entries = function() {
+   var entries = [];
+   treeCollect(this._tree.root, this._tree.compare, null, null, entries);
+   return entries;
+};
+
+/*
+* Returns the entries whose interval overlaps [start, end), or [start, end] if includeEnd is true.
+*/
+IntervalTree.prototype._collect = function(start, end, includeEnd) {
+   var compare = this._compare, entries = [];
+
+   var collect = function(node) {
+      // No interval of this subtree ends after start.
+      if (!node || compare(node.maxEnd, start) <= 0) return;
+
+      collect(node.left);
+      var key = node.entry.key, comparison = compare(key.start, end);
+      if (includeEnd ? comparison > 0 : comparison >= 0) return;
+      if (compare(start, key.end) < 0) entries.push(node.entry);
+      collect(node.right);
+   };
+
+   collect(this._tree.root);
+   return entries;
+};
+
+
+var intervalKeyComparator = function(compare) {
+   return function(a, b) {
+      return compare(a.start, b.start) || compare(a.end, b.end) || (a.order - b.order);
+   };
+};
+
+/*
+* Returns the tree augment function maintaining the highest end of each subtree.
+*/
+var maxEndAugmenter = function(compare) {
+   return function(node) {
+      var maxEnd = node.entry.key.end;
+      if (node.left && compare(node.left.maxEnd, maxEnd) > 0) maxEnd = node.left.maxEnd;
+      if (node.right && compare(node.right.maxEnd, maxEnd) > 0) maxEnd = node.right.maxEnd;
+      node.maxEnd = maxEnd;
+   };
+};
+
+var intervalList = function(entries) {
+   return List.fromArray(Seq(entries).map(function(entry) {
+      return {start: entry.key.start, end: entry.key.end, value: entry.value};
+   }));
+};
+
+
+Collection.IntervalTree = IntervalTree;
\ No newline at end of file
@@ -3,6 +3,8 @@
 * Iterable is used internally to provide functional style methods to indexed collections.
 * The contract a collection must follow to inherit from Iterable is:
 * - Exposing a property named items, the Array representation of the collection.
+*   A collection building that Array lazily overrides _items() instead, through which all Iterable methods read the items,
+*   and exposes items as a getter on the engines supporting getters (ES5).
 * - Either specify a fromArray method or override _createNew so that new collections 
 * can be built from an existing instance.
 * 
@@ -19,11 +21,18 @@ var Iterable = function() {};
 */
 Iterable.prototype.items = null;
 
+/*
+* Returns the items Array. See items.
+*/
+Iterable.prototype._items = function() {
+   return this.items;
+};
+
 /*
 * Returns the number of items in this collection. 
 */
 Iterable.prototype.size = function() {
-   return this.items.length;
+   return this._items().length;
 };
 
 /*
@@ -37,28 +46,29 @@ Iterable.prototype.isEmpty = function() {
 * Returns the item located at the specified index.
 */
 Iterable.prototype.itemAt = function(index) {
-   return this.items[index];
+   return this._items()[index];
 };
 
 /*
 * Returns the first item of this collection.
 */
 Iterable.prototype.first = function() {
-   return this.items[0];
+   return this._items()[0];
 };
 
 /*
 * Returns the last item of this collection.
 */
 Iterable.prototype.last = function() {
-   return this.items[this.items.length - 1];
+   var items = this._items();
+   return items[items.length - 1];
 };
 
 /*
 * Applies a function to all items of this collection.
 */
 Iterable.prototype.each = function(callback) {
-   for (var i = 0, length = this.items.length; i < length; i++) {
+   for (var i = 0, length = this._items().length; i < length; i++) {
       this._invoke(callback, i, i);
    }
 };
@@ -74,7 +84,7 @@ Iterable.prototype.each = function(callback) {
 */
 Iterable.prototype.map = function(callback) {
    var result = [];
-   for (var i = 0, length = this.items.length; i < length; i++) {
+   for (var i = 0, length = this._items().length; i < length; i++) {
       var mapped = this._invoke(callback, i);
       if (mapped != Collection.NOT_MAPPED) result.push(mapped);
    }
@@ -88,10 +98,11 @@ Collection.NOT_MAPPED = {};
 * This is a special case of map(). The property can be arbitrarily nested.
 */
 Iterable.prototype.pluck = function(property) {
+   var items = this._items();
    var doPluck = getPluckFunction(property);
    var result = [];
-   for (var i = 0, length = this.items.length; i < length; i++) {
-      result.push(doPluck(this.items[i]));
+   for (var i = 0, length = items.length; i < length; i++) {
+      result.push(doPluck(items[i]));
    }
    return List.fromArray(result);
 }
@@ -100,9 +111,10 @@ Iterable.prototype.pluck = function(property) {
 * Selects all items of this collection which satisfy a predicate.
 */
 Iterable.prototype.filter = function(predicate) {
+   var items = this._items();
    var result = [];
-   for (var i = 0, length = this.items.length; i < length; i++) {
-      if (this._invoke(predicate, i)) result.push(this.items[i]);
+   for (var i = 0, length = items.length; i < length; i++) {
+      if (this._invoke(predicate, i)) result.push(items[i]);
    }
    return this._createNew(result);
 };
@@ -112,7 +124,7 @@ Iterable.prototype.filter = function(predicate) {
 */
 Iterable.prototype.count = function(predicate) {
    var count = 0;
-   for (var i = 0, length = this.items.length; i < length; i++) {
+   for (var i = 0, length = this._items().length; i < length; i++) {
       if (this._invoke(predicate, i)) count++;
    }
    return count;
@@ -122,8 +134,9 @@ Iterable.prototype.count = function(predicate) {
 * Finds the first item of the collection satisfying a predicate, if any.
 */
 Iterable.prototype.find = function(predicate) {
-   for (var i = 0, length = this.items.length; i < length; i++) {
-      if (this._invoke(predicate, i)) return this.items[i];
+   var items = this._items();
+   for (var i = 0, length = items.length; i < length; i++) {
+      if (this._invoke(predicate, i)) return items[i];
    }
    return undefined;
 };
@@ -133,10 +146,11 @@ Iterable.prototype.find = function(predicate) {
 * This is a special case of find(). The property can be arbitrarily nested.
 */
 Iterable.prototype.findBy = function(property, value) {
+   var items = this._items();
    var doPluck = getPluckFunction(property);
          
-   for (var i = 0, length = this.items.length; i < length; i++) {
-      if (doPluck(this.items[i]) === value) return this.items[i];
+   for (var i = 0, length = items.length; i < length; i++) {
+      if (doPluck(items[i]) === value) return items[i];
    }
    return undefined;
 };
@@ -145,7 +159,7 @@ Iterable.prototype.findBy = function(property, value) {
 * Tests whether a predicate holds for some of the items of this collection.
 */
 Iterable.prototype.some = function(predicate) {
-   for (var i = 0, length = this.items.length; i < length; i++) {
+   for (var i = 0, length = this._items().length; i < length; i++) {
       if (this._invoke(predicate, i)) return true;
    }
    return false;
@@ -155,7 +169,7 @@ Iterable.prototype.some = function(predicate) {
 * Tests whether a predicate holds for all items of this collection.
 */
 Iterable.prototype.every = function(predicate) {
-   for (var i = 0, length = this.items.length; i < length; i++) {
+   for (var i = 0, length = this._items().length; i < length; i++) {
       if (!this._invoke(predicate, i)) return false;
    }
    return true;
@@ -165,10 +179,11 @@ Iterable.prototype.every = function(predicate) {
 * Partitions items in fixed size collections.
 */
 Iterable.prototype.grouped = function(size) {
+   var items = this._items();
    var groups = [];
    var current = [];
-   for (var i = 0, length = this.items.length; i < length; i++) {
-      current.push(this.items[i]);
+   for (var i = 0, length = items.length; i < length; i++) {
+      current.push(items[i]);
 
       if ((current.length === size) || (i === length - 1)) {
          groups[groups.length] = this._createNew(current);
@@ -180,12 +195,18 @@ Iterable.prototype.grouped = function(size) {
 
 /*
 * Partitions this collection into a map of Lists according to a discriminator function.
+* If a MultiMap (or an ArrayMultiMap) is given, the items are put into it and it is returned instead.
 */
-Iterable.prototype.groupBy = function(discriminator) {
-   var groups = Map();
-   for (var i = 0, length = this.items.length; i < length; i++) {
-      var item = this.items[i];
+Iterable.prototype.groupBy = function(discriminator, multiMap) {
+   var items = this._items();
+   var groups = multiMap || Map();
+   for (var i = 0, length = items.length; i < length; i++) {
+      var item = items[i];
       var itemGroup = this._invoke(discriminator, i);
+      if (multiMap) {
+         multiMap.put(itemGroup, item);
+         continue;
+      }
       var group = groups.get(itemGroup);
       if (!group) groups.put(itemGroup, List());
       groups.get(itemGroup).add(item);
@@ -198,7 +219,7 @@ Iterable.prototype.groupBy = function(discriminator) {
 */
 Iterable.prototype.fold = function(initialValue, operator) {
    var result = initialValue;
-   for (var i = 0, length = this.items.length; i < length; i++) {
+   for (var i = 0, length = this._items().length; i < length; i++) {
       result = this._invoke(operator, i, result);
    }
    return result;
@@ -209,9 +230,10 @@ Iterable.prototype.fold = function(initialValue, operator) {
 * The first element of the returned Array contains the items that satisfied the predicate.
 */
 Iterable.prototype.partition = function(predicate) {
+   var items = this._items();
    var yes = [], no = [];
-   for (var i = 0, length = this.items.length; i < length; i++) {
-      (this._invoke(predicate, i) ? yes : no).push(this.items[i]);
+   for (var i = 0, length = items.length; i < length; i++) {
+      (this._invoke(predicate, i) ? yes : no).push(items[i]);
    }
    return [this._createNew(yes), this._createNew(no)];
 };
@@ -220,23 +242,25 @@ Iterable.prototype.partition = function(predicate) {
 * Selects all items except the first n ones.
 */
 Iterable.prototype.drop = function(n) {
-   n = Math.min(n, this.items.length);
-   return this._createNew(this.items.slice(n));
+   var items = this._items();
+   n = Math.min(n, items.length);
+   return this._createNew(items.slice(n));
 };
 
 /*
 * Selects all items except the last n ones.
 */
 Iterable.prototype.dropRight = function(n) {
-   n = Math.min(n, this.items.length);
-   return this._createNew(this.items.slice(0, this.items.length - n));
+   var items = this._items();
+   n = Math.min(n, items.length);
+   return this._createNew(items.slice(0, items.length - n));
 };
 
 /*
 * Drops items till the predicate no longer hold.
 */
 Iterable.prototype.dropWhile = function(predicate) {
-   var result = this.items.slice();
+   var result = this._items().slice();
    var index = 0;
    while (result.length && this._invoke(predicate, index)) {
       result.shift();
@@ -249,25 +273,28 @@ Iterable.prototype.dropWhile = function(predicate) {
 * Selects the first n items.
 */
 Iterable.prototype.take = function(n) {
-   n = Math.min(n, this.items.length);
-   return this._createNew(this.items.slice(0, n));
+   var items = this._items();
+   n = Math.min(n, items.length);
+   return this._createNew(items.slice(0, n));
 };
 
 /*
 * Selects the last n items.
 */
 Iterable.prototype.takeRight = function(n) {
-   n = Math.min(n, this.items.length);
-   return this._createNew(this.items.slice(-n));
+   var items = this._items();
+   n = Math.min(n, items.length);
+   return this._createNew(items.slice(-n));
 };
 
 /*
 * Selects items till the predicate no longer hold.
 */
 Iterable.prototype.takeWhile = function(predicate) {
+   var items = this._items();
    var result = [];
-   for (var i = 0, length = this.items.length; i < length; i++) {
-      if (this._invoke(predicate, i)) result.push(this.items[i]);
+   for (var i = 0, length = items.length; i < length; i++) {
+      if (this._invoke(predicate, i)) result.push(items[i]);
       else break;
    }
    return this._createNew(result);
@@ -277,14 +304,14 @@ Iterable.prototype.takeWhile = function(predicate) {
 * Returns a new collection with the items in reversed order.
 */
 Iterable.prototype.reverse = function() {
-   return this._createNew(this.items.slice().reverse());
+   return this._createNew(this._items().slice().reverse());
 };
 
 /*
 * Selects an interval of items.
 */
 Iterable.prototype.slice = function(start, end) {
-   return this._createNew(this.items.slice(start, end));
+   return this._createNew(this._items().slice(start, end));
 };
 
 /*
@@ -306,6 +333,7 @@ Iterable.prototype.slice = function(start, end) {
 * reverse: Reverse the sort. Defaults to false.
 */
 Iterable.prototype.sorted = function(options) {
+   var items = this._items();
    var o = options || {},
        by = o.by !== undefined ? o.by : null,
        localeCompare = o.localeCompare !== undefined ? o.localeCompare : false,
@@ -319,8 +347,8 @@ Iterable.prototype.sorted = function(options) {
 
    if (isString(by)) by = getPluckFunction(by);
 
-   for (var i = 0, length = this.items.length; i < length; i++) {
-      item = this.items[i];
+   for (var i = 0, length = items.length; i < length; i++) {
+      item = items[i];
 
       if (by && item)
          item = by(item);
@@ -359,7 +387,7 @@ Iterable.prototype.sorted = function(options) {
    mapped.sort(sortFunction);
 
    for (var i = 0, length = mapped.length; i < length; i++) {
-      result.push(this.items[mapped[i].index]);
+      result.push(items[mapped[i].index]);
    }
 
    if (missingData.length) 
@@ -375,14 +403,14 @@ Iterable.prototype.sorted = function(options) {
 * Displays all items of this collection as a string.
 */
 Iterable.prototype.mkString = function(start, sep, end) {
-   return start + this.items.join(sep) + end;
+   return start + this._items().join(sep) + end;
 };
 
 /*
 * Converts this collection to a List.
 */
 Iterable.prototype.toList = function() {
-   return List.fromArray(this.items);
+   return List.fromArray(this._items());
 };
 
 /*
@@ -390,18 +418,62 @@ Iterable.prototype.toList = function() {
 * If you do not require a new Array instance, consider using the items property instead.
 */
 Iterable.prototype.toArray = function() {
-   return cloneArray(this.items);
+   return cloneArray(this._items());
 };
 
 /*
 * Creates a (shallow) copy of this collection.
 */
 Iterable.prototype.clone = function() {
-   return this._createNew(this.items.slice());
+   return this._createNew(this._items().slice());
+};
+
+/*
+* Returns a lazy view of this collection.
+* The operations invoked on the view are fused together and only run when the view is forced,
+* without building any intermediate collection. See View.
+*/
+Iterable.prototype.view = function() {
+   var self = this;
+   return View(function() {
+      var items = self._items(), index = 0;
+      return function() {
+         return (index < items.length) ? items[index++] : DONE;
+      };
+   }, this);
+};
+
+/*
+* Returns an iterator over the items of this collection.
+* This makes any Iterable usable with the ES2015 iteration protocol (for...of, spread, Array.from, etc).
+*/
+Iterable.prototype[iteratorSymbol] = function() {
+   return this.valuesIterator();
+};
+
+/*
+* Returns an iterator over the items of this collection.
+*/
+Iterable.prototype.valuesIterator = function() {
+   return arrayIterator(this._items());
+};
+
+/*
+* Returns an iterator over the indices of this collection.
+*/
+Iterable.prototype.keysIterator = function() {
+   return arrayIterator(this._items(), function(item, index) {return index});
+};
+
+/*
+* Returns an iterator over the [index, item] pairs of this collection.
+*/
+Iterable.prototype.entriesIterator = function() {
+   return arrayIterator(this._items(), function(item, index) {return [index, item]});
 };
 
 Iterable.prototype.toString = function() {
-   return this.constructor.typeName + '(' + this.items.join(', ') + ')';
+   return this.constructor.typeName + '(' + this._items().join(', ') + ')';
 };
 
 /**
@@ -421,7 +493,16 @@ Iterable.prototype._createNew = function(array) {
 * This default implementation simply call the function with the current item.
 */
 Iterable.prototype._invoke = function(func, forIndex, extraParam) {
-   return func(this.items[forIndex], extraParam);
+   return this._invokeItem(func, this._items()[forIndex], extraParam);
+};
+
+/**
+* Invokes a function for a particular item.
+* This is the item-based counterpart of _invoke, used when the item is not read from the items Array, e.g by views.
+* Views also pass whether the item was returned by their map callback rather than read from this collection.
+*/
+Iterable.prototype._invokeItem = function(func, item, extraParam) {
+   return func(item, extraParam);
 };
 
 
@@ -443,5 +524,36 @@ var getPluckFunction = function(property) {
       };
 };
 
+/*
+* Creates a function comparing two items the way sorted orders them, using the same options.
+* The function returns a negative number, zero or a positive number
+* depending on whether the first item goes before, along with or after the second one.
+* Unlike with sorted, reverse does not reverse the relative order of the items comparing equal.
+*/
+var createComparator = function(options) {
+   var o = options || {},
+       by = isString(o.by) ? getPluckFunction(o.by) : (o.by || null),
+       reverse = o.reverse ? -1 : 1;
+
+   var sortValue = function(item) {
+      if (by && item) item = by(item);
+      if (item === null || item === undefined || item === '') return undefined;
+      return o.ignoreCase ? item.toUpperCase() : item;
+   };
+
+   return function(a, b) {
+      a = sortValue(a);
+      b = sortValue(b);
+
+      // As with sorted, the items missing the sort data go last.
+      if (a === undefined || b === undefined) {
+         return reverse * ((a === undefined) - (b === undefined));
+      }
+      if (a === b) return 0;
+      if (o.localeCompare) return reverse * a.localeCompare(b);
+      return reverse * ((a < b) ? -1 : 1);
+   };
+};
+
 
 Collection.Iterable = Iterable;   
\ No newline at end of file
@@ -0,0 +1,53 @@
+/*
+* The property name under which ES2015 iterables expose their iterator.
+* On engines without Symbol, the conventional '@@iterator' name is used instead
+* so that the library can still be loaded.
+*/
+var iteratorSymbol = (typeof Symbol === 'function' && Symbol.iterator) || '@@iterator';
+
+/*
+* Iterator is used internally to implement the ES2015 iteration protocol.
+* It is created from a function returning the next item every time it is called, or DONE when there are no more items.
+* An Iterator is itself iterable so that it can be used in for...of loops.
+*/
+var Iterator = createType('Iterator');
+
+Iterator.prototype._init = function(next) {
+   this._next = next;
+};
+
+Iterator.prototype._next = null;
+
+/*
+* Returns the next {value, done} iteration result.
+*/
+Iterator.prototype.next = function() {
+   var item = this._next();
+   return (item === DONE)
+      ? {value: undefined, done: true}
+      : {value: item, done: false};
+};
+
+Iterator.prototype[iteratorSymbol] = function() {
+   return this;
+};
+
+/*
+* Creates an Iterator over the items of an Array.
+* The Array is read as the iteration progresses, so that the iterator sees any item appended in the meantime.
+* An optional function can be passed to transform each item (and its index) before it is returned.
+*/
+var arrayIterator = function(array, transform) {
+   var index = 0;
+   return Iterator(function() {
+      if (index >= array.length) return DONE;
+      var i = index++;
+      return transform ? transform(array[i], i) : array[i];
+   });
+};
+
+/*
+* Marker returned by the 'next' functions used internally
+* by iterators and views when there are no more items.
+*/
+var DONE = {};
\ No newline at end of file
@@ -0,0 +1,286 @@
+/*
+* An ordered collection backed by a doubly linked list.
+* LinkedList has access to all Sequence and Iterable methods.
+*
+* Unlike List, inserting or removing an item anywhere is O(1) given the node holding a neighbour item,
+* while accessing an item by index is O(n).
+* The nodes are stable handles on positions of the list: A node remains valid until its own item is removed,
+* whatever happens to the rest of the list. See firstNode, lastNode and nodeOf.
+*
+* A node exposes its item and its previous and next nodes (null at both ends of the list) as properties,
+* which must not be modified:
+* for (var node = list.firstNode(); node; node = node.next) ...
+*
+* The items property is built the first time it is read after the list was modified.
+*/
+var LinkedList = createType('LinkedList', Sequence);
+
+LinkedList.fromArray = function(array) {
+   var list = LinkedList();
+   appendAll(list, array);
+   return list;
+};
+
+LinkedList.prototype._init = function() {
+   this._head = null;
+   this._tail = null;
+   this._size = 0;
+   this._version = 0;
+
+   appendAll(this, arguments);
+};
+
+/*
+* The first and last nodes, the number of items and a number incremented after every modification.
+*/
+LinkedList.prototype._head = null;
+LinkedList.prototype._tail = null;
+LinkedList.prototype._size = 0;
+LinkedList.prototype._version = 0;
+
+LinkedList.prototype._itemArray = null;
+LinkedList.prototype._itemsVersion = -1;
+
+LinkedList.prototype._items = function() {
+   if (this._itemsVersion !== this._version) {
+      var items = this._itemArray = [];
+      for (var node = this._head; node; node = node.next) items.push(node.item);
+      this._itemsVersion = this._version;
+   }
+   return this._itemArray;
+};
+defineGetter(LinkedList.prototype, 'items', LinkedList.prototype._items);
+
+/*
+* Appends the item at the last position of this list.
+*/
+LinkedList.prototype.add = function(item) {
+   this._link(new LinkedListNode(item), this._tail);
+   return this;
+};
+
+/*
+* Adds the item at the first position of this list.
+*/
+LinkedList.prototype.addFirst = function(item) {
+   this._link(new LinkedListNode(item), null);
+   return this;
+};
+
+/*
+* Inserts the item before the specified node and returns its new node.
+* As with the DOM's insertBefore, the item is appended at the last position if the node is null.
+*/
+LinkedList.prototype.insertBefore = function(node, item) {
+   if (node) this._assertOwnNode(node);
+   return this._link(new LinkedListNode(item), node ? node.previous : this._tail);
+};
+
+/*
+* Inserts the item after the specified node and returns its new node.
+* The item is added at the first position if the node is null.
+*/
+LinkedList.prototype.insertAfter = function(node, item) {
+   if (node) this._assertOwnNode(node);
+   return this._link(new LinkedListNode(item), node);
+};
+
+/*
+* Removes the item held by the specified node and returns it.
+*/
+LinkedList.prototype.removeNode = function(node) {
+   this._assertOwnNode(node);
+   this._unlink(node);
+   return node.item;
+};
+
+/*
+* Removes the first occurrence of the item from this list.
+* Returns the removed item, or false if the item was not in this list.
+*/
+LinkedList.prototype.remove = function(item) {
+   var node = this.nodeOf(item);
+   return node ? this.removeNode(node) : false;
+};
+
+/*
+* Removes and returns the first item of this list, or undefined if it is empty.
+*/
+LinkedList.prototype.removeFirst = function() {
+   return this._head ? this.removeNode(this._head) : undefined;
+};
+
+/*
+* Removes and returns the last item of this list, or undefined if it is empty.
+*/
+LinkedList.prototype.removeLast = function() {
+   return this._tail ? this.removeNode(this._tail) : undefined;
+};
+
+/*
+* Removes all items from this list.
+*/
+LinkedList.prototype.removeAll = function() {
+   for (var node = this._head; node; node = node.next) node._list = null;
+   this._head = this._tail = null;
+   this._size = 0;
+   this._version++;
+   return this;
+};
+
+/*
+* Removes all items satisfying a predicate from this list.
+* Returns the List of removed items.
+*/
+LinkedList.prototype.removeIf = function(predicate) {
+   var removed = [];
+   for (var node = this._head; node; ) {
+      var next = node.next;
+      if (predicate(node.item)) removed.push(this.removeNode(node));
+      node = next;
+   }
+   return List.fromArray(removed);
+};
+
+/*
+* Moves the item held by the specified node to the first position. The node remains valid.
+*/
+LinkedList.prototype.moveToFront = function(node) {
+   this._assertOwnNode(node);
+   if (node !== this._head) this._link(this._unlink(node), null);
+   return this;
+};
+
+/*
+* Moves the item held by the specified node to the last position. The node remains valid.
+*/
+LinkedList.prototype.moveToBack = function(node) {
+   this._assertOwnNode(node);
+   if (node !== this._tail) this._link(this._unlink(node), this._tail);
+   return this;
+};
+
+/*
+* Returns the node holding the first item, or null if this list is empty.
+*/
+LinkedList.prototype.firstNode = function() {
+   return this._head;
+};
+
+/*
+* Returns the node holding the last item, or null if this list is empty.
+*/
+LinkedList.prototype.lastNode = function() {
+   return this._tail;
+};
+
+/*
+* Returns the node holding the first occurrence of the item, or null if the item is not in this list.
+*/
+LinkedList.prototype.nodeOf = function(item) {
+   for (var node = this._head; node; node = node.next) {
+      if (node.item === item) return node;
+   }
+   return null;
+};
+
+/*
+* Returns the number of items in this list, which is kept up to date rather than counted.
+*/
+LinkedList.prototype.size = function() {
+   return this._size;
+};
+
+/*
+* Returns the item of the first node, or undefined if this list is empty.
+*/
+LinkedList.prototype.first = function() {
+   return this._head ? this._head.item : undefined;
+};
+
+/*
+* Returns the item of the last node, or undefined if this list is empty.
+*/
+LinkedList.prototype.last = function() {
+   return this._tail ? this._tail.item : undefined;
+};
+
+/*
+* Returns a transient version of this list: A copy of this list to apply many modifications to,
+* then frozen in place by calling its persistent() method. The copy has its own nodes.
+*/
+LinkedList.prototype.asTransient = function() {
+   return makeTransient(LinkedList.fromArray(this._items()));
+};
+
+/*
+* Applies the modifications made by a function to a transient version of this list and returns it, frozen.
+*/
+LinkedList.prototype.withMutations = withMutations;
+
+/*
+* Makes this list read-only: Adding, removing or moving items then throws an Error. Returns this list.
+*/
+LinkedList.prototype.freeze = function() {
+   return freeze(this, this._items());
+};
+
+LinkedList.prototype._mutators = ['add', 'addFirst', 'insertBefore', 'insertAfter', 'remove', 'removeNode',
+   'removeFirst', 'removeLast', 'removeAll', 'removeIf', 'moveToFront', 'moveToBack'];
+
+/*
+* Inserts a detached node after the specified node, or first if it is null. Returns the node.
+*/
+LinkedList.prototype._link = function(node, previous) {
+   var next = previous ? previous.next : this._head;
+   node.previous = previous;
+   node.next = next;
+   node._list = this;
+   if (previous) previous.next = node;
+   else this._head = node;
+   if (next) next.previous = node;
+   else this._tail = node;
+
+   this._size++;
+   this._version++;
+   return node;
+};
+
+/*
+* Detaches a node from this list and returns it.
+*/
+LinkedList.prototype._unlink = function(node) {
+   if (node.previous) node.previous.next = node.next;
+   else this._head = node.next;
+   if (node.next) node.next.previous = node.previous;
+   else this._tail = node.previous;
+   node.previous = node.next = node._list = null;
+
+   this._size--;
+   this._version++;
+   return node;
+};
+
+LinkedList.prototype._assertOwnNode = function(node) {
+   if (!node || node._list !== this) throw new Error('The node does not belong to this LinkedList');
+};
+
+
+/*
+* A node of a LinkedList. Its _list is null once its item was removed.
+*/
+var LinkedListNode = function(item) {
+   this.item = item;
+};
+
+LinkedListNode.prototype.previous = null;
+LinkedListNode.prototype.next = null;
+LinkedListNode.prototype._list = null;
+
+
+var appendAll = function(list, items) {
+   for (var i = 0, length = items.length; i < length; i++) list.add(items[i]);
+};
+
+
+Collection.LinkedList = LinkedList;
\ No newline at end of file
@@ -0,0 +1,191 @@
+/*
+* An ordered collection of key-value pairs, like ArrayMap, whose insertion order is kept in a LinkedList of entries.
+* All methods from Map and Iterable are available, with the same (key, value) callbacks as ArrayMap.
+*
+* Unlike with ArrayMap, removing a key is O(1) rather than a binary search followed by an Array splice,
+* and an entry can be moved to either end of the map in O(1), e.g to implement a LRU ordering.
+* In exchange, the items property is built the first time it is read after the map was modified
+* and LinkedMap cannot be observed.
+*/
+var LinkedMap = createType('LinkedMap', Iterable);
+
+/*
+* Creates a new Identity LinkedMap using the specified tuple Array.
+*/
+LinkedMap.fromArray = function(array) {
+   var map = LinkedMap();
+   addAll(map, array);
+   return map;
+};
+
+/*
+* Creates a new LinkedMap which uses a key function to determine whether
+* it contains a binding for a key, as opposed to using reference equality.
+*/
+LinkedMap.withKey = function(keyFunction) {
+   var pairs = slice.call(arguments, 1);
+   return LinkedMap(keyArgs(keyFunction, pairs));
+};
+
+LinkedMap.prototype._init = function() {
+   this._nodes = Map.withKey(getKeyFunction(arguments));
+   this._entries = LinkedList();
+
+   initPairs(this, getArgs(arguments));
+};
+
+/*
+* The LinkedList of entries and the Map from each key to the node holding its entry.
+*/
+LinkedMap.prototype._entries = null;
+LinkedMap.prototype._nodes = null;
+
+LinkedMap.prototype._items = function() {
+   return this._entries._items();
+};
+defineGetter(LinkedMap.prototype, 'items', LinkedMap.prototype._items);
+
+/*
+* Adds a value for the specified key.
+* Returns the previous value mapped for this key, or undefined if the key is new.
+* If the value replaces an existing one, the position of the key does not change.
+*/
+LinkedMap.prototype.put = function(key, value) {
+   var node = this._nodes.get(key);
+   if (node) {
+      var previousValue = node.item.value;
+      node.item.value = value;
+      return previousValue;
+   }
+
+   this._nodes.put(key, this._entries.insertBefore(null, Entry(key, value)));
+   return undefined;
+};
+
+/*
+* Removes and returns the value mapped to the specified key.
+*/
+LinkedMap.prototype.remove = function(key) {
+   var node = this._nodes.remove(key);
+   return node ? this._entries.removeNode(node).value : undefined;
+};
+
+/*
+* Removes all key-value mappings satisfying a predicate.
+*/
+LinkedMap.prototype.removeIf = function(predicate) {
+   var nodes = this._nodes;
+   this._entries.removeIf(function(entry) {
+      if (!predicate(entry.key, entry.value)) return false;
+      nodes.remove(entry.key);
+      return true;
+   });
+   return this;
+};
+
+/*
+* Removes all key-value mappings from this map.
+*/
+LinkedMap.prototype.removeAll = function() {
+   this._nodes.removeAll();
+   this._entries.removeAll();
+   return this;
+};
+
+/*
+* Returns the value associated with the specified key, or undefined.
+*/
+LinkedMap.prototype.get = function(key) {
+   var node = this._nodes.get(key);
+   return node ? node.item.value : undefined;
+};
+
+/*
+* If the given key is already in this map, returns the associated value.
+* Otherwise, either use the provided value as is if it's not a function or the result from that function call.
+* The value is then associated with that key and returned.
+*/
+LinkedMap.prototype.getOrPut = Map.prototype.getOrPut;
+
+/*
+* Tests whether this map contains a binding for this key.
+*/
+LinkedMap.prototype.containsKey = function(key) {
+   return this._nodes.containsKey(key);
+};
+
+LinkedMap.prototype.containsValue = Map.prototype.containsValue;
+
+/*
+* Moves the specified key to the first position. Returns false if the key is not in this map.
+*/
+LinkedMap.prototype.moveToFront = function(key) {
+   var node = this._nodes.get(key);
+   if (node) this._entries.moveToFront(node);
+   return !!node;
+};
+
+/*
+* Moves the specified key to the last position. Returns false if the key is not in this map.
+*/
+LinkedMap.prototype.moveToBack = function(key) {
+   var node = this._nodes.get(key);
+   if (node) this._entries.moveToBack(node);
+   return !!node;
+};
+
+/*
+* Returns the number of key-value pairs in this map.
+*/
+LinkedMap.prototype.size = function() {
+   return this._nodes.size();
+};
+
+LinkedMap.prototype.keys = ArrayMap.prototype.keys;
+LinkedMap.prototype.values = ArrayMap.prototype.values;
+
+LinkedMap.prototype[iteratorSymbol] = ArrayMap.prototype[iteratorSymbol];
+LinkedMap.prototype.keysIterator = ArrayMap.prototype.keysIterator;
+LinkedMap.prototype.valuesIterator = ArrayMap.prototype.valuesIterator;
+LinkedMap.prototype.entriesIterator = ArrayMap.prototype.entriesIterator;
+
+LinkedMap.prototype.keySorted = ArrayMap.prototype.keySorted;
+LinkedMap.prototype.valueSorted = LinkedMap.prototype.sorted = ArrayMap.prototype.sorted;
+LinkedMap.prototype._sortBy = ArrayMap.prototype._sortBy;
+
+/*
+* Returns a transient version of this map: A copy of this map, keeping its order, to apply many modifications to,
+* then frozen in place by calling its persistent() method.
+*/
+LinkedMap.prototype.asTransient = function() {
+   return makeTransient(this._createNew(this._items()));
+};
+
+/*
+* Applies the modifications made by a function to a transient version of this map and returns it, frozen.
+*/
+LinkedMap.prototype.withMutations = withMutations;
+
+/*
+* Makes this map read-only: Putting, removing or moving keys then throws an Error. Returns this map.
+*/
+LinkedMap.prototype.freeze = function() {
+   this._nodes.freeze();
+   this._entries.freeze();
+   return freeze(this);
+};
+
+LinkedMap.prototype._mutators = Map.prototype._mutators.concat(['moveToFront', 'moveToBack']);
+
+// Iterable overrides
+
+LinkedMap.prototype._invokeItem = Map.prototype._invokeItem;
+
+LinkedMap.prototype._createNew = function(array) {
+   var map = LinkedMap.withKey(this._nodes.getId);
+   addAll(map, array);
+   return map;
+};
+
+
+Collection.LinkedMap = LinkedMap;
\ No newline at end of file
@@ -7,7 +7,9 @@
 var List = createType('List', Sequence);
 
 List.fromArray = function(array) {
-	return List.apply(null, array);
+	var list = List();
+	list.items = cloneArray(array);
+	return list;
 };
 
 List.prototype._init = function() {
@@ -19,6 +21,7 @@ List.prototype._init = function() {
 */
 List.prototype.add = function(item) {
 	this.items.push(item);
+	this._notify({type: 'splice', index: this.items.length - 1, removed: [], added: [item]});
 	return this;
 };
 
@@ -27,7 +30,7 @@ List.prototype.add = function(item) {
 */
 List.prototype.addAt = function(item, index) {
 	this._assertRange(index);
-	this.items.splice(index, 0, item);
+	this._splice(index, 0, [item]);
 	return this;
 };
 
@@ -39,6 +42,7 @@ List.prototype.update = function(index, item) {
 	var previousItem = this.items[index];
 	if (previousItem !== item) {
 		this.items[index] = item;
+		this._notify({type: 'update', index: index, oldValue: previousItem, newValue: item});
 	}
 	return this;
 };
@@ -49,7 +53,7 @@ List.prototype.update = function(index, item) {
 List.prototype.remove = function(item) {
 	var index = this.indexOf(item);
 	if (index > -1) {
-		return this.items.splice(index, 1)[0];
+		return this._splice(index, 1, [])[0];
 	}
 	return false;
 };
@@ -58,7 +62,7 @@ List.prototype.remove = function(item) {
 * Removes and returns the item located at the specified index.
 */
 List.prototype.removeAt = function(index) {
-	var item = this.items.splice(index, 1)[0];
+	var item = this._splice(index, 1, [])[0];
 	return item;
 };
 
@@ -84,7 +88,7 @@ List.prototype.removeLast = function() {
 List.prototype.removeAll = function() {
 	var size = this.size();
 	if (size > 0) {
-		this.items.splice(0, size);
+		this._splice(0, size, []);
 	}
 	return this;
 };
@@ -95,15 +99,31 @@ List.prototype.removeAll = function() {
 * This is a mutating, reversed equivalent of Iterable's filter.
 */
 List.prototype.removeIf = function(predicate) {
-	var removed = [];
-	for (var i=0, length=this.items.length; i < length; i++) {
-		if (predicate(this.items[i])) {
-			removed.push(this.items[i]);
-			this.items.splice(i, 1);
-			i--;
-		}
-	}
-	return List.fromArray(removed);
+	var result = removeMatching(this.items, predicate);
+	if (result.record) this._notify(result.record);
+	return List.fromArray(result.removed);
+};
+
+/*
+* Returns a transient version of this list: A copy of this list to apply many modifications to,
+* then frozen in place by calling its persistent() method.
+*/
+List.prototype.asTransient = function() {
+	return makeTransient(List.fromArray(this.items));
+};
+
+/*
+* Applies the modifications made by a function to a transient version of this list and returns it, frozen:
+* Any further call to one of its mutating methods throws an Error and its items Array cannot be modified.
+*/
+List.prototype.withMutations = withMutations;
+
+/*
+* Makes this list read-only: Any further call to one of its mutating methods throws an Error
+* and its items Array is frozen. Returns this list.
+*/
+List.prototype.freeze = function() {
+	return freeze(this, this.items);
 };
 
 /*
@@ -113,6 +133,25 @@ List.prototype.toSet = function() {
 	return Set.fromArray(this.items);
 };
 
+makeObservable(List);
+
+/*
+* Removes and adds items like Array's splice and notifies the listeners if anything changed.
+* Returns the removed items.
+*/
+List.prototype._splice = function(index, removeCount, added) {
+	var items = this.items;
+	var start = (index < 0) ? Math.max(items.length + index, 0) : Math.min(index, items.length);
+	var removed = spliceArray(items, start, removeCount, added);
+	if (removed.length || added.length) {
+		this._notify({type: 'splice', index: start, removed: removed, added: added});
+	}
+	return removed;
+};
+
+List.prototype._mutators = ['add', 'addAt', 'update', 'remove', 'removeAt',
+	'removeFirst', 'removeLast', 'removeAll', 'removeIf'];
+
 List.prototype._assertRange = function(index) {
 	if (index < 0 || index > this.size()) {
 		throw new Error('Illegal insertion at index ' + index + ' in List with size ' + (this.size() - 1));
@@ -0,0 +1,275 @@
+/*
+* A read-only List kept in sync with the collection it was derived from,
+* created using List's liveFilter, liveMap and liveSorted or ArrayMap's liveValues.
+*
+* A live list observes its source and applies every change incrementally instead of recomputing all its items.
+* As a live list is itself observable, live lists can be derived from other live lists.
+* Calling any of the List mutating methods throws an Error.
+* The collections returned by the Iterable methods (filter, map, etc) are regular Lists.
+*/
+var LiveList = createType('LiveList', List);
+
+LiveList.prototype._init = function(source, items, applyChange) {
+   this.items = items;
+   this._source = source;
+   this._listener = bind(applyChange, this);
+   source.observe(this._listener);
+   seal(this, 'read-only');
+};
+
+/*
+* Stops updating this list. Its current items are kept.
+*/
+LiveList.prototype.dispose = function() {
+   if (this._source) this._source.unobserve(this._listener);
+   this._source = null;
+};
+
+LiveList.prototype._createNew = function(array) {
+   return List.fromArray(array);
+};
+
+/*
+* Replaces the item at an index, bypassing the sealed update.
+*/
+LiveList.prototype._update = function(index, item) {
+   List.prototype.update.call(this, index, item);
+};
+
+
+/*
+* Returns a live list of the items of this list satisfying a predicate.
+* When this list changes, the predicate is only invoked for the items found in the change record.
+*/
+List.prototype.liveFilter = function(predicate) {
+   var flags = [], items = [];
+   for (var i = 0, length = this.items.length; i < length; i++) {
+      if (flags[i] = !!predicate(this.items[i])) items.push(this.items[i]);
+   }
+   var matches = MatchIndex(flags);
+
+   return LiveList(this, items, function(record) {
+      var index = matches.countBefore(record.index);
+
+      if (record.type == 'update') {
+         var isMatch = !!predicate(record.newValue);
+         var wasMatch = matches.set(record.index, isMatch);
+
+         if (wasMatch && isMatch) this._update(index, record.newValue);
+         else if (wasMatch) this._splice(index, 1, []);
+         else if (isMatch) this._splice(index, 0, [record.newValue]);
+         return;
+      }
+
+      var added = [], addedFlags = [];
+      for (var i = 0, length = record.added.length; i < length; i++) {
+         if (addedFlags[i] = !!predicate(record.added[i])) added.push(record.added[i]);
+      }
+      var removeCount = matches.splice(record.index, record.removed.length, addedFlags);
+      if (removeCount || added.length) this._splice(index, removeCount, added);
+   });
+};
+
+/*
+* Returns a live list of the results of applying a function to all items of this list.
+* When this list changes, the function is only invoked for the items found in the change record.
+* Unlike with Iterable's map, Collection.NOT_MAPPED has no special meaning.
+*/
+List.prototype.liveMap = function(callback) {
+   var mapAll = function(array) {
+      var result = [];
+      for (var i = 0, length = array.length; i < length; i++) result.push(callback(array[i]));
+      return result;
+   };
+
+   return LiveList(this, mapAll(this.items), function(record) {
+      if (record.type == 'update') this._update(record.index, callback(record.newValue));
+      else this._splice(record.index, record.removed.length, mapAll(record.added));
+   });
+};
+
+/*
+* Returns a live list of the items of this list, sorted using the same options as Iterable's sorted.
+* Each added or updated item is inserted at its position using a binary search,
+* except when many items change at once (e.g removeAll) in which case the items are sorted again.
+* Items comparing equal may not keep the order they have in this list.
+*/
+List.prototype.liveSorted = function(options) {
+   var compare = createComparator(options);
+   var source = this;
+   var sortAll = function() {
+      return cloneArray(source.items).sort(compare);
+   };
+
+   return LiveList(this, sortAll(), function(record) {
+      var removed = (record.type == 'update') ? [record.oldValue] : record.removed;
+      var added = (record.type == 'update') ? [record.newValue] : record.added;
+
+      if (removed.length + added.length > LIVE_SORT_THRESHOLD) {
+         this._splice(0, this.items.length, sortAll());
+         return;
+      }
+      for (var i = 0; i < removed.length; i++) {
+         var index = sortedIndexOf(this.items, removed[i], compare);
+         if (index > -1) this._splice(index, 1, []);
+      }
+      for (var i = 0; i < added.length; i++) {
+         this._splice(sortedInsertionIndex(this.items, added[i], compare), 0, [added[i]]);
+      }
+   });
+};
+
+var LIVE_SORT_THRESHOLD = 32;
+
+var countMatches = function(flags, start, end) {
+   var count = 0;
+   for (var i = start; i < end; i++) {
+      if (flags[i]) count++;
+   }
+   return count;
+};
+
+/*
+* Tells, for each item of a live filter's source, whether it matches the filter.
+* The flags are stored in blocks knowing how many of their flags are set,
+* so that counting the matches found before an index does not go through all the items.
+*/
+var MatchIndex = createType('MatchIndex');
+
+MatchIndex.prototype._init = function(flags) {
+   this._blocks = [];
+   for (var i = 0; i < flags.length; i += MATCH_BLOCK_SIZE) {
+      this._blocks.push(matchBlock(flags.slice(i, i + MATCH_BLOCK_SIZE)));
+   }
+};
+
+/*
+* Returns the number of matches found before an index.
+*/
+MatchIndex.prototype.countBefore = function(index) {
+   var blocks = this._blocks, count = 0;
+   for (var b = 0; b < blocks.length; b++) {
+      var flags = blocks[b].flags;
+      if (index < flags.length) return count + countMatches(flags, 0, index);
+      count += blocks[b].count;
+      index -= flags.length;
+   }
+   return count;
+};
+
+/*
+* Sets the flag at an index and returns the previous one.
+*/
+MatchIndex.prototype.set = function(index, isMatch) {
+   var location = this._locate(index), block = this._blocks[location.block];
+   var wasMatch = block.flags[location.offset];
+   block.flags[location.offset] = isMatch;
+   block.count += isMatch - wasMatch;
+   return wasMatch;
+};
+
+/*
+* Removes removeCount flags at an index then inserts the added flags there.
+* Returns the number of matches that were removed.
+*/
+MatchIndex.prototype.splice = function(index, removeCount, added) {
+   var blocks = this._blocks, removedCount = 0;
+
+   var location = this._locate(index), b = location.block, offset = location.offset;
+   while (removeCount > 0) {
+      var removed = blocks[b].flags.splice(offset, removeCount);
+      var removedMatches = countMatches(removed, 0, removed.length);
+      blocks[b].count -= removedMatches;
+      removedCount += removedMatches;
+      removeCount -= removed.length;
+
+      if (blocks[b].flags.length) b++;
+      else blocks.splice(b, 1);
+      offset = 0;
+   }
+
+   if (added.length) {
+      if (!blocks.length) blocks.push(matchBlock([]));
+      location = this._locate(index);
+      var block = blocks[location.block], flags = block.flags;
+      block.flags = flags.slice(0, location.offset).concat(added, flags.slice(location.offset));
+      block.count += countMatches(added, 0, added.length);
+   }
+
+   if (blocks.length) this._balance(Math.min(this._locate(index).block, blocks.length - 1));
+   return removedCount;
+};
+
+/*
+* Returns the block holding the flag at an index and the position of the flag in that block.
+* The end index is located at the end of the last block.
+*/
+MatchIndex.prototype._locate = function(index) {
+   var blocks = this._blocks, b = 0;
+   while (b < blocks.length - 1 && index >= blocks[b].flags.length) {
+      index -= blocks[b].flags.length;
+      b++;
+   }
+   return {block: b, offset: index};
+};
+
+/*
+* Splits a block grown too big and merges a block grown too small with the next one.
+*/
+MatchIndex.prototype._balance = function(b) {
+   var blocks = this._blocks, block = blocks[b];
+
+   if (block.flags.length < MATCH_BLOCK_SIZE / 2 && b < blocks.length - 1) {
+      var next = blocks.splice(b + 1, 1)[0];
+      block.flags = block.flags.concat(next.flags);
+      block.count += next.count;
+   }
+   if (block.flags.length > MATCH_BLOCK_SIZE * 2) {
+      var split = MatchIndex(block.flags)._blocks;
+      blocks.splice.apply(blocks, [b, 1].concat(split));
+   }
+};
+
+var matchBlock = function(flags) {
+   return {flags: flags, count: countMatches(flags, 0, flags.length)};
+};
+
+var MATCH_BLOCK_SIZE = 256;
+
+/*
+* Returns the index following all the items comparing equal to the item in a sorted Array.
+*/
+var sortedInsertionIndex = function(array, item, compare) {
+   var low = 0, high = array.length;
+   while (low < high) {
+      var mid = (low + high) >> 1;
+      (compare(array[mid], item) <= 0)
+         ? low = mid + 1
+         : high = mid;
+   }
+   return low;
+};
+
+/*
+* Returns the index of the item in a sorted Array.
+* If the item can't be found where it should be (e.g its sort value was modified in place), the whole Array is searched.
+*/
+var sortedIndexOf = function(array, item, compare) {
+   var low = 0, high = array.length;
+   while (low < high) {
+      var mid = (low + high) >> 1;
+      (compare(array[mid], item) < 0)
+         ? low = mid + 1
+         : high = mid;
+   }
+   for (var i = low; i < array.length && compare(array[i], item) === 0; i++) {
+      if (array[i] === item) return i;
+   }
+   for (var i = 0; i < array.length; i++) {
+      if (array[i] === item) return i;
+   }
+   return -1;
+};
+
+
+Collection.LiveList = LiveList;
\ No newline at end of file
@@ -7,8 +7,12 @@
 *
 * The default behavior of a Map containing object keys is to use reference equality;
 * This behavior can be changed to user-defined equality by creating the Map using Map.withKey().
+*
+* All methods from Iterable are available, with the same (key, value) callbacks as ArrayMap.
+* The entries are stored in an Array, in no particular order: Removing an entry moves the last entry in its place.
+* The Iterable methods returning a collection return a Map using the same key function.
 */
-var Map = createType('Map');
+var Map = createType('Map', Iterable);
 
 /*
 * Creates a new Map which uses a key function to determine whether
@@ -25,6 +29,8 @@ Map.prototype._init = function() {
 
    this.getId = keyFunction;
    this.keyIdToEntry = {};
+   this.items = [];
+   this._positions = {};
 
    initPairs(this, pairs);
 };
@@ -32,6 +38,11 @@ Map.prototype._init = function() {
 Map.prototype.keyIdToEntry = null;
 Map.prototype.getId = null;
 
+/*
+* The index of each entry in the items Array, by key id.
+*/
+Map.prototype._positions = null;
+
 /* Private convenience hooks used by ArrayMap */
 Map.prototype.addedEntry = null;
 Map.prototype.removedEntry = null;
@@ -50,11 +61,16 @@ Map.prototype.put = function(key, value) {
    if (previousValue === undefined) {
       entry = Entry(key, value);
       this.keyIdToEntry[id] = entry;
-      this._size++;
+      this._positions[id] = this.items.length;
+      this.items.push(entry);
+      this._notify({type: 'add', key: key, value: value});
    }
    else {
       entry = this.keyIdToEntry[id];
       entry.value = value;
+      if (previousValue !== value) {
+         this._notify({type: 'update', key: entry.key, oldValue: previousValue, newValue: value});
+      }
    }
 
    this.addedEntry = entry;
@@ -72,8 +88,8 @@ Map.prototype.remove = function(key) {
       
    if (value !== undefined) {
       this.removedEntry = entry;
-      delete this.keyIdToEntry[id];
-      this._size--;
+      this._removeKeyId(id);
+      this._notify({type: 'remove', key: entry.key, oldValue: value});
    } 
    return value;
 };
@@ -82,13 +98,20 @@ Map.prototype.remove = function(key) {
 * Removes all key-value mappings satisfying a predicate.
 */
 Map.prototype.removeIf = function(predicate) {
-   var ids = this.keyIdToEntry;
-   for (var id in ids) {
-      if (predicate(ids[id].key, ids[id].value)) {
-         delete ids[id];
-         this._size--;
-      }       
+   var self = this, items = this.items;
+   var result = removeMatching(items, function(entry) {
+      if (!predicate(entry.key, entry.value)) return false;
+      var id = self.getId(entry.key);
+      delete self.keyIdToEntry[id];
+      delete self._positions[id];
+      return true;
+   });
+   if (!result.record) return this;
+
+   for (var i = result.record.index, length = items.length; i < length; i++) {
+      this._positions[this.getId(items[i].key)] = i;
    }
+   this._notify({type: 'splice', removed: result.removed, added: []});
    return this;
 };
 
@@ -96,8 +119,12 @@ Map.prototype.removeIf = function(predicate) {
 * Removes all key-value mappings from this map.
 */
 Map.prototype.removeAll = function() {
+   var removed = (this._observers && this.items.length) ? this.toArray() : null;
    this.keyIdToEntry = {};
-   this._size = 0;
+   this.items = [];
+   this._positions = {};
+   if (removed) this._notify({type: 'splice', removed: removed, added: []});
+   else this._version++;
    return this;
 };
 
@@ -134,9 +161,9 @@ Map.prototype.containsKey = function(key) {
 * Tests whether this map contains this value at least once.
 */
 Map.prototype.containsValue = function(value) {
-   var ids = this.keyIdToEntry;
-   for (var id in ids) {
-      if (ids[id].value === value) return true;
+   var items = this.items;
+   for (var i = 0, length = items.length; i < length; i++) {
+      if (items[i].value === value) return true;
    }
    return false;
 };
@@ -145,71 +172,111 @@ Map.prototype.containsValue = function(value) {
 * Returns a List of all the keys of this map, in no particular order.
 */
 Map.prototype.keys = function() {
-   var keys = [];
-   for (var id in this.keyIdToEntry) {
-      keys.push(this.keyIdToEntry[id].key);
-   }
-   return List.fromArray(keys);
+   return List.fromArray(Seq(this.items).map(function(entry) {return entry.key}));
 };
 
 /*
 * Returns a List of all the values of this map, in no particular order.
 */
 Map.prototype.values = function() {
-   var values = [];
-   for (var id in this.keyIdToEntry) {
-      values.push(this.keyIdToEntry[id].value);
-   }
-   return List.fromArray(values);
+   return List.fromArray(Seq(this.items).map(function(entry) {return entry.value}));
 };
 
 /*
-* Applies a function to all key-value of this map.
+* Returns an iterator over the [key, value] pairs of this map, in no particular order.
+* This makes it possible to use a Map with the ES2015 iteration protocol, e.g new window.Map(map).
+* As with all the Map iterators, the pairs are the ones found in the map when the iterator was created.
 */
-Map.prototype.each = function(callback) {
-   for (var id in this.keyIdToEntry) {
-      callback(
-         this.keyIdToEntry[id].key, 
-         this.keyIdToEntry[id].value);
-   }
+Map.prototype[iteratorSymbol] = function() {
+   return this.entriesIterator();
 };
 
-Map.prototype._size = 0;
 /*
-* Returns the number of key-value pairs in this map.
+* Returns an iterator over the keys of this map, in no particular order.
 */
-Map.prototype.size = function() {return this._size};
+Map.prototype.keysIterator = function() {
+   return arrayIterator(this.toArray(), function(entry) {return entry.key});
+};
+
+/*
+* Returns an iterator over the values of this map, in no particular order.
+*/
+Map.prototype.valuesIterator = function() {
+   return arrayIterator(this.toArray(), function(entry) {return entry.value});
+};
 
 /*
-* Converts this map to a List.
+* Returns an iterator over the [key, value] pairs of this map, in no particular order.
 */
-Map.prototype.toList = function() {
-   var entries = [];
-   for (var id in this.keyIdToEntry) {
-      entries.push(this.keyIdToEntry[id]);
+Map.prototype.entriesIterator = function() {
+   return arrayIterator(this.toArray(), function(entry) {return [entry.key, entry.value]});
+};
+
+/*
+* Returns a transient version of this map: A copy of this map to apply many modifications to,
+* then frozen in place by calling its persistent() method.
+* The copy reuses the key ids of this map instead of computing them again.
+*/
+Map.prototype.asTransient = function() {
+   var copy = Map.withKey(this.getId);
+   var positions = this._positions, items = this.items;
+   for (var id in positions) {
+      var index = positions[id];
+      var entry = Entry(items[index].key, items[index].value);
+      copy.keyIdToEntry[id] = entry;
+      copy.items[index] = entry;
+      copy._positions[id] = index;
    }
-   return List.fromArray(entries);
+   return makeTransient(copy);
 };
 
 /*
-* Converts this map to an Array.
+* Applies the modifications made by a function to a transient version of this map and returns it, frozen:
+* Any further call to one of its mutating methods throws an Error.
+*/
+Map.prototype.withMutations = withMutations;
+
+/*
+* Makes this map read-only: Any further call to one of its mutating methods throws an Error.
+* Returns this map.
 */
-Map.prototype.toArray = function() {
-   return this.toList().items;   
+Map.prototype.freeze = function() {
+   if (Object.freeze) Object.freeze(this.keyIdToEntry);
+   return freeze(this, this.items);
 };
 
+makeObservable(Map);
+
+Map.prototype._mutators = ['put', 'remove', 'removeIf', 'removeAll', 'getOrPut'];
+
 /*
-* Creates a copy of this map.
+* Removes the entry of the specified key id from the items, moving the last entry in its place.
 */
-Map.prototype.clone = function() {
-   var clone = Map();
-   clone.getId = this.getId;
-   this.each(function(key, value) {clone.put(key, value)});
-   return clone;
+Map.prototype._removeKeyId = function(id) {
+   var index = this._positions[id], items = this.items;
+   delete this.keyIdToEntry[id];
+   delete this._positions[id];
+
+   var last = items.pop();
+   if (index < items.length) {
+      items[index] = last;
+      this._positions[this.getId(last.key)] = index;
+   }
+};
+
+// Iterable overrides
+
+Map.prototype._invokeItem = function(func, item, extraParam, mapped) {
+   // The items of a mapped view are the [key, value] tuples returned by the mapping function.
+   return mapped
+      ? func(item[0], item[1], extraParam)
+      : func(item.key, item.value, extraParam);
 };
 
-Map.prototype.toString = function() {
-   return 'Map(' + this.toArray().join(', ') + ')';
+Map.prototype._createNew = function(array) {
+   var map = Map.withKey(this.getId);
+   addAll(map, array);
+   return map;
 };
 
 /*
@@ -0,0 +1,284 @@
+/*
+* A map associating each key with a bucket of values.
+*
+* By default, the buckets are Lists, so a value can be associated several times with the same key.
+* Sets can be used instead; See MultiMap.withOptions().
+* A key is only present in the map as long as its bucket is not empty.
+*
+* MultiMap is unordered and built on a Map; ArrayMultiMap keeps the insertion order of the keys and is built on an ArrayMap.
+*/
+var MultiMap = createType('MultiMap');
+
+/*
+* Creates a new MultiMap using the specified tuple Array.
+*/
+MultiMap.fromArray = function(array) {
+   var map = MultiMap();
+   addAll(map, array);
+   return map;
+};
+
+/*
+* Creates a new MultiMap which uses a key function to determine whether
+* it contains a binding for a key, as opposed to using reference equality.
+*/
+MultiMap.withKey = function(keyFunction) {
+   var pairs = slice.call(arguments, 1);
+   return MultiMap(optionArgs({key: keyFunction}, pairs));
+};
+
+/*
+* Creates a new MultiMap using the specified options:
+* key: The key function, as with withKey.
+* buckets: List (the default), Set, or any function returning an empty List or Set, e.g function() {return Set.withKey(personEmail)}.
+*/
+MultiMap.withOptions = function(options) {
+   var pairs = slice.call(arguments, 1);
+   return MultiMap(optionArgs(options, pairs));
+};
+
+MultiMap.prototype._init = function() {
+   var options = getOptions(arguments);
+   var pairs = getArgs(arguments);
+
+   this._options = options;
+   this._map = this._createMap(options.key || getId);
+   this._createBucket = options.buckets || List;
+   this._size = 0;
+
+   initPairs(this, pairs);
+};
+
+MultiMap.prototype._map = null;
+MultiMap.prototype._options = null;
+MultiMap.prototype._createBucket = null;
+MultiMap.prototype._size = 0;
+
+/*
+* Adds the value to the bucket of the specified key.
+* Returns true if the value was added, false if the bucket is a Set already containing it.
+*/
+MultiMap.prototype.put = function(key, value) {
+   var bucket = this._map.getOrPut(key, this._createBucket);
+   var size = bucket.size();
+   bucket.add(value);
+
+   if (bucket.size() == size) return false;
+   this._size++;
+   return true;
+};
+
+/*
+* Returns a read-only view of the bucket (a List or a Set) of the specified key, or undefined.
+*/
+MultiMap.prototype.get = function(key) {
+   var bucket = this._map.get(key);
+   return bucket && readOnly(bucket);
+};
+
+/*
+* Removes the value from the bucket of the specified key.
+* Returns true if the value was removed, false if it was not associated with this key.
+*/
+MultiMap.prototype.removeValue = function(key, value) {
+   var bucket = this._map.get(key);
+   if (!bucket) return false;
+
+   var size = bucket.size();
+   bucket.remove(value);
+   if (bucket.size() == size) return false;
+
+   this._size--;
+   if (bucket.isEmpty()) this._map.remove(key);
+   return true;
+};
+
+/*
+* Removes the specified key and all its values.
+* Returns the removed bucket, or undefined if the key was not in this map.
+*/
+MultiMap.prototype.removeKey = function(key) {
+   var bucket = this._map.remove(key);
+   if (bucket) this._size -= bucket.size();
+   return bucket;
+};
+
+/*
+* Removes all keys and values from this map.
+*/
+MultiMap.prototype.removeAll = function() {
+   this._map.removeAll();
+   this._size = 0;
+   return this;
+};
+
+/*
+* Tests whether this map contains a bucket for this key.
+*/
+MultiMap.prototype.containsKey = function(key) {
+   return this._map.containsKey(key);
+};
+
+/*
+* Tests whether this value is associated with the specified key.
+*/
+MultiMap.prototype.containsEntry = function(key, value) {
+   var bucket = this._map.get(key);
+   return !!bucket && bucket.contains(value);
+};
+
+/*
+* Tests whether this value is associated with at least one key.
+*/
+MultiMap.prototype.containsValue = function(value) {
+   return this._map.some(function(key, bucket) {return bucket.contains(value)});
+};
+
+/*
+* Returns the number of values of this map, counting each value once per key it is associated with.
+*/
+MultiMap.prototype.size = function() {
+   return this._size;
+};
+
+/*
+* Returns the number of keys of this map.
+*/
+MultiMap.prototype.keyCount = function() {
+   return this._map.size();
+};
+
+/*
+* Tests whether this map has no values, and therefore no keys.
+*/
+MultiMap.prototype.isEmpty = function() {
+   return this._size == 0;
+};
+
+/*
+* Returns a List of all the keys of this map.
+*/
+MultiMap.prototype.keys = function() {
+   return this._map.keys();
+};
+
+/*
+* Returns a List of the values of all the buckets.
+*/
+MultiMap.prototype.values = function() {
+   var values = [];
+   this.each(function(key, value) {values.push(value)});
+   return List.fromArray(values);
+};
+
+/*
+* Applies a function to all key-value pairs of this map.
+*/
+MultiMap.prototype.each = function(callback) {
+   this._map.each(function(key, bucket) {
+      var values = bucket.items;
+      for (var i = 0, length = values.length; i < length; i++) {
+         callback(key, values[i]);
+      }
+   });
+};
+
+/*
+* Returns a new map of the same type associating each value with the keys it is associated with in this map.
+* The inverted map uses the same kind of buckets and compares its keys (the values of this map) by reference.
+*/
+MultiMap.prototype.invert = function() {
+   var inverted = this.constructor.withOptions({buckets: this._createBucket});
+   this.each(function(key, value) {inverted.put(value, key)});
+   return inverted;
+};
+
+/*
+* Creates a copy of this map.
+*/
+MultiMap.prototype.clone = function() {
+   var clone = this.constructor.withOptions(this._options);
+   this.each(function(key, value) {clone.put(key, value)});
+   return clone;
+};
+
+/*
+* Returns a transient version of this map: A copy of this map, with the same options, to apply many modifications to,
+* then frozen in place by calling its persistent() method.
+*/
+MultiMap.prototype.asTransient = function() {
+   return makeTransient(this.clone());
+};
+
+/*
+* Applies the modifications made by a function to a transient version of this map and returns it, frozen.
+*/
+MultiMap.prototype.withMutations = withMutations;
+
+/*
+* Makes this map read-only: Any further call to one of its mutating methods throws an Error. Returns this map.
+*/
+MultiMap.prototype.freeze = function() {
+   this._map.freeze();
+   return freeze(this);
+};
+
+MultiMap.prototype._mutators = ['put', 'removeValue', 'removeKey', 'removeAll'];
+
+/*
+* Returns an iterator over the [key, value] pairs of this map.
+* The pairs are the ones found in the map when the iterator was created.
+*/
+MultiMap.prototype[iteratorSymbol] = function() {
+   var pairs = [];
+   this.each(function(key, value) {pairs.push([key, value])});
+   return arrayIterator(pairs);
+};
+
+MultiMap.prototype.toString = function() {
+   return this.constructor.typeName + '(' + this._map.toArray().join(', ') + ')';
+};
+
+MultiMap.prototype._createMap = function(keyFunction) {
+   return Map.withKey(keyFunction);
+};
+
+
+/*
+* A MultiMap keeping the insertion order of its keys.
+*/
+var ArrayMultiMap = createType('ArrayMultiMap', MultiMap);
+
+/*
+* Creates a new ArrayMultiMap using the specified tuple Array.
+*/
+ArrayMultiMap.fromArray = function(array) {
+   var map = ArrayMultiMap();
+   addAll(map, array);
+   return map;
+};
+
+/*
+* Same as MultiMap.withKey.
+*/
+ArrayMultiMap.withKey = function(keyFunction) {
+   var pairs = slice.call(arguments, 1);
+   return ArrayMultiMap(optionArgs({key: keyFunction}, pairs));
+};
+
+/*
+* Same as MultiMap.withOptions.
+*/
+ArrayMultiMap.withOptions = function(options) {
+   var pairs = slice.call(arguments, 1);
+   return ArrayMultiMap(optionArgs(options, pairs));
+};
+
+ArrayMultiMap.prototype._createMap = function(keyFunction) {
+   return ArrayMap.withKey(keyFunction);
+};
+
+
+
+Collection.MultiMap = MultiMap;
+Collection.ArrayMultiMap = ArrayMultiMap;
\ No newline at end of file
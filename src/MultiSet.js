@@ -0,0 +1,271 @@
+/*
+* An unordered collection counting the occurrences of its items, also known as a Bag.
+*
+* As with Set, the default behavior of a MultiSet containing objects is to use reference equality;
+* This behavior can be changed to user-defined equality by creating the MultiSet using MultiSet.withKey().
+*
+* The items are stored in a Map along with their number of occurrences.
+*/
+var MultiSet = createType('MultiSet');
+
+/*
+* Creates a new MultiSet containing all the specified array items.
+*/
+MultiSet.fromArray = function(array) {
+   var set = MultiSet();
+   addOccurrences(set, array);
+   return set;
+};
+
+/*
+* Creates a new MultiSet which uses a key function to determine whether
+* two items are the same, as opposed to using reference equality.
+*/
+MultiSet.withKey = function(keyFunction) {
+   var items = slice.call(arguments, 1);
+   return MultiSet(keyArgs(keyFunction, items));
+};
+
+MultiSet.prototype._init = function() {
+   var keyFunction = getKeyFunction(arguments);
+   this._map = Map.withKey(keyFunction);
+   this._size = 0;
+
+   addOccurrences(this, getArgs(arguments));
+};
+
+/*
+* The number of occurrences of each item.
+*/
+MultiSet.prototype._map = null;
+MultiSet.prototype._size = 0;
+
+/*
+* Adds the item the specified number of times (1 by default).
+* Returns the new number of occurrences of the item.
+*/
+MultiSet.prototype.add = function(item, times) {
+   times = (times === undefined) ? 1 : times;
+   var count = this.count(item);
+   if (times <= 0) return count;
+
+   this._map.put(item, count + times);
+   this._size += times;
+   return count + times;
+};
+
+/*
+* Removes the item the specified number of times (1 by default); Use Infinity to remove all its occurrences.
+* Returns the number of occurrences that were removed.
+*/
+MultiSet.prototype.remove = function(item, times) {
+   times = (times === undefined) ? 1 : times;
+   var count = this.count(item);
+   var removed = Math.max(0, Math.min(count, times));
+   if (!removed) return 0;
+
+   if (removed == count) this._map.remove(item);
+   else this._map.put(item, count - removed);
+   this._size -= removed;
+   return removed;
+};
+
+/*
+* Removes all items from this multiset.
+*/
+MultiSet.prototype.removeAll = function() {
+   this._map.removeAll();
+   this._size = 0;
+   return this;
+};
+
+/*
+* Returns the number of occurrences of the item.
+*/
+MultiSet.prototype.count = function(item) {
+   return this._map.get(item) || 0;
+};
+
+/*
+* Tests whether this multiset contains at least one occurrence of the item.
+*/
+MultiSet.prototype.contains = function(item) {
+   return this._map.containsKey(item);
+};
+
+/*
+* Returns the number of items in this multiset, counting all their occurrences.
+*/
+MultiSet.prototype.size = function() {
+   return this._size;
+};
+
+/*
+* Returns the number of distinct items in this multiset.
+*/
+MultiSet.prototype.distinctSize = function() {
+   return this._map.size();
+};
+
+/*
+* Tests whether this multiset has no occurrence of any item.
+*/
+MultiSet.prototype.isEmpty = function() {
+   return this._size == 0;
+};
+
+/*
+* Returns a Set of the distinct items of this multiset, using the same key function.
+*/
+MultiSet.prototype.distinct = function() {
+   var set = Set.withKey(this._map.getId);
+   this._map.each(function(item) {set.add(item)});
+   return set;
+};
+
+/*
+* Returns the n most common items as a List of [item, count] tuples, the most common first.
+* All the items are returned if n is not specified.
+*/
+MultiSet.prototype.mostCommon = function(n) {
+   var tuples = this._map.toList().map(function(entry) {return [entry.key, entry.value]});
+   var sorted = tuples.sorted({by: function(tuple) {return tuple[1]}, reverse: true});
+   return (n === undefined) ? sorted : sorted.take(n);
+};
+
+/*
+* Applies a function to all distinct items of this multiset along with their number of occurrences.
+*/
+MultiSet.prototype.each = function(callback) {
+   this._map.each(function(item, count) {callback(item, count)});
+};
+
+/*
+* The multiset algebra methods accept another MultiSet, any Iterable or iterable collection (e.g a View) or an Array.
+* As with Set, the items are compared using the key function of this multiset
+* and the resulting multisets use the key function of this multiset.
+*/
+
+/*
+* Returns a multiset where each item occurs as many times as in the multiset where it occurs the most.
+*/
+MultiSet.prototype.union = function(that) {
+   var result = this.clone();
+   this._occurrences(that).each(function(item, count) {
+      result.add(item, count - result.count(item));
+   });
+   return result;
+};
+
+/*
+* Returns a multiset where each item occurs as many times as in the multiset where it occurs the least.
+*/
+MultiSet.prototype.intersect = function(that) {
+   var other = this._occurrences(that), result = this._createEmpty();
+   this.each(function(item, count) {
+      result.add(item, Math.min(count, other.count(item)));
+   });
+   return result;
+};
+
+/*
+* Returns a multiset where the occurrences of the items of both multisets are added.
+*/
+MultiSet.prototype.sum = function(that) {
+   var result = this.clone();
+   this._occurrences(that).each(function(item, count) {result.add(item, count)});
+   return result;
+};
+
+/*
+* Returns a multiset where the occurrences of the items of the other multiset are removed from the occurrences of this multiset.
+*/
+MultiSet.prototype.diff = function(that) {
+   var result = this.clone();
+   this._occurrences(that).each(function(item, count) {result.remove(item, count)});
+   return result;
+};
+
+/*
+* Converts this multiset to a List, where each item is repeated as many times as it occurs.
+*/
+MultiSet.prototype.toList = function() {
+   return List.fromArray(this.toArray());
+};
+
+/*
+* Converts this multiset to an Array, where each item is repeated as many times as it occurs.
+*/
+MultiSet.prototype.toArray = function() {
+   var array = [];
+   this.each(function(item, count) {
+      for (var i = 0; i < count; i++) array.push(item);
+   });
+   return array;
+};
+
+/*
+* Creates a copy of this multiset.
+*/
+MultiSet.prototype.clone = function() {
+   var clone = this._createEmpty();
+   this.each(function(item, count) {clone.add(item, count)});
+   return clone;
+};
+
+/*
+* Returns a copy of this multiset to add and remove many occurrences to,
+* which its persistent() method then freezes and returns.
+*/
+MultiSet.prototype.asTransient = function() {
+   return makeTransient(this.clone());
+};
+
+/*
+* Same as calling a function with asTransient() and returning the persistent() multiset.
+*/
+MultiSet.prototype.withMutations = withMutations;
+
+/*
+* Prevents any further addition or removal of occurrences: add, remove and removeAll then throw. Returns this multiset.
+*/
+MultiSet.prototype.freeze = function() {
+   this._map.freeze();
+   return freeze(this);
+};
+
+MultiSet.prototype._mutators = ['add', 'remove', 'removeAll'];
+
+/*
+* Returns an iterator over the items of this multiset, each item being repeated as many times as it occurs.
+* The items are the ones found in the multiset when the iterator was created.
+*/
+MultiSet.prototype[iteratorSymbol] = function() {
+   return arrayIterator(this.toArray());
+};
+
+MultiSet.prototype.toString = function() {
+   return 'MultiSet(' + this.toArray().join(', ') + ')';
+};
+
+MultiSet.prototype._createEmpty = function() {
+   return MultiSet.withKey(this._map.getId);
+};
+
+/*
+* Returns the occurrences of the items of a MultiSet, Iterable or Array using the key function of this multiset.
+*/
+MultiSet.prototype._occurrences = function(that) {
+   var result = this._createEmpty();
+   if (that instanceof MultiSet) that.each(function(item, count) {result.add(item, count)});
+   else addOccurrences(result, collectionItems(that));
+   return result;
+};
+
+
+var addOccurrences = function(multiSet, items) {
+   for (var i = 0, length = items.length; i < length; i++) multiSet.add(items[i]);
+};
+
+
+Collection.MultiSet = MultiSet;
\ No newline at end of file
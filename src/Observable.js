@@ -0,0 +1,66 @@
+/*
+* The methods shared by the collections whose modifications can be observed: List, Set, Map and ArrayMap.
+*
+* A listener is synchronously called with a change record and the collection every time the collection is modified.
+* A change record always has a type property:
+* - 'splice' (List, ArrayMap, and the batch operations of Set and Map): Some items were removed and/or added.
+*   The removed and added properties hold the Arrays of items (or entries for maps) and for ordered collections,
+*   the index property is the position at which the items were removed and added.
+* - 'update' (List, Map, ArrayMap): The item at an index or the value bound to a key was replaced.
+*   The record holds the index and/or key along with the oldValue and newValue.
+* - 'add' and 'remove' (Set, Map, ArrayMap): A single item or key was added or removed.
+* The records sent while a modification is reverted (See revertChange) hold the record of that modification as their reverts property.
+*/
+var observable = {};
+
+/*
+* Registers a listener called after every modification of this collection.
+* The listeners Array is replaced rather than modified, so that listeners can be added or removed while a record is sent.
+*/
+observable.observe = function(listener) {
+   this._observers = (this._observers || []).concat([listener]);
+   return this;
+};
+
+/*
+* Removes a listener previously registered with observe.
+*/
+observable.unobserve = function(listener) {
+   var observers = this._observers || [];
+   for (var i = 0, length = observers.length; i < length; i++) {
+      if (observers[i] === listener) {
+         observers = observers.slice(0, i).concat(observers.slice(i + 1));
+         break;
+      }
+   }
+   this._observers = observers.length ? observers : null;
+   return this;
+};
+
+/*
+* Sends a change record to all the listeners.
+* The version is incremented even when there are no listeners, e.g so that read-only views know when to copy the items again.
+*/
+observable._notify = function(record) {
+   this._version++;
+   if (this._reverting) record.reverts = this._reverting;
+   var observers = this._observers;
+   if (!observers) return;
+   for (var i = 0, length = observers.length; i < length; i++) {
+      observers[i](record, this);
+   }
+};
+
+observable._observers = null;
+observable._version = 0;
+
+/*
+* The change record being reverted, if any. See revertChange.
+*/
+observable._reverting = null;
+
+var makeObservable = function(Type) {
+   for (var name in observable) {
+      Type.prototype[name] = observable[name];
+   }
+};
\ No newline at end of file
@@ -0,0 +1,507 @@
+/*
+* An immutable ordered collection.
+* PersistentList has access to all Sequence and Iterable methods.
+*
+* Unlike List, the methods add, addAt, update and remove* never mutate the list:
+* They return a new list and leave the original untouched. This makes it cheap to keep
+* older versions of a list around, e.g to implement an undo stack.
+*
+* The items are stored in the leaves of a bit-partitioned vector trie with a branching factor of 32.
+* A new version only copies the path leading to the modified item and shares everything else
+* with the previous version, so that all modifications are O(log32 n).
+* Inserting or removing items before the end of the list relaxes the trie: The affected nodes
+* then keep a table of their children's sizes instead of relying on the radix alone.
+*
+* The items property is built (once per version) the first time it is read. Reading it, like using
+* any Iterable method, is O(n); Use size() and itemAt() for constant or logarithmic access.
+*/
+var PersistentList = createType('PersistentList', Sequence);
+
+PersistentList.fromArray = function(array) {
+   var tree = vectorFromArray(array);
+   return persistentList(tree.root, tree.shift, array.length);
+};
+
+PersistentList.prototype._init = function() {
+   var tree = vectorFromArray(cloneArray(arguments));
+   this._root = tree.root;
+   this._shift = tree.shift;
+   this._size = arguments.length;
+};
+
+PersistentList.prototype._root = null;
+PersistentList.prototype._shift = 0;
+PersistentList.prototype._size = 0;
+PersistentList.prototype._itemArray = null;
+
+PersistentList.prototype._items = function() {
+   if (!this._itemArray) {
+      this._itemArray = [];
+      if (this._root) vectorFlatten(this._root, this._shift, this._itemArray);
+   }
+   return this._itemArray;
+};
+
+defineGetter(PersistentList.prototype, 'items', PersistentList.prototype._items);
+
+/*
+* Returns the number of items in this list.
+*/
+PersistentList.prototype.size = function() {
+   return this._size;
+};
+
+/*
+* Returns the item located at the specified index.
+*/
+PersistentList.prototype.itemAt = function(index) {
+   if (index < 0 || index >= this._size) return undefined;
+   return vectorGet(this._root, this._shift, index);
+};
+
+/*
+* Returns the first item of this list.
+*/
+PersistentList.prototype.first = function() {
+   return this.itemAt(0);
+};
+
+/*
+* Returns the last item of this list.
+*/
+PersistentList.prototype.last = function() {
+   return this.itemAt(this._size - 1);
+};
+
+/*
+* Returns a new list with the item appended at the last position.
+*/
+PersistentList.prototype.add = function(item) {
+   return this._insert(item, this._size);
+};
+
+/*
+* Returns a new list with the item added at a specific index.
+*/
+PersistentList.prototype.addAt = function(item, index) {
+   this._assertRange(index);
+   return this._insert(item, index);
+};
+
+/*
+* Returns a new list where the item at the given index is replaced with a new value.
+*/
+PersistentList.prototype.update = function(index, item) {
+   if (index < 0 || index >= this._size) {
+      throw new Error('Illegal update at index ' + index + ' in PersistentList with size ' + this._size);
+   }
+   if (this.itemAt(index) === item) return this;
+
+   var list = this._copy();
+   list._root = vectorSet(list._root, list._shift, index, item, null);
+   return list;
+};
+
+/*
+* Returns a new list without the first occurence of the item.
+*/
+PersistentList.prototype.remove = function(item) {
+   return this.removeAt(this.indexOf(item));
+};
+
+/*
+* Returns a new list without the item located at the specified index.
+*/
+PersistentList.prototype.removeAt = function(index) {
+   if (index < 0 || index >= this._size) return this;
+
+   var list = this._copy();
+   vectorListRemove(list, index, null);
+   return list;
+};
+
+/*
+* Returns a new list without the first item.
+*/
+PersistentList.prototype.removeFirst = function() {
+   return this.removeAt(0);
+};
+
+/*
+* Returns a new list without the last item.
+*/
+PersistentList.prototype.removeLast = function() {
+   return this.removeAt(this._size - 1);
+};
+
+/*
+* Returns an empty list.
+*/
+PersistentList.prototype.removeAll = function() {
+   return this._size ? PersistentList() : this;
+};
+
+/*
+* Returns a new list without the items satisfying a predicate.
+*/
+PersistentList.prototype.removeIf = function(predicate) {
+   var result = this.filter(not(predicate));
+   return (result.size() == this._size) ? this : result;
+};
+
+/*
+* Returns a transient version of this list: A mutable list that can be used to efficiently apply
+* many modifications in a row, then turned back into a PersistentList by calling persistent().
+* This list is not affected by the modifications made to the transient list.
+*/
+PersistentList.prototype.asTransient = function() {
+   return TransientList(this._root, this._shift, this._size);
+};
+
+/*
+* Applies the modifications made by a function to a transient version of this list
+* and returns the resulting PersistentList.
+*/
+PersistentList.prototype.withMutations = function(mutator) {
+   var transient = this.asTransient();
+   mutator(transient);
+   var list = transient.persistent();
+   return (list._root === this._root) ? this : list;
+};
+
+/*
+* No method modifies a PersistentList, so Collection.readOnly returns it as is.
+*/
+PersistentList.prototype._mutators = [];
+
+PersistentList.prototype._insert = function(item, index) {
+   var list = this._copy();
+   vectorListInsert(list, index, item, null);
+   return list;
+};
+
+PersistentList.prototype._copy = function() {
+   return persistentList(this._root, this._shift, this._size);
+};
+
+PersistentList.prototype._assertRange = List.prototype._assertRange;
+
+
+/*
+* A mutable version of a PersistentList, created using PersistentList's asTransient().
+*
+* The nodes of the trie created or copied by a transient are owned by it and are then modified in place
+* instead of being copied again for every modification. persistent() returns the PersistentList
+* holding the current items; The transient can no longer be used afterwards.
+*/
+var TransientList = createType('TransientList');
+
+TransientList.prototype._init = function(root, shift, size) {
+   this._root = root || null;
+   this._shift = shift || 0;
+   this._size = size || 0;
+   this._edit = {};
+};
+
+/*
+* Returns the number of items in this list.
+*/
+TransientList.prototype.size = PersistentList.prototype.size;
+
+/*
+* Returns the item located at the specified index.
+*/
+TransientList.prototype.itemAt = PersistentList.prototype.itemAt;
+
+/*
+* Appends the item at the last position of this list.
+*/
+TransientList.prototype.add = function(item) {
+   vectorListInsert(this, this._size, item, this._assertEditable());
+   return this;
+};
+
+/*
+* Adds the item at a specific index.
+*/
+TransientList.prototype.addAt = function(item, index) {
+   var edit = this._assertEditable();
+   this._assertRange(index);
+   vectorListInsert(this, index, item, edit);
+   return this;
+};
+
+/*
+* Replaces the item at the given index with a new value.
+*/
+TransientList.prototype.update = function(index, item) {
+   var edit = this._assertEditable();
+   if (index < 0 || index >= this._size) {
+      throw new Error('Illegal update at index ' + index + ' in TransientList with size ' + this._size);
+   }
+   this._root = vectorSet(this._root, this._shift, index, item, edit);
+   return this;
+};
+
+/*
+* Removes and returns the item located at the specified index.
+*/
+TransientList.prototype.removeAt = function(index) {
+   var edit = this._assertEditable();
+   if (index < 0 || index >= this._size) return undefined;
+
+   var item = this.itemAt(index);
+   vectorListRemove(this, index, edit);
+   return item;
+};
+
+/*
+* Removes the first item from this list.
+*/
+TransientList.prototype.removeFirst = function() {
+   return this.removeAt(0);
+};
+
+/*
+* Removes the last item from this list.
+*/
+TransientList.prototype.removeLast = function() {
+   return this.removeAt(this._size - 1);
+};
+
+/*
+* Returns a PersistentList holding the items of this list.
+* This transient list can no longer be used afterwards.
+*/
+TransientList.prototype.persistent = function() {
+   this._assertEditable();
+   this._edit = null;
+   return persistentList(this._root, this._shift, this._size);
+};
+
+TransientList.prototype._assertEditable = function() {
+   if (!this._edit) throw new Error('A TransientList can no longer be used after persistent() was called');
+   return this._edit;
+};
+
+TransientList.prototype._assertRange = List.prototype._assertRange;
+TransientList.prototype._mutators = ['add', 'addAt', 'update', 'removeAt', 'removeFirst', 'removeLast', 'persistent'];
+
+/*
+* Converts this list to a PersistentList.
+*/
+List.prototype.toPersistentList = function() {
+   return PersistentList.fromArray(this._items());
+};
+
+
+var persistentList = function(root, shift, size) {
+   var list = new PersistentList();
+   list._root = root;
+   list._shift = shift;
+   list._size = size;
+   return list;
+};
+
+// Operations shared by PersistentList and TransientList, modifying the trie of a list in place.
+// PersistentList applies them on a fresh copy of itself, with a null edit token.
+
+var vectorListInsert = function(list, index, item, edit) {
+   if (!list._root) {
+      list._root = vectorNode([item], 0, edit);
+      list._shift = 0;
+   }
+   else {
+      var nodes = vectorInsert(list._root, list._shift, index, item, index == list._size, edit);
+      if (nodes.length > 1) {
+         list._shift += VECTOR_BITS;
+         nodes = [vectorNode(nodes, list._shift, edit)];
+      }
+      list._root = nodes[0];
+   }
+   list._size++;
+};
+
+var vectorListRemove = function(list, index, edit) {
+   var root = vectorRemove(list._root, list._shift, index, edit), shift = list._shift;
+   while (root && shift > 0 && root.array.length == 1) {
+      root = root.array[0];
+      shift -= VECTOR_BITS;
+   }
+   list._root = root;
+   list._shift = root ? shift : 0;
+   list._size--;
+};
+
+// Vector trie
+
+var VECTOR_BITS = 5,
+    VECTOR_WIDTH = 1 << VECTOR_BITS;
+
+/*
+* Creates a trie node. Leaves (shift 0) hold items, other nodes hold nodes of the level below.
+* A node is balanced when all its children but the last one are full and balanced, in which case the child
+* holding an index is found using the radix alone. Otherwise, the node keeps the cumulated sizes of its children.
+*
+* The edit token identifies the transient owning the node, if any: Only that transient may mutate the node in place.
+*/
+var vectorNode = function(array, shift, edit) {
+   return vectorResize({array: array, sizes: null, size: 0, edit: edit || null}, shift);
+};
+
+/*
+* Computes the size and (if needed) the sizes table of a node after its children changed.
+*/
+var vectorResize = function(node, shift) {
+   var array = node.array;
+   node.sizes = null;
+   node.size = array.length;
+   if (shift === 0) return node;
+
+   var fullSize = 1 << shift, sizes = [], size = 0, balanced = true;
+   for (var i = 0, length = array.length; i < length; i++) {
+      var child = array[i];
+      size += child.size;
+      sizes.push(size);
+      if (child.sizes || (i < length - 1 && child.size !== fullSize)) balanced = false;
+   }
+   node.size = size;
+   if (!balanced) node.sizes = sizes;
+   return node;
+};
+
+/*
+* Returns the node itself if it is owned by the specified transient, or a copy owned by it.
+* Persistent operations use a null edit token, so that nodes are always copied.
+*/
+var vectorEditable = function(node, edit) {
+   if (edit && node.edit === edit) return node;
+   return {array: node.array.slice(), sizes: node.sizes, size: node.size, edit: edit};
+};
+
+var vectorFromArray = function(array) {
+   if (!array.length) return {root: null, shift: 0};
+
+   var nodes = [], shift = 0;
+   for (var i = 0; i < array.length; i += VECTOR_WIDTH) {
+      nodes.push(vectorNode(array.slice(i, i + VECTOR_WIDTH), 0));
+   }
+   while (nodes.length > 1) {
+      var parents = [];
+      shift += VECTOR_BITS;
+      for (var i = 0; i < nodes.length; i += VECTOR_WIDTH) {
+         parents.push(vectorNode(nodes.slice(i, i + VECTOR_WIDTH), shift));
+      }
+      nodes = parents;
+   }
+   return {root: nodes[0], shift: shift};
+};
+
+/*
+* Returns the slot of the child holding the specified index, relative to the node.
+* An index past the end of the node is held by the last child.
+*/
+var vectorSlot = function(node, shift, index) {
+   var slot = Math.min(index >> shift, node.array.length - 1);
+   if (node.sizes) {
+      while (slot < node.array.length - 1 && node.sizes[slot] <= index) slot++;
+   }
+   return slot;
+};
+
+/*
+* Returns the index of the first item held by the child at the specified slot, relative to the node.
+*/
+var vectorOffset = function(node, shift, slot) {
+   if (slot === 0) return 0;
+   return node.sizes ? node.sizes[slot - 1] : slot << shift;
+};
+
+var vectorGet = function(node, shift, index) {
+   while (shift > 0) {
+      var slot = vectorSlot(node, shift, index);
+      index -= vectorOffset(node, shift, slot);
+      node = node.array[slot];
+      shift -= VECTOR_BITS;
+   }
+   return node.array[index];
+};
+
+var vectorSet = function(node, shift, index, item, edit) {
+   var editable = vectorEditable(node, edit);
+   if (shift === 0) {
+      editable.array[index] = item;
+   }
+   else {
+      var slot = vectorSlot(node, shift, index);
+      editable.array[slot] = vectorSet(node.array[slot], shift - VECTOR_BITS,
+         index - vectorOffset(node, shift, slot), item, edit);
+   }
+   return editable;
+};
+
+/*
+* Returns one node, or two nodes if the node had to be split.
+* When appending, a full node is split so that the left node remains full and the trie stays balanced.
+*/
+var vectorInsert = function(node, shift, index, item, append, edit) {
+   var editable = vectorEditable(node, edit), array = editable.array;
+   if (shift === 0) {
+      array.splice(index, 0, item);
+   }
+   else {
+      var slot = vectorSlot(node, shift, index);
+      var nodes = vectorInsert(node.array[slot], shift - VECTOR_BITS,
+         index - vectorOffset(node, shift, slot), item, append, edit);
+      array.splice.apply(array, [slot, 1].concat(nodes));
+   }
+
+   if (array.length <= VECTOR_WIDTH) return [vectorResize(editable, shift)];
+
+   var cut = append ? VECTOR_WIDTH : (array.length >> 1);
+   return [vectorNode(array.slice(0, cut), shift, edit), vectorNode(array.slice(cut), shift, edit)];
+};
+
+/*
+* Returns the new node, or null if the node no longer holds any item.
+* A child left less than half full is merged with a sibling when they fit in a single node.
+*/
+var vectorRemove = function(node, shift, index, edit) {
+   var editable = vectorEditable(node, edit), array = editable.array;
+   if (shift === 0) {
+      array.splice(index, 1);
+   }
+   else {
+      var slot = vectorSlot(node, shift, index);
+      var child = vectorRemove(node.array[slot], shift - VECTOR_BITS,
+         index - vectorOffset(node, shift, slot), edit);
+
+      if (!child) {
+         array.splice(slot, 1);
+      }
+      else {
+         array[slot] = child;
+         var sibling = (slot < array.length - 1) ? slot + 1 : slot - 1;
+         if (child.array.length < VECTOR_WIDTH / 2 && sibling >= 0 &&
+            child.array.length + array[sibling].array.length <= VECTOR_WIDTH) {
+            var left = Math.min(slot, sibling);
+            var merged = vectorNode(array[left].array.concat(array[left + 1].array), shift - VECTOR_BITS, edit);
+            array.splice(left, 2, merged);
+         }
+      }
+   }
+   return array.length ? vectorResize(editable, shift) : null;
+};
+
+var vectorFlatten = function(node, shift, result) {
+   if (shift === 0) {
+      result.push.apply(result, node.array);
+      return;
+   }
+   for (var i = 0, length = node.array.length; i < length; i++) {
+      vectorFlatten(node.array[i], shift - VECTOR_BITS, result);
+   }
+};
+
+
+Collection.PersistentList = PersistentList;
\ No newline at end of file
@@ -0,0 +1,521 @@
+/*
+* An immutable, unordered collection of key-value pairs.
+*
+* PersistentMap is used like a Map, with the same key semantics: By default, object keys are compared using
+* reference equality; This behavior can be changed to user-defined equality by creating the map using PersistentMap.withKey().
+*
+* Unlike Map, put, remove and removeIf never mutate the map: They return a new map and leave the original untouched.
+* The entries are stored in a hash array mapped trie: A new version only copies the path leading to the modified entry
+* and shares all other nodes with the previous version, so that keeping historical versions of a big map is cheap.
+*/
+var PersistentMap = createType('PersistentMap');
+
+/*
+* Creates a new PersistentMap which uses a key function to determine whether
+* it contains a binding for a key, as opposed to using reference equality.
+*/
+PersistentMap.withKey = function(keyFunction) {
+   var pairs = slice.call(arguments, 1);
+   return PersistentMap(keyArgs(keyFunction, pairs));
+};
+
+PersistentMap.prototype._init = function() {
+   var pairs = getArgs(arguments);
+   this.getId = getKeyFunction(arguments);
+
+   if (!pairs.length) return;
+
+   var transient = this.asTransient();
+   initPairs(transient, pairs);
+   this._root = transient._root;
+   this._size = transient._size;
+};
+
+PersistentMap.prototype.getId = null;
+PersistentMap.prototype._root = null;
+PersistentMap.prototype._size = 0;
+
+/*
+* Returns a new map where the value is bound to the specified key.
+* Returns this map if the key was already bound to that value.
+*/
+PersistentMap.prototype.put = function(key, value) {
+   var map = this._copy();
+   hamtMapPut(map, key, value, null);
+   return (map._root === this._root) ? this : map;
+};
+
+/*
+* Returns a new map without any binding for the specified key.
+* Returns this map if there was no binding for that key.
+*/
+PersistentMap.prototype.remove = function(key) {
+   var map = this._copy();
+   hamtMapRemove(map, key, null);
+   return (map._root === this._root) ? this : map;
+};
+
+/*
+* Returns a new map without the key-value mappings satisfying a predicate.
+*/
+PersistentMap.prototype.removeIf = function(predicate) {
+   var self = this;
+   return this.withMutations(function(map) {
+      self.each(function(key, value) {
+         if (predicate(key, value)) map.remove(key);
+      });
+   });
+};
+
+/*
+* Returns an empty map using the same key function as this map.
+*/
+PersistentMap.prototype.removeAll = function() {
+   return this._size ? persistentMap(null, 0, this.getId) : this;
+};
+
+/*
+* Returns the value associated with the specified key, or undefined.
+*/
+PersistentMap.prototype.get = function(key) {
+   var leaf = this._find(key);
+   return leaf ? leaf.entry.value : undefined;
+};
+
+/*
+* Tests whether this map contains a binding for this key.
+*/
+PersistentMap.prototype.containsKey = function(key) {
+   return this._find(key) !== null;
+};
+
+/*
+* Tests whether this map contains this value at least once.
+*/
+PersistentMap.prototype.containsValue = function(value) {
+   var entries = this.toArray();
+   for (var i = 0, length = entries.length; i < length; i++) {
+      if (entries[i].value === value) return true;
+   }
+   return false;
+};
+
+/*
+* Returns a List of all the keys of this map, in no particular order.
+*/
+PersistentMap.prototype.keys = function() {
+   return List.fromArray(Seq(this.toArray()).map(function(entry) {return entry.key}));
+};
+
+/*
+* Returns a List of all the values of this map, in no particular order.
+*/
+PersistentMap.prototype.values = function() {
+   return List.fromArray(Seq(this.toArray()).map(function(entry) {return entry.value}));
+};
+
+/*
+* Applies a function to all key-value of this map.
+*/
+PersistentMap.prototype.each = function(callback) {
+   if (this._root) hamtEach(this._root, function(entry) {
+      callback(entry.key, entry.value);
+   });
+};
+
+/*
+* Returns the number of key-value pairs in this map.
+*/
+PersistentMap.prototype.size = function() {
+   return this._size;
+};
+
+/*
+* Indicates whether this map is empty.
+*/
+PersistentMap.prototype.isEmpty = function() {
+   return this._size == 0;
+};
+
+/*
+* Converts this map to a List of entries.
+*/
+PersistentMap.prototype.toList = function() {
+   return List.fromArray(this.toArray());
+};
+
+/*
+* Converts this map to an Array of entries.
+*/
+PersistentMap.prototype.toArray = function() {
+   var entries = [];
+   if (this._root) hamtEach(this._root, function(entry) {entries.push(entry)});
+   return entries;
+};
+
+/*
+* Converts this map to a (mutable) Map using the same key function.
+*/
+PersistentMap.prototype.toMap = function() {
+   var map = Map.withKey(this.getId);
+   this.each(function(key, value) {map.put(key, value)});
+   return map;
+};
+
+PersistentMap.prototype[iteratorSymbol] = Map.prototype[iteratorSymbol];
+PersistentMap.prototype.keysIterator = Map.prototype.keysIterator;
+PersistentMap.prototype.valuesIterator = Map.prototype.valuesIterator;
+PersistentMap.prototype.entriesIterator = Map.prototype.entriesIterator;
+
+/*
+* Returns a transient version of this map: A mutable map that can be used to efficiently apply
+* many modifications in a row, then turned back into a PersistentMap by calling persistent().
+* This map is not affected by the modifications made to the transient map.
+*/
+PersistentMap.prototype.asTransient = function() {
+   return TransientMap(this._root, this._size, this.getId);
+};
+
+/*
+* Applies the modifications made by a function to a transient version of this map
+* and returns the resulting PersistentMap.
+*/
+PersistentMap.prototype.withMutations = function(mutator) {
+   var transient = this.asTransient();
+   mutator(transient);
+   var map = transient.persistent();
+   return (map._root === this._root) ? this : map;
+};
+
+/*
+* No method modifies a PersistentMap, so Collection.readOnly returns it as is.
+*/
+PersistentMap.prototype._mutators = [];
+
+PersistentMap.prototype.toString = function() {
+   return 'PersistentMap(' + this.toArray().join(', ') + ')';
+};
+
+PersistentMap.prototype._find = function(key) {
+   if (!this._root) return null;
+   var id = this.getId(key);
+   return hamtFind(this._root, hamtHash(id), id);
+};
+
+PersistentMap.prototype._copy = function() {
+   return persistentMap(this._root, this._size, this.getId);
+};
+
+/*
+* Converts this map to a PersistentMap using the same key function.
+*/
+Map.prototype.toPersistentMap = function() {
+   var self = this;
+   return PersistentMap.withKey(this.getId).withMutations(function(map) {
+      self.each(function(key, value) {map.put(key, value)});
+   });
+};
+
+
+/*
+* A mutable version of a PersistentMap, created using PersistentMap's asTransient().
+*
+* The nodes of the trie created or copied by a transient are owned by it and are then modified in place
+* instead of being copied again for every modification. persistent() returns the PersistentMap
+* holding the current entries; The transient can no longer be used afterwards.
+*/
+var TransientMap = createType('TransientMap');
+
+TransientMap.prototype._init = function(root, size, keyFunction) {
+   this._root = root || null;
+   this._size = size || 0;
+   this.getId = keyFunction || getId;
+   this._edit = {};
+};
+
+/*
+* Adds a value for the specified key.
+* Returns the previous value mapped for this key, or undefined if the key is new.
+*/
+TransientMap.prototype.put = function(key, value) {
+   var change = hamtMapPut(this, key, value, this._assertEditable());
+   return change.previous ? change.previous.entry.value : undefined;
+};
+
+/*
+* Removes and returns the value mapped to the specified key.
+*/
+TransientMap.prototype.remove = function(key) {
+   var change = hamtMapRemove(this, key, this._assertEditable());
+   return change.removed ? change.removed.entry.value : undefined;
+};
+
+/*
+* Returns the value associated with the specified key, or undefined.
+*/
+TransientMap.prototype.get = PersistentMap.prototype.get;
+
+/*
+* Tests whether this map contains a binding for this key.
+*/
+TransientMap.prototype.containsKey = PersistentMap.prototype.containsKey;
+
+/*
+* Returns the number of key-value pairs in this map.
+*/
+TransientMap.prototype.size = PersistentMap.prototype.size;
+
+/*
+* Returns a PersistentMap holding the entries of this map.
+* This transient map can no longer be used afterwards.
+*/
+TransientMap.prototype.persistent = function() {
+   this._assertEditable();
+   this._edit = null;
+   return persistentMap(this._root, this._size, this.getId);
+};
+
+TransientMap.prototype._find = PersistentMap.prototype._find;
+
+TransientMap.prototype._assertEditable = function() {
+   if (!this._edit) throw new Error('A TransientMap can no longer be used after persistent() was called');
+   return this._edit;
+};
+
+TransientMap.prototype._mutators = ['put', 'remove', 'persistent'];
+
+
+var persistentMap = function(root, size, getId) {
+   var map = new PersistentMap();
+   map.getId = getId;
+   map._root = root;
+   map._size = size;
+   return map;
+};
+
+// Operations shared by PersistentMap and TransientMap, modifying the trie of a map in place.
+// PersistentMap applies them on a fresh copy of itself, with a null edit token.
+// They return a description of the change: The added, previous or removed leaf.
+
+var hamtMapPut = function(map, key, value, edit) {
+   var id = map.getId(key);
+   var leaf = hamtLeaf(hamtHash(id), id, key, value);
+   var change = {};
+
+   if (map._root) {
+      map._root = hamtPut(map._root, 0, leaf, change, edit);
+   }
+   else {
+      map._root = {bitmap: hamtBit(leaf.hash, 0), array: [leaf], edit: edit};
+      change.added = true;
+   }
+
+   if (change.added) map._size++;
+   return change;
+};
+
+var hamtMapRemove = function(map, key, edit) {
+   var change = {};
+   if (!map._root) return change;
+
+   var id = map.getId(key);
+   map._root = hamtRemove(map._root, 0, hamtHash(id), id, change, edit);
+
+   if (change.removed) map._size--;
+   return change;
+};
+
+// Hash array mapped trie
+//
+// A node is either:
+// - A bitmap node {bitmap, array, edit}, whose array holds one child for each bit set in its bitmap.
+//   The bit of a child is given by 5 bits of the key hash, starting with the least significant bits at the root.
+//   The edit token identifies the transient owning the node, if any: Only that transient may mutate the node in place.
+// - A leaf {hash, id, entry}, holding one key-value pair.
+// - A collision node {hash, leaves}, holding the leaves of different keys with the same hash.
+
+var HAMT_BITS = 5,
+    HAMT_MASK = (1 << HAMT_BITS) - 1;
+
+/*
+* Computes a 32 bits hash from a key id, as returned by a key function.
+*/
+var hamtHash = function(id) {
+   var hash = 0;
+   id = String(id);
+   for (var i = 0, length = id.length; i < length; i++) {
+      hash = (31 * hash + id.charCodeAt(i)) | 0;
+   }
+   return hash;
+};
+
+var hamtLeaf = function(hash, id, key, value) {
+   return {hash: hash, id: id, entry: Entry(key, value)};
+};
+
+var hamtBit = function(hash, shift) {
+   return 1 << ((hash >>> shift) & HAMT_MASK);
+};
+
+/*
+* Returns the position of the child for a given bit; That is the number of bits set below that bit.
+*/
+var hamtIndex = function(bitmap, bit) {
+   var n = bitmap & (bit - 1);
+   n = n - ((n >> 1) & 0x55555555);
+   n = (n & 0x33333333) + ((n >> 2) & 0x33333333);
+   return (((n + (n >> 4)) & 0x0F0F0F0F) * 0x01010101) >>> 24;
+};
+
+var hamtFind = function(node, hash, id) {
+   var shift = 0;
+   while (node.bitmap !== undefined) {
+      var bit = hamtBit(hash, shift);
+      if (!(node.bitmap & bit)) return null;
+      node = node.array[hamtIndex(node.bitmap, bit)];
+      shift += HAMT_BITS;
+   }
+   if (node.leaves) {
+      for (var i = 0, length = node.leaves.length; i < length; i++) {
+         if (node.leaves[i].id === id) return node.leaves[i];
+      }
+      return null;
+   }
+   return (node.id === id) ? node : null;
+};
+
+/*
+* Returns the node itself if it is owned by the specified transient, or a copy owned by it.
+* Persistent operations use a null edit token, so that nodes are always copied.
+*/
+var hamtEditable = function(node, edit) {
+   if (edit && node.edit === edit) return node;
+   return {bitmap: node.bitmap, array: node.array.slice(), edit: edit};
+};
+
+/*
+* Returns the new bitmap node, or the same node if the leaf was already there.
+* change.added is set when the key is new. When a key is already bound, the new leaf keeps
+* the original key and change.previous is set to the previous leaf.
+*/
+var hamtPut = function(node, shift, leaf, change, edit) {
+   var bit = hamtBit(leaf.hash, shift), index = hamtIndex(node.bitmap, bit), editable;
+
+   if (!(node.bitmap & bit)) {
+      change.added = true;
+      editable = hamtEditable(node, edit);
+      editable.array.splice(index, 0, leaf);
+      editable.bitmap |= bit;
+      return editable;
+   }
+
+   var child = node.array[index], newChild;
+   if (child.bitmap !== undefined) newChild = hamtPut(child, shift + HAMT_BITS, leaf, change, edit);
+   else if (child.leaves) newChild = hamtCollisionPut(child, shift + HAMT_BITS, leaf, change, edit);
+   else if (child.id !== leaf.id) newChild = hamtPair(child, leaf, shift + HAMT_BITS, change, edit);
+   else {
+      change.previous = child;
+      newChild = (child.entry.value === leaf.entry.value)
+         ? child
+         : hamtLeaf(child.hash, child.id, child.entry.key, leaf.entry.value);
+   }
+
+   if (newChild === child) return node;
+   editable = hamtEditable(node, edit);
+   editable.array[index] = newChild;
+   return editable;
+};
+
+var hamtCollisionPut = function(collision, shift, leaf, change, edit) {
+   if (collision.hash !== leaf.hash) return hamtPair(collision, leaf, shift, change, edit);
+
+   var leaves = collision.leaves;
+   for (var i = 0, length = leaves.length; i < length; i++) {
+      if (leaves[i].id !== leaf.id) continue;
+
+      change.previous = leaves[i];
+      if (leaves[i].entry.value === leaf.entry.value) return collision;
+      leaves = leaves.slice();
+      leaves[i] = hamtLeaf(leaf.hash, leaf.id, leaves[i].entry.key, leaf.entry.value);
+      return {hash: collision.hash, leaves: leaves};
+   }
+   change.added = true;
+   return {hash: collision.hash, leaves: leaves.concat([leaf])};
+};
+
+/*
+* Creates the node holding two distinct keys, the first one being either a leaf or a collision node.
+*/
+var hamtPair = function(first, leaf, shift, change, edit) {
+   if (first.hash === leaf.hash) {
+      change.added = true;
+      return {hash: leaf.hash, leaves: [first, leaf]};
+   }
+   var node = {bitmap: hamtBit(first.hash, shift), array: [first], edit: edit};
+   return hamtPut(node, shift, leaf, change, edit);
+};
+
+/*
+* Returns the new node, the same node if the key was not found, or null if the node is now empty.
+* change.removed is set to the removed leaf, if any.
+* A bitmap node left with a single leaf or collision node is replaced by that child.
+*/
+var hamtRemove = function(node, shift, hash, id, change, edit) {
+   var bit = hamtBit(hash, shift);
+   if (!(node.bitmap & bit)) return node;
+
+   var index = hamtIndex(node.bitmap, bit), child = node.array[index], newChild, editable;
+   if (child.bitmap !== undefined) newChild = hamtRemove(child, shift + HAMT_BITS, hash, id, change, edit);
+   else if (child.leaves) newChild = hamtCollisionRemove(child, id, change);
+   else if (child.id === id) {
+      change.removed = child;
+      newChild = null;
+   }
+   else newChild = child;
+
+   if (!change.removed) return node;
+
+   if (newChild === null) {
+      if (node.array.length == 1) return null;
+      editable = hamtEditable(node, edit);
+      editable.array.splice(index, 1);
+      editable.bitmap ^= bit;
+      return editable;
+   }
+
+   if (newChild.bitmap !== undefined && newChild.array.length == 1 && newChild.array[0].bitmap === undefined) {
+      newChild = newChild.array[0];
+   }
+   editable = hamtEditable(node, edit);
+   editable.array[index] = newChild;
+   return editable;
+};
+
+var hamtCollisionRemove = function(collision, id, change) {
+   var leaves = [];
+   for (var i = 0, length = collision.leaves.length; i < length; i++) {
+      if (collision.leaves[i].id !== id) leaves.push(collision.leaves[i]);
+      else change.removed = collision.leaves[i];
+   }
+   if (!change.removed) return collision;
+   return (leaves.length == 1) ? leaves[0] : {hash: collision.hash, leaves: leaves};
+};
+
+var hamtEach = function(node, callback) {
+   if (node.bitmap !== undefined) {
+      for (var i = 0, length = node.array.length; i < length; i++) {
+         hamtEach(node.array[i], callback);
+      }
+   }
+   else if (node.leaves) {
+      for (var i = 0, length = node.leaves.length; i < length; i++) {
+         callback(node.leaves[i].entry);
+      }
+   }
+   else {
+      callback(node.entry);
+   }
+};
+
+
+Collection.PersistentMap = PersistentMap;
\ No newline at end of file
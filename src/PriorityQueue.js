@@ -0,0 +1,291 @@
+/*
+* A collection whose items are retrieved by order of priority, the lowest item first.
+*
+* The items are ordered using the same options as Iterable's sorted, or a comparator function;
+* See PriorityQueue.withOrdering(). Items of equal priority are retrieved in the order they were pushed.
+*
+* The items are stored in a binary heap, so that push and pop are O(log n) and peek is O(1).
+* A Map from each item to its heap nodes allows contains in O(1)
+* and updatePriority in O(log n) after the priority of an item was modified.
+*/
+var PriorityQueue = createType('PriorityQueue');
+
+/*
+* Creates a new PriorityQueue ordering its items naturally and containing all the specified array items.
+*/
+PriorityQueue.fromArray = function(array) {
+   var queue = PriorityQueue();
+   pushAllItems(queue, array);
+   return queue;
+};
+
+/*
+* Creates a new PriorityQueue using the specified ordering, which is either
+* an Object with the same options as Iterable's sorted or a comparator function.
+* e.g PriorityQueue.withOrdering({by: 'priority'}, task1, task2)
+*/
+PriorityQueue.withOrdering = function(ordering) {
+   var items = slice.call(arguments, 1);
+   return PriorityQueue(keyArgs(isFunction(ordering) ? ordering : createComparator(ordering), items));
+};
+
+PriorityQueue.prototype._init = function() {
+   this._compare = (arguments[0] && arguments[0].isKeyArgs) ? arguments[0].keyFunction : createComparator();
+   this._heap = [];
+   this._nodes = Map();
+   this._pushCount = 0;
+
+   pushAllItems(this, getArgs(arguments));
+};
+
+/*
+* The heap of {item, order, index} nodes, order being the push count when the item was pushed
+* and index the position of the node in the heap.
+*/
+PriorityQueue.prototype._heap = null;
+
+/*
+* The Array of nodes of each item, usually containing a single node.
+*/
+PriorityQueue.prototype._nodes = null;
+
+PriorityQueue.prototype._compare = null;
+PriorityQueue.prototype._pushCount = 0;
+
+/*
+* Adds an item to this queue.
+*/
+PriorityQueue.prototype.push = function(item) {
+   var node = this._createNode(item);
+   node.index = this._heap.length;
+   this._heap.push(node);
+   this._siftUp(node.index);
+   return this;
+};
+
+/*
+* Removes and returns the item of highest priority, or undefined if the queue is empty.
+*/
+PriorityQueue.prototype.pop = function() {
+   if (!this._heap.length) return undefined;
+
+   var top = this._heap[0], last = this._heap.pop();
+   if (last !== top) {
+      this._place(last, 0);
+      this._siftDown(0);
+   }
+   this._forgetNode(top);
+   return top.item;
+};
+
+/*
+* Returns the item of highest priority without removing it, or undefined if the queue is empty.
+*/
+PriorityQueue.prototype.peek = function() {
+   return this._heap.length ? this._heap[0].item : undefined;
+};
+
+/*
+* Pushes an item then pops the item of highest priority, which can be the pushed item itself.
+* This is faster than calling push then pop.
+*/
+PriorityQueue.prototype.pushPop = function(item) {
+   var node = this._createNode(item);
+   var top = this._heap[0];
+   if (!top || this._isBefore(node, top)) {
+      this._forgetNode(node);
+      return item;
+   }
+
+   this._place(node, 0);
+   this._siftDown(0);
+   this._forgetNode(top);
+   return top.item;
+};
+
+/*
+* Restores the order of this queue after the priority of an item was modified, e.g
+* task.priority = 0;
+* queue.updatePriority(task);
+* The item keeps its rank among the items of equal priority.
+* Returns false if the item is not in this queue, true otherwise.
+*/
+PriorityQueue.prototype.updatePriority = function(item) {
+   var nodes = this._nodes.get(item);
+   if (!nodes) return false;
+
+   for (var i = 0; i < nodes.length; i++) {
+      this._siftDown(this._siftUp(nodes[i].index));
+   }
+   return true;
+};
+
+/*
+* Tests whether this queue contains the specified item.
+*/
+PriorityQueue.prototype.contains = function(item) {
+   return this._nodes.containsKey(item);
+};
+
+/*
+* Returns the number of items in this queue.
+*/
+PriorityQueue.prototype.size = function() {
+   return this._heap.length;
+};
+
+/*
+* Tests whether this queue has no items left to pop.
+*/
+PriorityQueue.prototype.isEmpty = function() {
+   return this._heap.length == 0;
+};
+
+/*
+* Removes all items from this queue.
+*/
+PriorityQueue.prototype.removeAll = function() {
+   this._heap = [];
+   this._nodes.removeAll();
+   return this;
+};
+
+/*
+* Removes all items from this queue and returns them as a List, by order of priority.
+*/
+PriorityQueue.prototype.drain = function() {
+   var items = this._sortedItems();
+   this.removeAll();
+   return List.fromArray(items);
+};
+
+/*
+* Converts this queue to an Array, by order of priority.
+*/
+PriorityQueue.prototype.toArray = function() {
+   return this._sortedItems();
+};
+
+/*
+* Converts this queue to a List, by order of priority.
+*/
+PriorityQueue.prototype.toList = function() {
+   return List.fromArray(this._sortedItems());
+};
+
+/*
+* Creates a copy of this queue, using the same ordering.
+*/
+PriorityQueue.prototype.clone = function() {
+   var clone = PriorityQueue.withOrdering(this._compare);
+   pushAllItems(clone, this._sortedItems());
+   return clone;
+};
+
+/*
+* Returns a transient version of this queue: A copy of this queue, using the same ordering, to push and pop many items,
+* then frozen in place by calling its persistent() method.
+*/
+PriorityQueue.prototype.asTransient = function() {
+   return makeTransient(this.clone());
+};
+
+/*
+* Pushes and pops items on a transient version of this queue using a function, then returns that queue frozen.
+*/
+PriorityQueue.prototype.withMutations = withMutations;
+
+/*
+* Prevents any further modification of this queue: Pushing, popping or draining items then throws an Error.
+* Returns this queue.
+*/
+PriorityQueue.prototype.freeze = function() {
+   return freeze(this, this._heap);
+};
+
+PriorityQueue.prototype._mutators = ['push', 'pop', 'pushPop', 'updatePriority', 'removeAll', 'drain'];
+
+/*
+* Returns an iterator over the items of this queue, by order of priority.
+* The items are the ones found in the queue when the iterator was created; Iterating does not remove them.
+*/
+PriorityQueue.prototype[iteratorSymbol] = function() {
+   return arrayIterator(this._sortedItems());
+};
+
+PriorityQueue.prototype.toString = function() {
+   return 'PriorityQueue(' + this._sortedItems().join(', ') + ')';
+};
+
+PriorityQueue.prototype._createNode = function(item) {
+   var node = {item: item, order: this._pushCount++, index: -1};
+   this._nodes.getOrPut(item, function() {return []}).push(node);
+   return node;
+};
+
+PriorityQueue.prototype._forgetNode = function(node) {
+   var nodes = this._nodes.get(node.item);
+   nodes.splice(Seq(nodes).indexOf(node), 1);
+   if (!nodes.length) this._nodes.remove(node.item);
+};
+
+/*
+* Tests whether a node must be retrieved before another one.
+*/
+PriorityQueue.prototype._isBefore = function(node, otherNode) {
+   var comparison = this._compare(node.item, otherNode.item);
+   return comparison < 0 || (comparison == 0 && node.order < otherNode.order);
+};
+
+PriorityQueue.prototype._place = function(node, index) {
+   this._heap[index] = node;
+   node.index = index;
+};
+
+/*
+* Moves the node at the specified index up the heap until its parent is before it.
+* Returns the new index of the node.
+*/
+PriorityQueue.prototype._siftUp = function(index) {
+   var heap = this._heap, node = heap[index];
+   while (index > 0) {
+      var parentIndex = (index - 1) >> 1;
+      if (!this._isBefore(node, heap[parentIndex])) break;
+      this._place(heap[parentIndex], index);
+      index = parentIndex;
+   }
+   this._place(node, index);
+   return index;
+};
+
+/*
+* Moves the node at the specified index down the heap until it is before its children.
+* Returns the new index of the node.
+*/
+PriorityQueue.prototype._siftDown = function(index) {
+   var heap = this._heap, node = heap[index], length = heap.length;
+   while (true) {
+      var childIndex = 2 * index + 1;
+      if (childIndex >= length) break;
+      if (childIndex + 1 < length && this._isBefore(heap[childIndex + 1], heap[childIndex])) childIndex++;
+      if (!this._isBefore(heap[childIndex], node)) break;
+      this._place(heap[childIndex], index);
+      index = childIndex;
+   }
+   this._place(node, index);
+   return index;
+};
+
+PriorityQueue.prototype._sortedItems = function() {
+   var self = this;
+   var nodes = this._heap.slice().sort(function(a, b) {return self._isBefore(a, b) ? -1 : 1});
+   return Seq(nodes).map(function(node) {return node.item});
+};
+
+
+var pushAllItems = function(queue, items) {
+   for (var i = 0, length = items.length; i < length; i++) queue.push(items[i]);
+};
+
+
+Collection.PriorityQueue = PriorityQueue;
\ No newline at end of file
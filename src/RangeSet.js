@@ -0,0 +1,241 @@
+/*
+* A set of values represented as disjoint ranges, e.g the free slots of a schedule or the covered regions of a genome.
+*
+* As with IntervalTree, the ranges are half-open: [start, end) contains start but not end.
+* Adding a range coalesces it with the overlapping and adjacent ranges, e.g adding [3, 5) to [1, 3) gives [1, 5),
+* and removing a range splits the ranges it overlaps.
+* The bounds are numbers, or any comparable values ordered using the same options as Iterable's sorted
+* or a comparator function; See RangeSet.withOrdering().
+*
+* The ranges are stored in a SortedMap from their start to their end, so that add, remove and contains are O(log n),
+* plus the number of ranges coalesced or split.
+*/
+var RangeSet = createType('RangeSet');
+
+/*
+* Creates a new RangeSet using the specified Array of [start, end] tuples.
+*/
+RangeSet.fromArray = function(array) {
+   var set = RangeSet();
+   for (var i = 0, length = array.length; i < length; i++) set.add(array[i][0], array[i][1]);
+   return set;
+};
+
+/*
+* Creates a new RangeSet of the integers of a List or an Array, each integer n being added as [n, n + 1).
+* e.g RangeSet.fromIntegers(range(1, 5)) contains the range [1, 6).
+*/
+RangeSet.fromIntegers = function(integers) {
+   var set = RangeSet(), items = collectionItems(integers);
+   for (var i = 0, length = items.length; i < length; i++) set.add(items[i], items[i] + 1);
+   return set;
+};
+
+/*
+* Creates a new RangeSet using the specified ordering of the bounds, which is either
+* an Object with the same options as Iterable's sorted or a comparator function.
+*/
+RangeSet.withOrdering = function(ordering) {
+   var bounds = slice.call(arguments, 1);
+   return RangeSet(keyArgs(isFunction(ordering) ? ordering : createComparator(ordering), bounds));
+};
+
+RangeSet.prototype._init = function() {
+   var compare = (arguments[0] && arguments[0].isKeyArgs) ? arguments[0].keyFunction : createComparator();
+   var bounds = getArgs(arguments);
+
+   this._compare = compare;
+   this._map = SortedMap.withOrdering(compare);
+
+   if ((bounds.length % 2) != 0) {
+      throw new Error('A RangeSet constructor requires an even number of arguments');
+   }
+   for (var i = 0, length = bounds.length; i < length; i += 2) {
+      this.add(bounds[i], bounds[i + 1]);
+   }
+};
+
+/*
+* The SortedMap from the start of each range to its end.
+*/
+RangeSet.prototype._map = null;
+RangeSet.prototype._compare = null;
+
+/*
+* Adds the range [start, end), coalescing it with the ranges it overlaps or is adjacent to.
+* Adding an empty range has no effect; Throws an Error if start is greater than end.
+*/
+RangeSet.prototype.add = function(start, end) {
+   if (this._isEmptyRange(start, end)) return this;
+
+   var map = this._map, compare = this._compare;
+
+   var floor = map.floorKey(start);
+   if (floor !== undefined && compare(map.get(floor), start) >= 0) {
+      start = floor;
+      end = this._max(end, map.remove(floor));
+   }
+
+   var next;
+   while ((next = map.ceilingKey(start)) !== undefined && compare(next, end) <= 0) {
+      end = this._max(end, map.remove(next));
+   }
+
+   map.put(start, end);
+   return this;
+};
+
+/*
+* Removes the range [start, end), splitting the ranges it overlaps.
+* Removing an empty range has no effect; Throws an Error if start is greater than end.
+*/
+RangeSet.prototype.remove = function(start, end) {
+   if (this._isEmptyRange(start, end)) return this;
+
+   var map = this._map, compare = this._compare;
+
+   var lower = map.lowerKey(start);
+   if (lower !== undefined && compare(map.get(lower), start) > 0) {
+      var lowerEnd = map.put(lower, start);
+      if (compare(lowerEnd, end) > 0) map.put(end, lowerEnd);
+   }
+
+   var next;
+   while ((next = map.ceilingKey(start)) !== undefined && compare(next, end) < 0) {
+      var nextEnd = map.remove(next);
+      if (compare(nextEnd, end) > 0) map.put(end, nextEnd);
+   }
+   return this;
+};
+
+/*
+* Removes all ranges from this set.
+*/
+RangeSet.prototype.removeAll = function() {
+   this._map.removeAll();
+   return this;
+};
+
+/*
+* Tests whether this set contains the specified value.
+*/
+RangeSet.prototype.contains = function(value) {
+   return this.rangeContaining(value) !== undefined;
+};
+
+/*
+* Tests whether this set contains the whole range [start, end).
+*/
+RangeSet.prototype.encloses = function(start, end) {
+   var range = this.rangeContaining(start);
+   return range !== undefined && this._compare(end, range.end) <= 0;
+};
+
+/*
+* Returns the {start, end} range containing the specified value, or undefined.
+*/
+RangeSet.prototype.rangeContaining = function(value) {
+   var floor = this._map.floorKey(value);
+   if (floor === undefined) return undefined;
+
+   var end = this._map.get(floor);
+   return (this._compare(value, end) < 0) ? {start: floor, end: end} : undefined;
+};
+
+/*
+* Returns a List of the disjoint {start, end} ranges of this set, in order.
+*/
+RangeSet.prototype.ranges = function() {
+   return this._map.toList().map(function(entry) {return {start: entry.key, end: entry.value}});
+};
+
+/*
+* Returns a List of all the integers of this set, for a set of integer ranges.
+*/
+RangeSet.prototype.integers = function() {
+   var integers = [];
+   this.each(function(start, end) {
+      for (var i = start; i < end; i++) integers.push(i);
+   });
+   return List.fromArray(integers);
+};
+
+/*
+* Returns the number of disjoint ranges of this set.
+*/
+RangeSet.prototype.size = function() {
+   return this._map.size();
+};
+
+/*
+* Tests whether this set covers no point at all.
+*/
+RangeSet.prototype.isEmpty = function() {
+   return this.size() == 0;
+};
+
+/*
+* Applies a function to the (start, end) of all the disjoint ranges of this set, in order.
+*/
+RangeSet.prototype.each = function(callback) {
+   this._map.each(function(start, end) {callback(start, end)});
+};
+
+/*
+* Creates a copy of this set, using the same ordering.
+*/
+RangeSet.prototype.clone = function() {
+   var clone = RangeSet.withOrdering(this._compare);
+   this.each(function(start, end) {clone._map.put(start, end)});
+   return clone;
+};
+
+/*
+* Returns a copy of this set, with the same ordering, to add and remove many ranges to.
+* Calling its persistent() method freezes the copy in place and returns it.
+*/
+RangeSet.prototype.asTransient = function() {
+   return makeTransient(this.clone());
+};
+
+/*
+* Adds and removes ranges on a transient copy of this set using a function, then returns the copy frozen.
+*/
+RangeSet.prototype.withMutations = withMutations;
+
+/*
+* Stops this set from changing: add, remove and removeAll then throw an Error. Returns this set.
+*/
+RangeSet.prototype.freeze = function() {
+   return freeze(this);
+};
+
+RangeSet.prototype._mutators = ['add', 'remove', 'removeAll'];
+
+/*
+* Returns an iterator over the {start, end} ranges of this set, in order.
+*/
+RangeSet.prototype[iteratorSymbol] = function() {
+   return this.ranges().valuesIterator();
+};
+
+RangeSet.prototype.toString = function() {
+   var ranges = [];
+   this.each(function(start, end) {ranges.push('[' + start + ', ' + end + ')')});
+   return 'RangeSet(' + ranges.join(', ') + ')';
+};
+
+RangeSet.prototype._isEmptyRange = function(start, end) {
+   var comparison = this._compare(start, end);
+   if (comparison > 0) {
+      throw new Error('The start of a range cannot be greater than its end: [' + start + ', ' + end + ')');
+   }
+   return comparison === 0;
+};
+
+RangeSet.prototype._max = function(a, b) {
+   return (this._compare(a, b) >= 0) ? a : b;
+};
+
+
+Collection.RangeSet = RangeSet;
\ No newline at end of file
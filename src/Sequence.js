@@ -20,8 +20,9 @@ Sequence.prototype = new Iterable();
 * Tests whether this sequence contains a given item.
 */
 Sequence.prototype.contains = function(item) {
-   for (var i = 0, length = this.items.length; i < length; i++) {
-      if (this.items[i] === item) return true;
+   var items = this._items();
+   for (var i = 0, length = items.length; i < length; i++) {
+      if (items[i] === item) return true;
    }
    return false;
 };
@@ -30,9 +31,10 @@ Sequence.prototype.contains = function(item) {
 * Builds a new sequence without any duplicate item.
 */
 Sequence.prototype.distinct = function() {
+   var items = this._items();
    var set = Set(), result = [];
-   for (var i = 0, length = this.items.length; i < length; i++) {
-      var item = this.items[i];
+   for (var i = 0, length = items.length; i < length; i++) {
+      var item = items[i];
       if (!set.add(item)) continue;
       result.push(item);
    }
@@ -44,11 +46,11 @@ Sequence.prototype.distinct = function() {
 * into a sequence formed by the items of these collections.
 */
 Sequence.prototype.flatten = function() {
-   var result = [], item;
-   for (var i = 0, length = this.items.length; i < length; i++) {
-      item = this.items[i];
+   var items = this._items(), result = [], item;
+   for (var i = 0, length = items.length; i < length; i++) {
+      item = items[i];
       var seq = asSequence(item);
-      if (seq) result.push.apply(result, seq.items);
+      if (seq) result.push.apply(result, seq._items());
       else result.push(item);
    }
    return this._createNew(result);
@@ -59,9 +61,10 @@ Sequence.prototype.flatten = function() {
 * in this sequence or -1 if none exists.
 */
 Sequence.prototype.indexOf = function(item, startingIndex) {
+   var items = this._items();
    startingIndex = startingIndex || 0;
-   for (var i = startingIndex, length = this.items.length; i < length; i++) {
-      if (this.items[i] === item) return i;
+   for (var i = startingIndex, length = items.length; i < length; i++) {
+      if (items[i] === item) return i;
    }
    return -1;
 };
@@ -71,8 +74,9 @@ Sequence.prototype.indexOf = function(item, startingIndex) {
 * in this sequence or -1 if none exists.
 */
 Sequence.prototype.lastIndexOf = function(item) {
-   for (var i = this.items.length - 1; i >= 0 ; i--) {
-      if (this.items[i] === item) return i;
+   var items = this._items();
+   for (var i = items.length - 1; i >= 0 ; i--) {
+      if (items[i] === item) return i;
    }
    return -1;
 };
@@ -82,10 +86,11 @@ Sequence.prototype.lastIndexOf = function(item) {
 * of the specified arguments have been removed.
 */
 Sequence.prototype.removeItems = function() {
+   var items = this._items();
    var blackList = Set.fromArray(arguments);
    var result = [];
-   for (var i = 0, length = this.items.length; i < length; i++) {
-      var item = this.items[i];
+   for (var i = 0, length = items.length; i < length; i++) {
+      var item = items[i];
       if (!blackList.contains(item)) result.push(item);
    }
    return this._createNew(result);
@@ -99,8 +104,9 @@ Sequence.prototype.sameItems = function(collection) {
    collection = asSequence(collection);
    if (this.size() != collection.size()) return false;
 
-   for (var i = 0, length = this.items.length; i < length; i++) {
-      if (this.items[i] !== collection.items[i]) return false;
+   var items = this._items(), otherItems = collection._items();
+   for (var i = 0, length = items.length; i < length; i++) {
+      if (items[i] !== otherItems[i]) return false;
    } 
    return true;
 };
@@ -1,20 +1,29 @@
 
 /*
 * An unordered collection that does not allow duplicates.
+* All methods from Iterable are available.
 *
 * Unlike with plain JS objects used as sets, any JS primitive or object can
 * be added to a Set.
 *
 * The default behavior of a Set containing objects is to use reference equality;
 * This behavior can be changed to user-defined equality by creating the Set using Set.withKey().
+*
+* The items are stored in an Array, in no particular order: Removing an item moves the last item in its place.
+* The internal Map associates each item with its index in that Array.
+* The Iterable methods returning a collection return a Set using the same key function.
 */
-var Set = createType('Set');
+var Set = createType('Set', Iterable);
 
 /*
 * Creates a new Set containing all the specified array items.
 */
 Set.fromArray = function(array) {
-   return Set.apply(null, array);
+   var set = Set();
+   for (var i = 0, length = array.length; i < length; i++) {
+      set.add(array[i]);
+   }
+   return set;
 };
 
 /*
@@ -26,12 +35,13 @@ Set.withKey = function(keyFunction) {
    return Set(keyArgs(keyFunction, items));
 };
 
-Set.prototype.map = null;
+Set.prototype._map = null;
 
 Set.prototype._init = function() {
    var keyFunction = getKeyFunction(arguments);
    var items = getArgs(arguments);
-   this.map = Map.withKey(keyFunction);
+   this._map = Map.withKey(keyFunction);
+   this.items = [];
    
    for (var i = 0, length = items.length; i < length; i++) {
       this.add(items[i]);
@@ -44,7 +54,9 @@ Set.prototype._init = function() {
 */
 Set.prototype.add = function(item) {
    if (this.contains(item)) return false;
-   this.map.put(item, 1); 
+   this._map.put(item, this.items.length);
+   this.items.push(item);
+   this._notify({type: 'add', item: item});
    return true;
 };
 
@@ -52,7 +64,7 @@ Set.prototype.add = function(item) {
 * Tests whether this set contains the specified item.
 */
 Set.prototype.contains = function(item) {
-   return this.map.containsKey(item);
+   return this._map.containsKey(item);
 };
 
 /*
@@ -60,14 +72,34 @@ Set.prototype.contains = function(item) {
 * Returns true if the item was removed, false if the item was not in this set.
 */
 Set.prototype.remove = function(item) {
-   return (this.map.remove(item) == 1);
+   var index = this._map.remove(item);
+   if (index === undefined) return false;
+
+   var last = this.items.pop();
+   if (index < this.items.length) {
+      this.items[index] = last;
+      this._map.put(last, index);
+   }
+   this._notify({type: 'remove', item: this._map.removedEntry.key});
+   return true;
 };
 
 /*
 * Removes all items satisfying a predicate.
 */
 Set.prototype.removeIf = function(predicate) {
-   this.map.removeIf(predicate);
+   var map = this._map, items = this.items;
+   var result = removeMatching(items, function(item) {
+      if (!predicate(item)) return false;
+      map.remove(item);
+      return true;
+   });
+   if (!result.record) return this;
+
+   for (var i = result.record.index, length = items.length; i < length; i++) {
+      map.put(items[i], i);
+   }
+   this._notify({type: 'splice', removed: result.removed, added: []});
    return this;
 };
 
@@ -75,32 +107,57 @@ Set.prototype.removeIf = function(predicate) {
 * Removes all items from this set.
 */
 Set.prototype.removeAll = function() {
-   this.map.removeAll();
+   var removed = (this._observers && this.size()) ? this.toArray() : null;
+   this._map.removeAll();
+   this.items = [];
+   if (removed) this._notify({type: 'splice', removed: removed, added: []});
+   else this._version++;
    return this;
 };
 
 /*
-* Applies a function to all items of this set.
+* Returns an iterator over the items of this set, in no particular order.
+* This makes it possible to use a Set with the ES2015 iteration protocol, e.g new window.Set(set).
+* As with all the Set iterators, the items are the ones found in the set when the iterator was created.
+*/
+Set.prototype[iteratorSymbol] = function() {
+   return this.valuesIterator();
+};
+
+/*
+* Returns an iterator over the items of this set, in no particular order.
 */
-Set.prototype.each = function(callback) {
-   this.map.each(callback)
+Set.prototype.valuesIterator = function() {
+   return arrayIterator(this.toArray());
 };
 
 /*
-* Returns the number of items in this set. 
+* Same as valuesIterator, for consistency with the ES2015 Set.
 */
-Set.prototype.size = function() {
-   return this.map.size();
+Set.prototype.keysIterator = Set.prototype.valuesIterator;
+
+/*
+* Returns an iterator over [item, item] pairs, for consistency with the ES2015 Set.
+*/
+Set.prototype.entriesIterator = function() {
+   return arrayIterator(this.toArray(), function(item) {return [item, item]});
 };
 
+/*
+* The set algebra methods accept another Set, any Iterable or iterable collection (e.g a View) or an Array.
+* The items of both collections are compared using the key function of this set, whatever the
+* key function of the other set is, and the resulting sets use the key function of this set.
+*/
+
 /*
 * Computes the union between this set and another set.
 * Returns a set consisting of the items that are in this set or in the other set.
 */
 Set.prototype.union = function(that) {
-   var result = Set();
-   this.each(function(item) {result.add(item)});
-   that.each(function(item) {result.add(item)});
+   var result = this.clone(), items = collectionItems(that);
+   for (var i = 0, length = items.length; i < length; i++) {
+      result.add(items[i]);
+   }
    return result;
 };
 
@@ -109,8 +166,8 @@ Set.prototype.union = function(that) {
 * Returns a set consisting of the items that are both in this set and in the other set.
 */
 Set.prototype.intersect = function(that) {
-   var contains = bind(that.contains, that); // Never going to use prototypes again...
-   return this._filter(contains);
+   var other = this._createNew(collectionItems(that));
+   return this.filter(bind(other.contains, other));
 };
 
 /*
@@ -118,42 +175,104 @@ Set.prototype.intersect = function(that) {
 * Returns a set containing the items of this set that are not also contained in the other set.
 */  
 Set.prototype.diff = function(that) {
-   var contains = bind(that.contains, that);
-   return this._filter(not(contains));
+   var other = this._createNew(collectionItems(that));
+   return this.filter(not(bind(other.contains, other)));
 };
 
-Set.prototype._filter = function(predicate) {
-   var result = Set();
-   this.each(function(item) {
-      if (predicate(item)) result.add(item);
+/*
+* Computes the symmetric difference of this set and another set.
+* Returns a set containing the items that are in exactly one of the two sets.
+*/
+Set.prototype.symmetricDiff = function(that) {
+   var self = this, other = this._createNew(collectionItems(that));
+   var result = this.filter(not(bind(other.contains, other)));
+   other.each(function(item) {
+      if (!self.contains(item)) result.add(item);
    });
    return result;
 };
 
 /*
-* Converts this set to a List.
+* Tests whether all the items of this set are also in the other set.
 */
-Set.prototype.toList = function() {
-   return this.map.keys();
+Set.prototype.isSubsetOf = function(that) {
+   var other = this._createNew(collectionItems(that));
+   return this.every(bind(other.contains, other));
 };
 
 /*
-* Converts this set to an Array.
+* Tests whether all the items of the other set are also in this set.
 */
-Set.prototype.toArray = function() {
-   return this.toList().items;
+Set.prototype.isSupersetOf = function(that) {
+   return Seq(collectionItems(that)).every(bind(this.contains, this));
 };
 
 /*
-* Creates a copy of this set.
+* Tests whether this set and the other set have no item in common.
 */
-Set.prototype.clone = function() {
-   return Set.withKey.apply(null,
-      [this.map.getId].concat(this.map.keys().items));
+Set.prototype.isDisjointFrom = function(that) {
+   return !Seq(collectionItems(that)).some(bind(this.contains, this));
 };
 
-Set.prototype.toString = function() {
-   return 'Set(' + this.toArray().join(', ') + ')';
+/*
+* Tests whether this set and the other set contain the same items.
+*/
+Set.prototype.equals = function(that) {
+   var other = this._createNew(collectionItems(that));
+   return other.size() == this.size() && this.every(bind(other.contains, other));
+};
+
+makeObservable(Set);
+
+Set.prototype._mutators = ['add', 'remove', 'removeIf', 'removeAll'];
+
+/*
+* Returns a transient version of this set: A copy of this set to apply many modifications to,
+* then frozen in place by calling its persistent() method.
+*/
+Set.prototype.asTransient = function() {
+   var copy = Set.withKey(this._map.getId);
+   copy._map = this._map.asTransient();
+   copy.items = cloneArray(this.items);
+   return makeTransient(copy);
+};
+
+/*
+* Applies the modifications made by a function to a transient version of this set and returns it, frozen:
+* Any further call to one of its mutating methods throws an Error.
+*/
+Set.prototype.withMutations = withMutations;
+
+/*
+* Makes this set read-only: Any further call to one of its mutating methods throws an Error.
+* Returns this set.
+*/
+Set.prototype.freeze = function() {
+   this._map.freeze();
+   return freeze(this, this.items);
+};
+
+// Iterable overrides
+
+Set.prototype._createNew = function(array) {
+   var set = Set.withKey(this._map.getId);
+   for (var i = 0, length = array.length; i < length; i++) {
+      set.add(array[i]);
+   }
+   return set;
+};
+
+
+/*
+* Returns the items of an Array, an Iterable or any other iterable collection (e.g a PriorityQueue or a View).
+*/
+var collectionItems = function(collection) {
+   if (isArray(collection)) return collection;
+   if (collection._items) return collection._items();
+
+   var items = [], iterator = collection[iteratorSymbol]();
+   for (var result = iterator.next(); !result.done; result = iterator.next()) items.push(result.value);
+   return items;
 };
 
 
@@ -0,0 +1,570 @@
+/*
+* A collection of key-value pairs ordered by key.
+* All methods from Map and Iterable are available, with the same (key, value) callbacks as ArrayMap.
+*
+* The keys are ordered using the same options as Iterable's sorted, or a comparator function;
+* See SortedMap.withOrdering(). Two keys comparing equal are considered to be the same key.
+*
+* The entries are stored in a left-leaning red-black tree where each node also knows the size of its subtree,
+* so that put, get, remove, itemAt and the key lookups are O(log n).
+* The items property is built the first time it is read after keys were added or removed.
+*
+* The Iterable methods returning a collection return a SortedMap with the same ordering,
+* in which the entries are ordered by key again (e.g reverse() has no effect). Use toList() to get a List of the entries.
+*/
+var SortedMap = createType('SortedMap', Iterable);
+
+/*
+* Creates a new SortedMap ordering its keys naturally using the specified tuple Array.
+*/
+SortedMap.fromArray = function(array) {
+   var map = SortedMap();
+   addAll(map, array);
+   return map;
+};
+
+/*
+* Creates a new SortedMap using the specified ordering, which is either
+* an Object with the same options as Iterable's sorted or a comparator function.
+*/
+SortedMap.withOrdering = function(ordering) {
+   var pairs = slice.call(arguments, 1);
+   return SortedMap(keyArgs(isFunction(ordering) ? ordering : createComparator(ordering), pairs));
+};
+
+SortedMap.prototype._init = function() {
+   var compare = (arguments[0] && arguments[0].isKeyArgs) ? arguments[0].keyFunction : createComparator();
+   var pairs = getArgs(arguments);
+
+   this._tree = {root: null, compare: compare, version: 0};
+
+   initPairs(this, pairs);
+};
+
+/*
+* The tree, shared with the maps created using subMap, headMap and tailMap.
+*/
+SortedMap.prototype._tree = null;
+
+/*
+* The bounds of the keys of this map when it was created using subMap, headMap or tailMap,
+* as {key: key} Objects.
+*/
+SortedMap.prototype._from = null;
+SortedMap.prototype._to = null;
+
+SortedMap.prototype._itemArray = null;
+SortedMap.prototype._itemsVersion = -1;
+
+SortedMap.prototype._items = function() {
+   if (this._itemsVersion !== this._tree.version) {
+      this._itemArray = [];
+      treeCollect(this._tree.root, this._tree.compare, this._from, this._to, this._itemArray);
+      this._itemsVersion = this._tree.version;
+   }
+   return this._itemArray;
+};
+defineGetter(SortedMap.prototype, 'items', SortedMap.prototype._items);
+
+/*
+* Adds a value for the specified key.
+* Returns the previous value mapped for this key, or undefined if the key is new.
+*/
+SortedMap.prototype.put = function(key, value) {
+   if (!this._inRange(key)) {
+      throw new Error('The key ' + key + ' is out of the range of this SortedMap');
+   }
+
+   var tree = this._tree, change = {};
+   tree.root = treeInsert(tree.root, key, value, tree, change);
+   tree.root.red = false;
+   if (change.added) tree.version++;
+
+   return change.previous;
+};
+
+/*
+* Removes and returns the value mapped to the specified key.
+*/
+SortedMap.prototype.remove = function(key) {
+   var node = this._findNode(key);
+   if (!node) return undefined;
+
+   var tree = this._tree, value = node.entry.value;
+   if (!isRed(tree.root.left) && !isRed(tree.root.right)) tree.root.red = true;
+   tree.root = treeRemove(tree.root, key, tree);
+   if (tree.root) tree.root.red = false;
+   tree.version++;
+
+   return value;
+};
+
+/*
+* Removes all key-value mappings satisfying a predicate.
+*/
+SortedMap.prototype.removeIf = function(predicate) {
+   var keys = [];
+   this.each(function(key, value) {
+      if (predicate(key, value)) keys.push(key);
+   });
+   for (var i = 0, length = keys.length; i < length; i++) this.remove(keys[i]);
+   return this;
+};
+
+/*
+* Removes all key-value mappings from this map.
+*/
+SortedMap.prototype.removeAll = function() {
+   if (this._from || this._to) return this.removeIf(function() {return true});
+
+   this._tree.root = null;
+   this._tree.version++;
+   return this;
+};
+
+/*
+* Returns the value associated with the specified key, or undefined.
+*/
+SortedMap.prototype.get = function(key) {
+   var node = this._findNode(key);
+   return node ? node.entry.value : undefined;
+};
+
+SortedMap.prototype.getOrPut = Map.prototype.getOrPut;
+
+/*
+* Tests whether this map contains a binding for this key.
+*/
+SortedMap.prototype.containsKey = function(key) {
+   return this._findNode(key) !== null;
+};
+
+/*
+* Tests whether this map contains this value at least once.
+*/
+SortedMap.prototype.containsValue = function(value) {
+   return this.some(function(key, currentValue) {return currentValue === value});
+};
+
+/*
+* Returns a List of all the keys of this map, in order.
+*/
+SortedMap.prototype.keys = function() {
+   return List.fromArray(Seq(this._items()).map(function(entry) {return entry.key}));
+};
+
+/*
+* Returns a List of all the values of this map, in the order of their keys.
+*/
+SortedMap.prototype.values = function() {
+   return List.fromArray(Seq(this._items()).map(function(entry) {return entry.value}));
+};
+
+/*
+* Returns the number of key-value pairs in this map.
+*/
+SortedMap.prototype.size = function() {
+   return this._endRank() - this._startRank();
+};
+
+/*
+* Returns the entry located at the specified index.
+*/
+SortedMap.prototype.itemAt = function(index) {
+   if (index < 0 || index >= this.size()) return undefined;
+   return treeSelect(this._tree.root, this._startRank() + index).entry;
+};
+
+/*
+* Returns the entry with the lowest key.
+*/
+SortedMap.prototype.first = function() {
+   return this.itemAt(0);
+};
+
+/*
+* Returns the entry with the highest key.
+*/
+SortedMap.prototype.last = function() {
+   return this.itemAt(this.size() - 1);
+};
+
+/*
+* Returns the lowest key of this map, or undefined if this map is empty.
+*/
+SortedMap.prototype.firstKey = function() {
+   return entryKey(this.first());
+};
+
+/*
+* Returns the highest key of this map, or undefined if this map is empty.
+*/
+SortedMap.prototype.lastKey = function() {
+   return entryKey(this.last());
+};
+
+/*
+* Returns the highest key lower than or equal to the given key, or undefined.
+*/
+SortedMap.prototype.floorKey = function(key) {
+   return entryKey(this._nearest(key, true, true));
+};
+
+/*
+* Returns the lowest key greater than or equal to the given key, or undefined.
+*/
+SortedMap.prototype.ceilingKey = function(key) {
+   return entryKey(this._nearest(key, false, true));
+};
+
+/*
+* Returns the highest key strictly lower than the given key, or undefined.
+*/
+SortedMap.prototype.lowerKey = function(key) {
+   return entryKey(this._nearest(key, true, false));
+};
+
+/*
+* Returns the lowest key strictly greater than the given key, or undefined.
+*/
+SortedMap.prototype.higherKey = function(key) {
+   return entryKey(this._nearest(key, false, false));
+};
+
+/*
+* Returns a view of the portion of this map whose keys range from fromKey (inclusive) to toKey (exclusive).
+* The view and this map share their entries: The changes made to one are visible in the other.
+* Putting a key outside of the range of the view throws an Error.
+*/
+SortedMap.prototype.subMap = function(fromKey, toKey) {
+   return this._view({key: fromKey}, {key: toKey});
+};
+
+/*
+* Returns a view of the portion of this map whose keys are strictly lower than toKey. See subMap.
+*/
+SortedMap.prototype.headMap = function(toKey) {
+   return this._view(null, {key: toKey});
+};
+
+/*
+* Returns a view of the portion of this map whose keys are greater than or equal to fromKey. See subMap.
+*/
+SortedMap.prototype.tailMap = function(fromKey) {
+   return this._view({key: fromKey}, null);
+};
+
+/*
+* Returns a transient version of this map: A copy of this map, with the same ordering, to apply many modifications to,
+* then frozen in place by calling its persistent() method.
+* The copy of a view created using subMap, headMap or tailMap only holds the keys in the range of the view.
+*/
+SortedMap.prototype.asTransient = function() {
+   var copy = SortedMap.withOrdering(this._tree.compare);
+   addAll(copy, this._items());
+   return makeTransient(copy);
+};
+
+/*
+* Applies the modifications made by a function to a transient version of this map and returns it, frozen.
+*/
+SortedMap.prototype.withMutations = withMutations;
+
+/*
+* Makes this map read-only: Any further call to one of its mutating methods throws an Error. Returns this map.
+* The views then created using subMap, headMap and tailMap are frozen too, while the ones created before
+* still share the entries of this map and can modify them.
+*/
+SortedMap.prototype.freeze = function() {
+   return freeze(this, this._items());
+};
+
+SortedMap.prototype._mutators = Map.prototype._mutators;
+SortedMap.prototype._liveViews = ['subMap', 'headMap', 'tailMap'];
+
+/*
+* Returns an iterator over the [key, value] pairs of this map, in order.
+*/
+SortedMap.prototype[iteratorSymbol] = ArrayMap.prototype[iteratorSymbol];
+SortedMap.prototype.keysIterator = ArrayMap.prototype.keysIterator;
+SortedMap.prototype.valuesIterator = ArrayMap.prototype.valuesIterator;
+SortedMap.prototype.entriesIterator = ArrayMap.prototype.entriesIterator;
+
+SortedMap.prototype._findNode = function(key) {
+   return this._inRange(key) ? treeFind(this._tree, key) : null;
+};
+
+SortedMap.prototype._inRange = function(key) {
+   var compare = this._tree.compare;
+   return (!this._from || compare(key, this._from.key) >= 0) && (!this._to || compare(key, this._to.key) < 0);
+};
+
+/*
+* The number of keys of the tree lower than the lowest key of this map.
+*/
+SortedMap.prototype._startRank = function() {
+   return this._from ? treeRank(this._tree, this._from.key) : 0;
+};
+
+/*
+* The number of keys of the tree lower than the upper bound of this map.
+*/
+SortedMap.prototype._endRank = function() {
+   return this._to ? treeRank(this._tree, this._to.key) : treeSize(this._tree.root);
+};
+
+/*
+* Returns the entry whose key is the closest to the specified key, in the range of this map.
+*/
+SortedMap.prototype._nearest = function(key, lower, inclusive) {
+   var compare = this._tree.compare;
+   if (lower && this._to && compare(key, this._to.key) >= 0) {
+      key = this._to.key;
+      inclusive = false;
+   }
+   if (!lower && this._from && compare(key, this._from.key) < 0) {
+      key = this._from.key;
+      inclusive = true;
+   }
+   var node = treeNearest(this._tree, key, lower, inclusive);
+   return (node && this._inRange(node.entry.key)) ? node.entry : undefined;
+};
+
+SortedMap.prototype._view = function(from, to) {
+   var compare = this._tree.compare;
+   if (this._from && (!from || compare(from.key, this._from.key) < 0)) from = this._from;
+   if (this._to && (!to || compare(to.key, this._to.key) > 0)) to = this._to;
+
+   var view = SortedMap();
+   view._tree = this._tree;
+   view._from = from;
+   view._to = to;
+   return view;
+};
+
+// Iterable overrides
+
+SortedMap.prototype._invokeItem = ArrayMap.prototype._invokeItem;
+
+SortedMap.prototype._createNew = function(array) {
+   var map = SortedMap.withOrdering(this._tree.compare);
+   addAll(map, array);
+   return map;
+};
+
+
+var entryKey = function(entry) {
+   return entry ? entry.key : undefined;
+};
+
+// Left-leaning red-black tree
+
+/*
+* Nodes hold an Entry, their color and the number of nodes in their subtree.
+* The tree Object holds the root node, the compare function and an optional augment function
+* called on a node after its children changed, to maintain some more information about its subtree.
+*/
+var treeNode = function(entry, tree) {
+   var node = {entry: entry, left: null, right: null, red: true, size: 1};
+   if (tree.augment) tree.augment(node);
+   return node;
+};
+
+var isRed = function(node) {
+   return node !== null && node.red;
+};
+
+var treeSize = function(node) {
+   return node ? node.size : 0;
+};
+
+var treeResize = function(node, tree) {
+   node.size = 1 + treeSize(node.left) + treeSize(node.right);
+   if (tree.augment) tree.augment(node);
+};
+
+var treeRotateLeft = function(node, tree) {
+   var right = node.right;
+   node.right = right.left;
+   right.left = node;
+   right.red = node.red;
+   node.red = true;
+   treeResize(node, tree);
+   treeResize(right, tree);
+   return right;
+};
+
+var treeRotateRight = function(node, tree) {
+   var left = node.left;
+   node.left = left.right;
+   left.right = node;
+   left.red = node.red;
+   node.red = true;
+   treeResize(node, tree);
+   treeResize(left, tree);
+   return left;
+};
+
+var treeFlipColors = function(node) {
+   node.red = !node.red;
+   node.left.red = !node.left.red;
+   node.right.red = !node.right.red;
+};
+
+/*
+* Restores the left-leaning red-black invariants on the way up after an insertion or removal.
+*/
+var treeBalance = function(node, tree) {
+   if (isRed(node.right) && !isRed(node.left)) node = treeRotateLeft(node, tree);
+   if (isRed(node.left) && isRed(node.left.left)) node = treeRotateRight(node, tree);
+   if (isRed(node.left) && isRed(node.right)) treeFlipColors(node);
+   treeResize(node, tree);
+   return node;
+};
+
+/*
+* Returns the new root of the subtree.
+* change.added is set when the key is new, otherwise change.previous is set to the replaced value.
+* The key of an existing entry is kept.
+*/
+var treeInsert = function(node, key, value, tree, change) {
+   if (!node) {
+      change.added = true;
+      return treeNode(Entry(key, value), tree);
+   }
+
+   var comparison = tree.compare(key, node.entry.key);
+   if (comparison < 0) node.left = treeInsert(node.left, key, value, tree, change);
+   else if (comparison > 0) node.right = treeInsert(node.right, key, value, tree, change);
+   else {
+      change.previous = node.entry.value;
+      node.entry.value = value;
+      return node;
+   }
+   return treeBalance(node, tree);
+};
+
+var treeMoveRedLeft = function(node, tree) {
+   treeFlipColors(node);
+   if (isRed(node.right.left)) {
+      node.right = treeRotateRight(node.right, tree);
+      node = treeRotateLeft(node, tree);
+      treeFlipColors(node);
+   }
+   return node;
+};
+
+var treeMoveRedRight = function(node, tree) {
+   treeFlipColors(node);
+   if (isRed(node.left.left)) {
+      node = treeRotateRight(node, tree);
+      treeFlipColors(node);
+   }
+   return node;
+};
+
+var treeRemoveMin = function(node, tree) {
+   if (!node.left) return null;
+   if (!isRed(node.left) && !isRed(node.left.left)) node = treeMoveRedLeft(node, tree);
+   node.left = treeRemoveMin(node.left, tree);
+   return treeBalance(node, tree);
+};
+
+/*
+* Returns the new root of the subtree. The key must be in the tree.
+*/
+var treeRemove = function(node, key, tree) {
+   if (tree.compare(key, node.entry.key) < 0) {
+      if (!isRed(node.left) && !isRed(node.left.left)) node = treeMoveRedLeft(node, tree);
+      node.left = treeRemove(node.left, key, tree);
+   }
+   else {
+      if (isRed(node.left)) node = treeRotateRight(node, tree);
+      if (tree.compare(key, node.entry.key) === 0 && !node.right) return null;
+      if (!isRed(node.right) && !isRed(node.right.left)) node = treeMoveRedRight(node, tree);
+      if (tree.compare(key, node.entry.key) === 0) {
+         var min = node.right;
+         while (min.left) min = min.left;
+         node.entry = min.entry;
+         node.right = treeRemoveMin(node.right, tree);
+      }
+      else node.right = treeRemove(node.right, key, tree);
+   }
+   return treeBalance(node, tree);
+};
+
+var treeFind = function(tree, key) {
+   var node = tree.root;
+   while (node) {
+      var comparison = tree.compare(key, node.entry.key);
+      if (comparison === 0) return node;
+      node = (comparison < 0) ? node.left : node.right;
+   }
+   return null;
+};
+
+/*
+* Returns the number of keys strictly lower than the specified key.
+*/
+var treeRank = function(tree, key) {
+   var node = tree.root, rank = 0;
+   while (node) {
+      if (tree.compare(key, node.entry.key) <= 0) node = node.left;
+      else {
+         rank += treeSize(node.left) + 1;
+         node = node.right;
+      }
+   }
+   return rank;
+};
+
+/*
+* Returns the node holding the key of the specified rank.
+*/
+var treeSelect = function(node, rank) {
+   while (node) {
+      var leftSize = treeSize(node.left);
+      if (rank < leftSize) node = node.left;
+      else if (rank > leftSize) {
+         rank -= leftSize + 1;
+         node = node.right;
+      }
+      else return node;
+   }
+   return null;
+};
+
+/*
+* Returns the node with the highest key lower than the key (lower) or the lowest key greater than the key,
+* including the key itself if inclusive is true.
+*/
+var treeNearest = function(tree, key, lower, inclusive) {
+   var node = tree.root, result = null;
+   while (node) {
+      var comparison = tree.compare(key, node.entry.key);
+      if (comparison === 0 && inclusive) return node;
+
+      if (lower ? comparison > 0 : comparison < 0) {
+         result = node;
+         node = lower ? node.right : node.left;
+      }
+      else node = lower ? node.left : node.right;
+   }
+   return result;
+};
+
+/*
+* Appends the entries of a subtree whose keys are between the (optional) bounds to the result Array, in order.
+*/
+var treeCollect = function(node, compare, from, to, result) {
+   if (!node) return;
+   var afterFrom = !from || compare(node.entry.key, from.key) >= 0;
+   var beforeTo = !to || compare(node.entry.key, to.key) < 0;
+
+   if (afterFrom) treeCollect(node.left, compare, from, to, result);
+   if (afterFrom && beforeTo) result.push(node.entry);
+   if (beforeTo) treeCollect(node.right, compare, from, to, result);
+};
+
+
+Collection.SortedMap = SortedMap;
\ No newline at end of file
@@ -0,0 +1,259 @@
+/*
+* A collection that does not allow duplicates and keeps its items ordered.
+* All methods from Iterable are available.
+*
+* The items are ordered using the same options as Iterable's sorted, or a comparator function;
+* See SortedSet.withOrdering(). Two items comparing equal are considered to be the same item.
+*
+* The items are the keys of a SortedMap, so that add, contains, remove, rank and select are O(log n).
+* As with SortedMap, the Iterable methods returning a collection return a SortedSet with the same ordering.
+*/
+var SortedSet = createType('SortedSet', Iterable);
+
+/*
+* Creates a new SortedSet ordering its items naturally and containing all the specified array items.
+*/
+SortedSet.fromArray = function(array) {
+   var set = SortedSet();
+   addAllItems(set, array);
+   return set;
+};
+
+/*
+* Creates a new SortedSet using the specified ordering, which is either
+* an Object with the same options as Iterable's sorted or a comparator function.
+*/
+SortedSet.withOrdering = function(ordering) {
+   var items = slice.call(arguments, 1);
+   return SortedSet(keyArgs(ordering, items));
+};
+
+SortedSet.prototype._init = function() {
+   var ordering = (arguments[0] && arguments[0].isKeyArgs) ? arguments[0].keyFunction : null;
+   this._map = SortedMap.withOrdering(ordering);
+   addAllItems(this, getArgs(arguments));
+};
+
+/*
+* The SortedMap whose keys are the items of this set.
+*/
+SortedSet.prototype._map = null;
+
+SortedSet.prototype._itemArray = null;
+SortedSet.prototype._entries = null;
+
+SortedSet.prototype._items = function() {
+   var entries = this._map._items();
+   if (this._entries !== entries) {
+      this._itemArray = Seq(entries).map(function(entry) {return entry.key});
+      this._entries = entries;
+   }
+   return this._itemArray;
+};
+defineGetter(SortedSet.prototype, 'items', SortedSet.prototype._items);
+
+/*
+* Adds the item to this set if it is not already present.
+* Returns true if the item was added, false if it was already in this set.
+* Adding an item outside of the range of a view created using subSet, headSet or tailSet throws an Error.
+*/
+SortedSet.prototype.add = function(item) {
+   if (this.contains(item)) return false;
+   this._map.put(item, true);
+   return true;
+};
+
+/*
+* Tests whether this set contains the specified item.
+*/
+SortedSet.prototype.contains = function(item) {
+   return this._map.containsKey(item);
+};
+
+/*
+* Removes the item from this set.
+* Returns true if the item was removed, false if the item was not in this set.
+*/
+SortedSet.prototype.remove = function(item) {
+   return this._map.remove(item) !== undefined;
+};
+
+/*
+* Removes all items satisfying a predicate.
+*/
+SortedSet.prototype.removeIf = function(predicate) {
+   this._map.removeIf(function(item) {return predicate(item)});
+   return this;
+};
+
+/*
+* Removes all items from this set.
+*/
+SortedSet.prototype.removeAll = function() {
+   this._map.removeAll();
+   return this;
+};
+
+/*
+* Returns the number of items in this set.
+*/
+SortedSet.prototype.size = function() {
+   return this._map.size();
+};
+
+/*
+* Returns the number of items of this set strictly lower than the specified item,
+* which is the index the item has or would have in this set.
+*/
+SortedSet.prototype.rank = function(item) {
+   var rank = treeRank(this._map._tree, item) - this._map._startRank();
+   return Math.min(Math.max(rank, 0), this.size());
+};
+
+/*
+* Returns the item of the specified rank (the k-th lowest item, starting at 0), or undefined.
+*/
+SortedSet.prototype.select = function(k) {
+   return entryKey(this._map.itemAt(k));
+};
+
+SortedSet.prototype.itemAt = SortedSet.prototype.select;
+
+/*
+* Returns the lowest item.
+*/
+SortedSet.prototype.first = function() {
+   return this._map.firstKey();
+};
+
+/*
+* Returns the highest item.
+*/
+SortedSet.prototype.last = function() {
+   return this._map.lastKey();
+};
+
+/*
+* Returns the highest item lower than or equal to the given item, or undefined.
+*/
+SortedSet.prototype.floor = function(item) {
+   return this._map.floorKey(item);
+};
+
+/*
+* Returns the lowest item greater than or equal to the given item, or undefined.
+*/
+SortedSet.prototype.ceiling = function(item) {
+   return this._map.ceilingKey(item);
+};
+
+/*
+* Returns the highest item strictly lower than the given item, or undefined.
+*/
+SortedSet.prototype.lower = function(item) {
+   return this._map.lowerKey(item);
+};
+
+/*
+* Returns the lowest item strictly greater than the given item, or undefined.
+*/
+SortedSet.prototype.higher = function(item) {
+   return this._map.higherKey(item);
+};
+
+/*
+* Returns a view of the portion of this set whose items range from fromItem (inclusive) to toItem (exclusive).
+* The view and this set share their items: The changes made to one are visible in the other.
+* Adding an item outside of the range of the view throws an Error.
+*/
+SortedSet.prototype.subSet = function(fromItem, toItem) {
+   return sortedSetView(this._map.subMap(fromItem, toItem));
+};
+
+/*
+* Returns a view of the portion of this set whose items are strictly lower than toItem. See subSet.
+*/
+SortedSet.prototype.headSet = function(toItem) {
+   return sortedSetView(this._map.headMap(toItem));
+};
+
+/*
+* Returns a view of the portion of this set whose items are greater than or equal to fromItem. See subSet.
+*/
+SortedSet.prototype.tailSet = function(fromItem) {
+   return sortedSetView(this._map.tailMap(fromItem));
+};
+
+/*
+* Returns a transient version of this set: A copy of this set, with the same ordering, to apply many modifications to,
+* then frozen in place by calling its persistent() method.
+* The copy of a view created using subSet, headSet or tailSet only holds the items in the range of the view.
+*/
+SortedSet.prototype.asTransient = function() {
+   var copy = SortedSet.withOrdering(this._map._tree.compare);
+   addAllItems(copy, this._items());
+   return makeTransient(copy);
+};
+
+/*
+* Applies the modifications made by a function to a transient version of this set and returns it, frozen.
+*/
+SortedSet.prototype.withMutations = withMutations;
+
+/*
+* Makes this set read-only: Any further call to one of its mutating methods throws an Error. Returns this set.
+* As with SortedMap, the views then created using subSet, headSet and tailSet are frozen too.
+*/
+SortedSet.prototype.freeze = function() {
+   this._map.freeze();
+   return freeze(this, this._items());
+};
+
+SortedSet.prototype._mutators = Set.prototype._mutators;
+SortedSet.prototype._liveViews = ['subSet', 'headSet', 'tailSet'];
+
+/*
+* Set algebra, see Set. The resulting sets use the ordering of this set.
+*/
+SortedSet.prototype.union = Set.prototype.union;
+SortedSet.prototype.intersect = Set.prototype.intersect;
+SortedSet.prototype.diff = Set.prototype.diff;
+SortedSet.prototype.symmetricDiff = Set.prototype.symmetricDiff;
+SortedSet.prototype.isSubsetOf = Set.prototype.isSubsetOf;
+SortedSet.prototype.isSupersetOf = Set.prototype.isSupersetOf;
+SortedSet.prototype.isDisjointFrom = Set.prototype.isDisjointFrom;
+SortedSet.prototype.equals = Set.prototype.equals;
+
+/*
+* Same as valuesIterator, for consistency with the ES2015 Set.
+*/
+SortedSet.prototype.keysIterator = Iterable.prototype.valuesIterator;
+
+/*
+* Returns an iterator over [item, item] pairs, for consistency with the ES2015 Set.
+*/
+SortedSet.prototype.entriesIterator = function() {
+   return arrayIterator(this._items(), function(item) {return [item, item]});
+};
+
+// Iterable overrides
+
+SortedSet.prototype._createNew = function(array) {
+   var set = SortedSet.withOrdering(this._map._tree.compare);
+   addAllItems(set, array);
+   return set;
+};
+
+
+var sortedSetView = function(map) {
+   var set = SortedSet();
+   set._map = map;
+   return set;
+};
+
+var addAllItems = function(set, items) {
+   for (var i = 0, length = items.length; i < length; i++) set.add(items[i]);
+};
+
+
+Collection.SortedSet = SortedSet;
\ No newline at end of file
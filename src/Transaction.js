@@ -0,0 +1,51 @@
+/*
+* Runs a function modifying several collections (Lists, Sets, Maps or ArrayMaps) as a whole:
+* If the function throws, all the modifications it made to these collections are reverted,
+* in the reverse order they were made, and the error is thrown again.
+* Otherwise, the modifications are kept and the value returned by the function is returned.
+*
+* The modifications are journaled by observing the collections for the duration of the function,
+* so the cost of a transaction only depends on the number of modifications, not on the size of the collections.
+*/
+var transaction = Collection.transaction = function(modifications, collections) {
+   var observed = [], journal = [];
+   var listener = function(record, collection) {
+      journal.push({collection: collection, record: record});
+   };
+
+   for (var i = 0, length = collections.length; i < length; i++) {
+      var collection = collections[i];
+      if (!collection.observe) throw new Error(collection + ' can not be part of a transaction as its modifications can not be observed');
+      if (!Seq(observed).contains(collection)) observed.push(collection);
+   }
+
+   for (i = 0; i < observed.length; i++) observed[i].observe(listener);
+   try {
+      return modifications();
+   }
+   catch (e) {
+      rollBack(journal);
+      throw e;
+   }
+   finally {
+      stopObserving(observed, listener);
+   }
+};
+
+/*
+* Reverts the journaled modifications in the reverse order they were made.
+* A modification that can't be reverted (e.g the collection was frozen meanwhile) doesn't stop the rollback:
+* The error thrown by the transaction's function is the one worth reporting.
+*/
+var rollBack = function(journal) {
+   for (var i = journal.length - 1; i >= 0; i--) {
+      try {
+         revertChange(journal[i].collection, journal[i].record);
+      }
+      catch (e) {}
+   }
+};
+
+var stopObserving = function(collections, listener) {
+   for (var i = 0; i < collections.length; i++) collections[i].unobserve(listener);
+};
\ No newline at end of file
@@ -0,0 +1,284 @@
+/*
+* A map of String keys supporting prefix queries, e.g to implement type-ahead search.
+*
+* The keys are stored in a trie: Each node corresponds to a prefix and has one child per character
+* that can follow that prefix, so that the keys starting with a prefix are found without looking at any other key.
+* put, get and remove are O(length of the key).
+*
+* The keys can be compared case-insensitively, as with sorted's ignoreCase; See TrieMap.withOptions().
+* The key returned by the prefix queries is then the one used when the key was first put.
+*/
+var TrieMap = createType('TrieMap');
+
+/*
+* Creates a new TrieMap using the specified tuple Array.
+*/
+TrieMap.fromArray = function(array) {
+   var map = TrieMap();
+   addAll(map, array);
+   return map;
+};
+
+/*
+* Creates a new TrieMap using the specified options:
+* ignoreCase: Compare the keys without their cases. Defaults to false.
+*/
+TrieMap.withOptions = function(options) {
+   var pairs = slice.call(arguments, 1);
+   return TrieMap(optionArgs(options, pairs));
+};
+
+TrieMap.prototype._init = function() {
+   this._options = getOptions(arguments);
+   this._root = trieNode();
+   this._size = 0;
+
+   initPairs(this, getArgs(arguments));
+};
+
+/*
+* The root node, corresponding to the empty prefix.
+* Each node is a {children, childCount, entry} Object, entry being the Entry of the key ending at that node, if any.
+*/
+TrieMap.prototype._root = null;
+TrieMap.prototype._options = null;
+TrieMap.prototype._size = 0;
+
+/*
+* Adds a value for the specified key.
+* Returns the previous value mapped for this key, or undefined if the key is new.
+*/
+TrieMap.prototype.put = function(key, value) {
+   var node = this._root, path = this._path(key);
+
+   for (var i = 0, length = path.length; i < length; i++) {
+      var character = path.charAt(i);
+      if (!node.children[character]) {
+         node.children[character] = trieNode();
+         node.childCount++;
+      }
+      node = node.children[character];
+   }
+
+   if (node.entry) {
+      var previousValue = node.entry.value;
+      node.entry.value = value;
+      return previousValue;
+   }
+
+   node.entry = Entry(key, value);
+   this._size++;
+   return undefined;
+};
+
+/*
+* Returns the value associated with the specified key, or undefined.
+*/
+TrieMap.prototype.get = function(key) {
+   var node = this._findNode(this._path(key));
+   return (node && node.entry) ? node.entry.value : undefined;
+};
+
+/*
+* If the given key is already in this map, returns the associated value.
+* Otherwise, either use the provided value as is if it's not a function or the result from that function call.
+* The value is then associated with that key and returned.
+*/
+TrieMap.prototype.getOrPut = Map.prototype.getOrPut;
+
+/*
+* Tests whether this map contains a binding for this key.
+*/
+TrieMap.prototype.containsKey = function(key) {
+   return this.get(key) !== undefined;
+};
+
+/*
+* Removes and returns the value mapped to the specified key.
+*/
+TrieMap.prototype.remove = function(key) {
+   var path = this._path(key), nodes = [this._root];
+
+   for (var i = 0, length = path.length; i < length; i++) {
+      var child = nodes[i].children[path.charAt(i)];
+      if (!child) return undefined;
+      nodes.push(child);
+   }
+
+   var node = nodes[path.length];
+   if (!node.entry) return undefined;
+
+   var value = node.entry.value;
+   node.entry = null;
+   this._size--;
+
+   // Prune the nodes which no longer lead to any key.
+   for (i = path.length; i > 0 && !nodes[i].entry && !nodes[i].childCount; i--) {
+      delete nodes[i - 1].children[path.charAt(i - 1)];
+      nodes[i - 1].childCount--;
+   }
+   return value;
+};
+
+/*
+* Removes all key-value mappings from this map.
+*/
+TrieMap.prototype.removeAll = function() {
+   this._root = trieNode();
+   this._size = 0;
+   return this;
+};
+
+/*
+* Returns an ArrayMap of the entries whose key starts with the specified prefix.
+* The entries are ordered by key, unless the valueSorted option is used. Options:
+* limit: The maximum number of entries to return. Defaults to Infinity.
+* valueSorted: Orders the entries by value instead, using the same options as Iterable's sorted, e.g {reverse: true}.
+*/
+TrieMap.prototype.entriesWithPrefix = function(prefix, options) {
+   var o = options || {}, limit = (o.limit === undefined) ? Infinity : o.limit;
+   var node = this._findNode(this._path(prefix)), entries = [];
+
+   if (node) collectTrieEntries(node, entries, o.valueSorted ? Infinity : limit);
+
+   var result = ArrayMap.fromArray(entries);
+   return o.valueSorted ? result.valueSorted(o.valueSorted).take(limit) : result;
+};
+
+/*
+* Returns a List of the keys starting with the specified prefix, using the same options as entriesWithPrefix.
+*/
+TrieMap.prototype.keysWithPrefix = function(prefix, options) {
+   return this.entriesWithPrefix(prefix, options).keys();
+};
+
+/*
+* Returns the longest key of this map which is a prefix of the specified String, or undefined.
+*/
+TrieMap.prototype.longestPrefixOf = function(string) {
+   var path = this._path(string), node = this._root, longest = node.entry;
+
+   for (var i = 0, length = path.length; i < length; i++) {
+      node = node.children[path.charAt(i)];
+      if (!node) break;
+      if (node.entry) longest = node.entry;
+   }
+   return longest ? longest.key : undefined;
+};
+
+/*
+* Returns the number of keys in this map.
+*/
+TrieMap.prototype.size = function() {
+   return this._size;
+};
+
+/*
+* Tests whether this map has no keys, not even the empty String.
+*/
+TrieMap.prototype.isEmpty = function() {
+   return this._size == 0;
+};
+
+/*
+* Returns a List of all the keys of this map, ordered alphabetically.
+*/
+TrieMap.prototype.keys = function() {
+   return this.keysWithPrefix('');
+};
+
+/*
+* Returns a List of all the values of this map, in the same order as keys().
+*/
+TrieMap.prototype.values = function() {
+   return this.entriesWithPrefix('').values();
+};
+
+/*
+* Applies a function to all key-value of this map, in the same order as keys().
+*/
+TrieMap.prototype.each = function(callback) {
+   this.entriesWithPrefix('').each(callback);
+};
+
+/*
+* Creates a copy of this map, using the same options.
+*/
+TrieMap.prototype.clone = function() {
+   var clone = TrieMap.withOptions(this._options);
+   this.each(function(key, value) {clone.put(key, value)});
+   return clone;
+};
+
+/*
+* Returns a copy of this map, with the same options, to put and remove many keys into.
+* Its persistent() method freezes it in place and returns it once the modifications are done.
+*/
+TrieMap.prototype.asTransient = function() {
+   return makeTransient(this.clone());
+};
+
+/*
+* Runs a function putting and removing keys on a transient copy of this map, then returns the copy frozen.
+*/
+TrieMap.prototype.withMutations = withMutations;
+
+/*
+* Makes this map read-only: put, getOrPut, remove and removeAll then throw an Error. Prefix queries still work.
+* Returns this map.
+*/
+TrieMap.prototype.freeze = function() {
+   return freeze(this);
+};
+
+TrieMap.prototype._mutators = ['put', 'getOrPut', 'remove', 'removeAll'];
+
+/*
+* Returns an iterator over the [key, value] pairs of this map, in the same order as keys().
+*/
+TrieMap.prototype[iteratorSymbol] = function() {
+   return this.entriesWithPrefix('').entriesIterator();
+};
+
+TrieMap.prototype.toString = function() {
+   return 'TrieMap(' + this.entriesWithPrefix('').items.join(', ') + ')';
+};
+
+/*
+* Returns the characters leading to the node of a key or prefix.
+*/
+TrieMap.prototype._path = function(key) {
+   if (!isString(key)) throw new Error('A TrieMap key must be a String, got ' + key);
+   return this._options.ignoreCase ? key.toUpperCase() : key;
+};
+
+TrieMap.prototype._findNode = function(path) {
+   var node = this._root;
+   for (var i = 0, length = path.length; node && i < length; i++) {
+      node = node.children[path.charAt(i)];
+   }
+   return node || null;
+};
+
+
+var trieNode = function() {
+   return {children: {}, childCount: 0, entry: null};
+};
+
+/*
+* Collects the entries of a node and of its descendants ordered by key, till the limit is reached.
+*/
+var collectTrieEntries = function(node, entries, limit) {
+   if (entries.length >= limit) return;
+   if (node.entry) entries.push(node.entry);
+
+   var chars = [];
+   for (var character in node.children) chars.push(character);
+   chars.sort();
+   for (var i = 0, length = chars.length; i < length && entries.length < limit; i++) {
+      collectTrieEntries(node.children[chars[i]], entries, limit);
+   }
+};
+
+
+Collection.TrieMap = TrieMap;
\ No newline at end of file
@@ -0,0 +1,406 @@
+/*
+* A lazy view of an Iterable, created using Iterable's view().
+*
+* Unlike the Iterable methods, the view methods do not build a new collection every time:
+* The operations are only recorded and are then fused together when the view is forced,
+* so that the items of the original collection are only traversed once.
+* take, takeWhile, find, some and every stop the traversal as soon as possible.
+*
+* Use force() to get a collection of the same type as the original, or toList()/toArray().
+* As the items are only read when the view is forced, a view reflects any change
+* made to the original collection in the meantime.
+*/
+var View = createType('View');
+
+View.prototype._init = function(iterate, source, mapped) {
+   this._iterate = iterate;
+   this._source = source;
+   this._mapped = !!mapped;
+};
+
+/*
+* A function returning a new 'next' function every time the view is traversed.
+* Each call to that 'next' function returns the next item of the view, or DONE.
+*/
+View.prototype._iterate = null;
+
+/*
+* The Iterable this view was created from.
+*/
+View.prototype._source = null;
+
+/*
+* Whether the items of this view are the values returned by map's callback rather than the items of the source,
+* e.g the [key, value] tuples of a mapped ArrayMap view.
+*/
+View.prototype._mapped = false;
+
+/*
+* Lazily applies a function to all items of this view.
+* Collection.NOT_MAPPED can be returned to skip an item, as with Iterable's map.
+*/
+View.prototype.map = function(callback) {
+   var self = this;
+   return this._derive(function(next) {
+      return function() {
+         for (var item = next(); item !== DONE; item = next()) {
+            var mapped = self._invokeItem(callback, item);
+            if (mapped != Collection.NOT_MAPPED) return mapped;
+         }
+         return DONE;
+      };
+   }, true);
+};
+
+/*
+* Lazily selects all items of this view which satisfy a predicate.
+*/
+View.prototype.filter = function(predicate) {
+   var self = this;
+   return this._derive(function(next) {
+      return function() {
+         for (var item = next(); item !== DONE; item = next()) {
+            if (self._invokeItem(predicate, item)) return item;
+         }
+         return DONE;
+      };
+   });
+};
+
+/*
+* Lazily selects the first n items.
+*/
+View.prototype.take = function(n) {
+   return this._derive(function(next) {
+      var taken = 0;
+      return function() {
+         return (taken++ < n) ? next() : DONE;
+      };
+   });
+};
+
+/*
+* Lazily selects items till the predicate no longer hold.
+*/
+View.prototype.takeWhile = function(predicate) {
+   var self = this;
+   return this._derive(function(next) {
+      var done = false;
+      return function() {
+         if (done) return DONE;
+         var item = next();
+         if (item !== DONE && self._invokeItem(predicate, item)) return item;
+         done = true;
+         return DONE;
+      };
+   });
+};
+
+/*
+* Lazily selects all items except the first n ones.
+*/
+View.prototype.drop = function(n) {
+   return this._derive(function(next) {
+      var dropped = 0;
+      return function() {
+         while (dropped < n) {
+            dropped++;
+            if (next() === DONE) return DONE;
+         }
+         return next();
+      };
+   });
+};
+
+/*
+* Lazily drops items till the predicate no longer hold.
+*/
+View.prototype.dropWhile = function(predicate) {
+   var self = this;
+   return this._derive(function(next) {
+      var dropping = true;
+      return function() {
+         var item = next();
+         while (dropping && item !== DONE && self._invokeItem(predicate, item)) {
+            item = next();
+         }
+         dropping = false;
+         return item;
+      };
+   });
+};
+
+/*
+* Lazily selects an interval of items.
+* As with Iterable's slice, negative indices count from the end of the view:
+* The items are then buffered when the view is forced, as the size of a view is not known in advance.
+*/
+View.prototype.slice = function(start, end) {
+   if (start < 0 || end < 0) return this._buffered(function(items) {return items.slice(start, end)});
+
+   var view = this.drop(start || 0);
+   return (end === undefined) ? view : view.take(end - (start || 0));
+};
+
+/*
+* Lazily selects the last n items. The items are buffered when the view is forced.
+*/
+View.prototype.takeRight = function(n) {
+   return this._buffered(function(items) {return items.slice(Math.max(items.length - n, 0))});
+};
+
+/*
+* Lazily selects all items except the last n ones. The items are buffered when the view is forced.
+*/
+View.prototype.dropRight = function(n) {
+   return this._buffered(function(items) {return items.slice(0, Math.max(items.length - n, 0))});
+};
+
+/*
+* Lazily reverses the order of the items. The items are buffered when the view is forced.
+*/
+View.prototype.reverse = function() {
+   return this._buffered(function(items) {return items.reverse()});
+};
+
+/*
+* Lazily sorts the items, using the same options as Iterable's sorted. The items are buffered when the view is forced.
+*/
+View.prototype.sorted = function(options) {
+   return this._buffered(function(items) {return List.fromArray(items).sorted(options).items});
+};
+
+/*
+* Lazily extracts a property of the items. The property can be arbitrarily nested, as with Iterable's pluck.
+* As Iterable's pluck builds a List, the extracted values are then handled like the items of a List, e.g forced into a List.
+*/
+View.prototype.pluck = function(property) {
+   var doPluck = getPluckFunction(property);
+   return this._derive(function(next) {
+      return function() {
+         var item = next();
+         return (item === DONE) ? DONE : doPluck(item);
+      };
+   }, false, List());
+};
+
+/*
+* Applies a function to all items of this view.
+*/
+View.prototype.each = function(callback) {
+   var next = this._iterate();
+   for (var item = next(), index = 0; item !== DONE; item = next(), index++) {
+      this._invokeItem(callback, item, index);
+   }
+};
+
+/*
+* Counts the number of items in this view which satisfy a predicate.
+*/
+View.prototype.count = function(predicate) {
+   var next = this._iterate(), count = 0;
+   for (var item = next(); item !== DONE; item = next()) {
+      if (this._invokeItem(predicate, item)) count++;
+   }
+   return count;
+};
+
+/*
+* Finds the first item of this view satisfying a predicate, if any.
+*/
+View.prototype.find = function(predicate) {
+   var next = this._iterate();
+   for (var item = next(); item !== DONE; item = next()) {
+      if (this._invokeItem(predicate, item)) return item;
+   }
+   return undefined;
+};
+
+/*
+* Tests whether a predicate holds for some of the items of this view.
+*/
+View.prototype.some = function(predicate) {
+   var next = this._iterate();
+   for (var item = next(); item !== DONE; item = next()) {
+      if (this._invokeItem(predicate, item)) return true;
+   }
+   return false;
+};
+
+/*
+* Tests whether a predicate holds for all items of this view.
+*/
+View.prototype.every = function(predicate) {
+   var next = this._iterate();
+   for (var item = next(); item !== DONE; item = next()) {
+      if (!this._invokeItem(predicate, item)) return false;
+   }
+   return true;
+};
+
+/*
+* Folds the items of this view using the specified operator.
+*/
+View.prototype.fold = function(initialValue, operator) {
+   var next = this._iterate(), result = initialValue;
+   for (var item = next(); item !== DONE; item = next()) {
+      result = this._invokeItem(operator, item, result);
+   }
+   return result;
+};
+
+/*
+* Returns the first item of this view.
+*/
+View.prototype.first = function() {
+   var item = this._iterate()();
+   return (item === DONE) ? undefined : item;
+};
+
+/*
+* Finds the first item of this view that owns a property set to a given value, if any.
+*/
+View.prototype.findBy = function(property, value) {
+   var doPluck = getPluckFunction(property), next = this._iterate();
+   for (var item = next(); item !== DONE; item = next()) {
+      if (doPluck(item) === value) return item;
+   }
+   return undefined;
+};
+
+/*
+* Returns the number of items of this view. All the operations of the view are run.
+*/
+View.prototype.size = function() {
+   var next = this._iterate(), size = 0;
+   while (next() !== DONE) size++;
+   return size;
+};
+
+/*
+* Indicates whether this view is empty. The traversal stops at the first item.
+*/
+View.prototype.isEmpty = function() {
+   return this._iterate()() === DONE;
+};
+
+/*
+* Partitions the items of this view into a Map of Lists according to a discriminator function.
+* If a MultiMap (or an ArrayMultiMap) is given, the items are put into it and it is returned instead.
+*/
+View.prototype.groupBy = function(discriminator, multiMap) {
+   var groups = multiMap || Map(), next = this._iterate();
+   for (var item = next(); item !== DONE; item = next()) {
+      var itemGroup = this._invokeItem(discriminator, item);
+      if (multiMap) multiMap.put(itemGroup, item);
+      else groups.getOrPut(itemGroup, List).add(item);
+   }
+   return groups;
+};
+
+/*
+* Partitions the items of this view in fixed size collections of the same type as the original collection.
+* Returns a List of these collections.
+*/
+View.prototype.grouped = function(size) {
+   var items = this.toArray(), groups = [];
+   for (var i = 0; i < items.length; i += size) {
+      groups.push(this._source._createNew(items.slice(i, i + size)));
+   }
+   return List.fromArray(groups);
+};
+
+/*
+* Partitions the items of this view in two collections of the same type as the original collection, according to a predicate.
+* The first element of the returned Array contains the items that satisfied the predicate.
+*/
+View.prototype.partition = function(predicate) {
+   var yes = [], no = [], next = this._iterate();
+   for (var item = next(); item !== DONE; item = next()) {
+      (this._invokeItem(predicate, item) ? yes : no).push(item);
+   }
+   return [this._source._createNew(yes), this._source._createNew(no)];
+};
+
+/*
+* Displays all items of this view as a string.
+*/
+View.prototype.mkString = function(start, sep, end) {
+   return start + this.toArray().join(sep) + end;
+};
+
+/*
+* Runs all the operations of this view and returns
+* a new collection of the same type as the collection the view was created from.
+*/
+View.prototype.force = function() {
+   return this._source._createNew(this.toArray());
+};
+
+/*
+* Runs all the operations of this view and returns the result as a List.
+*/
+View.prototype.toList = function() {
+   return List.fromArray(this.toArray());
+};
+
+/*
+* Runs all the operations of this view and returns the result as an Array.
+*/
+View.prototype.toArray = function() {
+   var next = this._iterate(), result = [];
+   for (var item = next(); item !== DONE; item = next()) {
+      result.push(item);
+   }
+   return result;
+};
+
+/*
+* Returns an iterator over the items of this view.
+* The operations of the view are run as the iteration progresses.
+*/
+View.prototype[iteratorSymbol] = function() {
+   return Iterator(this._iterate());
+};
+
+View.prototype.toString = function() {
+   return 'View(' + this.toArray().join(', ') + ')';
+};
+
+/*
+* Creates a new view applying one more operation on top of the operations of this view.
+* The operation receives the 'next' function of this view and must return the 'next' function of the new view.
+* mapped is true if the operation maps the items, and source replaces the source of this view if the items
+* no longer are items of that source.
+*/
+View.prototype._derive = function(operation, mapped, source) {
+   var iterate = this._iterate;
+   return View(function() {
+      return operation(iterate());
+   }, source || this._source, mapped || (this._mapped && !source));
+};
+
+/*
+* Invokes a function for an item of this view, the way the source collection invokes its callbacks.
+*/
+View.prototype._invokeItem = function(func, item, extraParam) {
+   return this._source._invokeItem(func, item, extraParam, this._mapped);
+};
+
+/*
+* Creates a new view whose items are computed from all the items of this view at once, e.g reversed.
+* The items are only buffered when the new view is traversed; The transform function receives and returns an Array.
+*/
+View.prototype._buffered = function(transform) {
+   return this._derive(function(next) {
+      var items = null, index = 0;
+      return function() {
+         if (!items) {
+            items = [];
+            for (var item = next(); item !== DONE; item = next()) items.push(item);
+            items = transform(items);
+         }
+         return (index < items.length) ? items[index++] : DONE;
+      };
+   });
+};
\ No newline at end of file
@@ -34,12 +34,69 @@ var cloneArray = function(array) {
    return slice.apply(array);
 };
 
+/**
+* Removes in place all the items of an Array satisfying a predicate.
+* Returns the removed items, and a splice record describing the change as a single replacement
+* of the smallest range of items containing all the removed ones (or null if nothing was removed).
+*/
+var removeMatching = function(array, predicate) {
+   var removed = [], matches = [], first = -1, last = -1;
+   for (var i = 0, length = array.length; i < length; i++) {
+      if (matches[i] = !!predicate(array[i])) {
+         removed.push(array[i]);
+         if (first < 0) first = i;
+         last = i;
+      }
+   }
+   if (!removed.length) return {removed: removed, record: null};
+
+   var record = {type: 'splice', index: first, removed: array.slice(first, last + 1), added: []};
+   for (var i = first, position = first; i <= last; i++) {
+      if (!matches[i]) record.added.push(array[position++] = array[i]);
+   }
+   array.splice(position, removed.length);
+   return {removed: removed, record: record};
+};
+
+/**
+* Same as Array's splice but taking the added items as an Array, which may be arbitrarily big.
+*/
+var spliceArray = function(array, index, removeCount, added) {
+   if (added.length < 10000) return array.splice.apply(array, [index, removeCount].concat(added));
+
+   var tail = array.splice(index, array.length - index);
+   var removed = tail.splice(0, removeCount);
+   for (var i = 0, length = added.length; i < length; i++) array.push(added[i]);
+   for (var i = 0, length = tail.length; i < length; i++) array.push(tail[i]);
+   return removed;
+};
+
 var cloneObject = function(object) {
    var clone = {};
    for (var i in object) clone[i] = object[i];
    return clone;
 };
 
+var supportsGetters = (function() {
+   try {
+      Object.defineProperty({}, 'test', {get: noop});
+      return true;
+   }
+   catch (e) {
+      return false;
+   }
+})();
+
+/**
+* Defines a property computed by a getter, e.g the items of the collections building them lazily.
+* Does nothing and returns false on the engines without getters (IE8 and below), so that the library still loads there.
+*/
+var defineGetter = function(object, name, getter) {
+   if (!supportsGetters) return false;
+   Object.defineProperty(object, name, {get: getter});
+   return true;
+};
+
 /**
 * An id generator for primitives and objects. This is used to help reproduce
 * the behavior of the Identity Set and Map available in many other languages.
@@ -92,6 +149,153 @@ var createType = function(typeName, inheritFrom) {
    return Type;
 };
 
+/**
+* Makes a mutable collection read-only: Every method listed in the _mutators property of its prototype
+* is replaced, on the instance only, by a function throwing an Error.
+* The state ('sealed', 'frozen' or 'read-only') is only used in the error messages.
+*/
+var seal = function(collection, state) {
+   var typeName = collection.constructor.typeName;
+   var mutators = collection._mutators;
+   for (var i = 0, length = mutators.length; i < length; i++) {
+      collection[mutators[i]] = sealedMutator(mutators[i], (state || 'sealed') + ' ' + typeName);
+   }
+   return collection;
+};
+
+var sealedMutator = function(name, description) {
+   return function() {
+      throw new Error(name + '() cannot be called on a ' + description);
+   };
+};
+
+/**
+* Seals a collection and freezes the data it is made of (e.g its items Array) on the engines supporting it (ES5),
+* so that the data cannot be modified directly either.
+*/
+var freeze = function(collection, data) {
+   seal(collection, 'frozen');
+   // Freezing again does nothing, e.g when a BiMap and its inverse, both frozen, return each other.
+   collection.freeze = alreadyFrozen;
+   protectLiveViews(collection, collection, freezeView);
+   if (data && Object.freeze) Object.freeze(data);
+   return collection;
+};
+
+var alreadyFrozen = function() {
+   return this;
+};
+
+var freezeView = function(view) {
+   return view.freeze();
+};
+
+/**
+* Turns a private copy of a mutable collection into its transient version:
+* persistent() freezes the copy, in place, once all the modifications are made.
+*/
+var makeTransient = function(copy) {
+   copy.persistent = persistTransient;
+   return copy;
+};
+
+var persistTransient = function() {
+   return this.freeze();
+};
+
+/**
+* Returns a read-only view of a mutable collection.
+* All the non-mutating methods of the view work as usual and reflect the current state of the collection
+* while calling any of its mutating methods throws an Error. The collection itself can still be modified.
+* The items property of the view is a frozen copy of the collection's items, when the engine supports getters.
+* Collections that cannot be modified in the first place, such as PersistentList, are returned as is.
+* Throws an Error if the collection does not list its mutating methods and thus cannot be protected.
+*/
+var readOnly = Collection.readOnly = function(collection) {
+   if (!collection || !collection._mutators) throw new Error(collection + ' cannot be made read-only');
+   if (!collection._mutators.length) return collection;
+
+   var ReadOnlyView = function() {};
+   ReadOnlyView.prototype = collection;
+   var view = seal(new ReadOnlyView(), 'read-only');
+
+   if ('items' in collection) {
+      view._items = readOnlyItems(collection);
+      defineGetter(view, 'items', view._items);
+   }
+   protectLiveViews(view, collection, readOnly);
+
+   // The listeners must be registered on the collection itself, as that's the one sending the change records.
+   if (collection.observe) {
+      view.observe = function(listener) {
+         collection.observe(listener);
+         return view;
+      };
+      view.unobserve = function(listener) {
+         collection.unobserve(listener);
+         return view;
+      };
+   }
+   return view;
+};
+
+/**
+* Replaces, on a protected (frozen or read-only) collection, the methods listed in the _liveViews property of its prototype.
+* These return views sharing the data of the collection (e.g SortedMap's subMap), which get protected the same way.
+*/
+var protectLiveViews = function(target, collection, protect) {
+   var liveViews = collection._liveViews || [];
+   for (var i = 0, length = liveViews.length; i < length; i++) {
+      target[liveViews[i]] = protectedLiveView(collection, collection[liveViews[i]], protect);
+   }
+};
+
+var protectedLiveView = function(collection, method, protect) {
+   return function() {
+      return protect(method.apply(collection, arguments));
+   };
+};
+
+/**
+* Returns the getter of a read-only view's items: A frozen copy of the collection's items.
+* The map entries are copied as well, as the collection updates them in place.
+* The copy of an observable collection's items is reused until the collection is modified,
+* which the observable collections tell by incrementing their version.
+*/
+var readOnlyItems = function(collection) {
+   var source = null, version = -1, copy = null;
+
+   return function() {
+      var items = collection._items();
+      if (items === source && collection._version !== undefined && collection._version === version) return copy;
+
+      source = items;
+      version = collection._version;
+      copy = [];
+      for (var i = 0, length = items.length; i < length; i++) {
+         copy[i] = (items[i] instanceof Entry) ? frozenEntry(items[i]) : items[i];
+      }
+      if (Object.freeze) Object.freeze(copy);
+      return copy;
+   };
+};
+
+var frozenEntry = function(entry) {
+   var copy = Entry(entry.key, entry.value);
+   if (Object.freeze) Object.freeze(copy);
+   return copy;
+};
+
+/**
+* The withMutations implementation shared by the mutable collections.
+* The mutator function is applied to a transient version of the collection, which is then frozen and returned.
+*/
+var withMutations = function(mutator) {
+   var copy = this.asTransient();
+   mutator(copy);
+   return copy.persistent();
+};
+
 // Map and Set utils
 
 /**
@@ -109,7 +313,21 @@ var getKeyFunction = function(args) {
    return (args.length && args[0] && args[0].isKeyArgs) ? args[0].keyFunction : getId; 
 };
 var getArgs = function(args) {
-   return (args.length && args[0] && args[0].isKeyArgs) ? args[0].args : args; 
+   return (args.length && args[0] && (args[0].isKeyArgs || args[0].isOptionArgs)) ? args[0].args : args; 
+};
+
+/**
+* Same as keyArgs for the collections created with an options Object, e.g MultiMap.withOptions().
+*/
+var optionArgs = function(options, args) {
+   return {
+      isOptionArgs: true,
+      options: options || {},
+      args: args
+   };
+};
+var getOptions = function(args) {
+   return (args.length && args[0] && args[0].isOptionArgs) ? args[0].options : {};
 };
 
 var initPairs = function(map, pairs) {
@@ -72,6 +72,31 @@ test('Binary search entry removal', function() {
       [95, 190], [96, 192], [97, 194], [99, 198]]);
 });
 
+test('Removal of a key added after many removals', function() {
+   var map = ArrayMap();
+   for (var i = 0; i < 100; i++) {
+      map.put(i, i);
+   }
+   for (var i = 0; i < 90; i++) {
+      map.remove(i);
+   }
+
+   map.put('new', 1);
+   equal(map.remove('new'), 1);
+   deepEqual(map.keys().items, [90, 91, 92, 93, 94, 95, 96, 97, 98, 99]);
+});
+
+test('iterators are ordered', function() {
+   var map = ArrayMap(1, 10, 2, 20, 3, 30);
+   map.remove(2);
+   map.put(0, 100);
+
+   deepEqual(iterated(map[iteratorSymbol]()), [[1, 10], [3, 30], [0, 100]]);
+   deepEqual(iterated(map.keysIterator()), [1, 3, 0]);
+   deepEqual(iterated(map.valuesIterator()), [10, 30, 100]);
+   deepEqual(iterated(map.entriesIterator()), [[1, 10], [3, 30], [0, 100]]);
+});
+
 test('toString', function() {
    var sarah = {name: 'sarah', toString: function() {return 'sarah'}};
    var map = ArrayMap(1, sarah, 3, 4);
@@ -331,6 +356,20 @@ test('toArray', function() {
 });
 
 
+test('asTransient keeps the insertion order', function() {
+   var map = ArrayMap(3, 30, 1, 10, 2, 20);
+   var transient = map.asTransient();
+
+   transient.remove(1);
+   transient.put(0, 0);
+   deepEqual(transient.keys().items, [3, 2, 0]);
+   deepEqual(map.keys().items, [3, 1, 2]);
+
+   var result = transient.persistent();
+   raises(function() {result.items.push(result.items[0])});
+   deepEqual(result.values().items, [30, 20, 0]);
+});
+
 var equalEntry = function(entry1, entry2) {
    var equal = (entry1.key === entry2.key && entry1.value === entry2.value);
    ok(equal);
@@ -0,0 +1,139 @@
+module("BiMap");
+
+test("construction", function() {
+   var map = BiMap(1, 'one', 2, 'two');
+   equal(map.size(), 2);
+   equal(map.get(1), 'one');
+   equal(map.getKey('two'), 2);
+
+   equal(BiMap.fromArray([['a', 1]]).getKey(1), 'a');
+   raises(function() {BiMap(1, 'one', 2, 'one')}, /already mapped/);
+});
+
+test("put, get, remove", function() {
+   var map = BiMap();
+   ok(map.isEmpty());
+
+   strictEqual(map.put('a', 1), undefined);
+   equal(map.put('a', 2), 1);
+   strictEqual(map.getKey(1), undefined, 'The previous value is no longer mapped');
+   equal(map.getKey(2), 'a');
+   equal(map.put('a', 2), 2, 'A value can be put again for its own key');
+
+   raises(function() {map.put('b', 2)}, /The value 2 is already mapped to the key a/);
+   ok(!map.containsKey('b'));
+
+   equal(map.forcePut('b', 2), undefined);
+   ok(!map.containsKey('a'));
+   equal(map.getKey(2), 'b');
+   equal(map.size(), 1);
+
+   map.put('c', 3);
+   equal(map.remove('c'), 3);
+   ok(!map.containsValue(3));
+   strictEqual(map.remove('c'), undefined);
+
+   equal(map.removeValue(2), 'b');
+   ok(map.isEmpty());
+
+   map.put('d', 4);
+   map.put('e', 5);
+   map.removeIf(function(key, value) {return value > 4});
+   ok(!map.containsValue(5));
+   equal(map.size(), 1);
+
+   map.removeAll();
+   ok(map.isEmpty());
+   ok(!map.containsValue(4));
+});
+
+test("inverse is a live view", function() {
+   var ids = BiMap(1, 'john', 2, 'sarah');
+   var names = ids.inverse();
+
+   equal(names.get('sarah'), 2);
+   strictEqual(names.inverse(), ids);
+   strictEqual(ids.inverse(), names);
+
+   names.put('alice', 3);
+   equal(ids.get(3), 'alice');
+
+   ids.put(1, 'bob');
+   ok(!names.containsKey('john'));
+   equal(names.get('bob'), 1);
+
+   raises(function() {names.put('bob', 2)}, /already mapped/);
+   names.forcePut('bob', 2);
+   ok(!ids.containsKey(1));
+   equal(ids.get(2), 'bob');
+   ok(!names.containsKey('sarah'));
+
+   names.remove('alice');
+   ok(!ids.containsKey(3));
+   equal(ids.size(), 1);
+   equal(names.size(), 1);
+});
+
+test("withKeys", function() {
+   function personEmail(person) {return person.email};
+   var john = {email: 'john@a.com'};
+   var sarah = {email: 'sarah@a.com'};
+   var idsByPerson = BiMap.withKeys(personEmail, null, john, 1, sarah, 2);
+
+   equal(idsByPerson.get({email: 'john@a.com'}), 1);
+   strictEqual(idsByPerson.getKey(2), sarah);
+   strictEqual(idsByPerson.inverse().get(1), john);
+
+   idsByPerson.put({email: 'john@a.com', name: 'john'}, 1);
+   equal(idsByPerson.size(), 2, 'The same person can be put again with its value');
+
+   var byEmail = BiMap.withKeys(null, personEmail, 1, john);
+   ok(byEmail.containsValue({email: 'john@a.com'}));
+   raises(function() {byEmail.put(2, {email: 'john@a.com'})}, /already mapped/);
+
+   var clone = idsByPerson.clone();
+   clone.remove(john);
+   equal(idsByPerson.size(), 2);
+   equal(clone.size(), 1);
+   equal(clone.get({email: 'sarah@a.com'}), 2);
+});
+
+test("keys, values, each and iterators", function() {
+   var map = BiMap('a', 1, 'b', 2);
+
+   sameArraysWithoutOrdering(map.keys().items, ['a', 'b']);
+   sameArraysWithoutOrdering(map.values().items, [1, 2]);
+
+   var pairs = [];
+   map.each(function(key, value) {pairs.push(key + value)});
+   sameArraysWithoutOrdering(pairs, ['a1', 'b2']);
+
+   equal(map.toList().size(), 2);
+   equal(iterated(map[iteratorSymbol]()).length, 2);
+   equal(map.toString(), 'BiMap(a -> 1, b -> 2)');
+});
+
+test("withMutations, freeze and readOnly", function() {
+   var map = BiMap('a', 1);
+
+   var result = map.withMutations(function(copy) {copy.put('b', 2)});
+   equal(result.getKey(2), 'b');
+   ok(!map.containsKey('b'));
+   raises(function() {result.forcePut('c', 2)}, /forcePut\(\) cannot be called on a frozen BiMap/);
+   raises(function() {result.inverse().remove(2)}, /frozen/);
+
+   var transient = map.asTransient();
+   transient.forcePut('b', 1);
+   equal(transient.inverse().get(1), 'b');
+   strictEqual(transient.persistent(), transient);
+   raises(function() {transient.inverse().put(2, 'c')}, /frozen/);
+   equal(map.getKey(1), 'a');
+
+   map.freeze();
+   raises(function() {map.removeValue(1)}, /frozen/);
+   raises(function() {map.inverse().put(2, 'b')}, /frozen/, 'The inverse is frozen as well');
+   strictEqual(map.inverse().inverse(), map);
+
+   raises(function() {Collection.readOnly(BiMap()).put('a', 1)}, /read-only/);
+   raises(function() {Collection.readOnly(BiMap()).inverse().put(1, 'a')}, /read-only/);
+});
\ No newline at end of file
@@ -0,0 +1,171 @@
+module("CacheMap");
+
+function fakeClock() {
+   var clock = function() {return clock.time};
+   clock.time = 0;
+   return clock;
+}
+
+test("construction", function() {
+   var map = CacheMap('a', 1, 'b', 2);
+   equal(map.size(), 2);
+   equal(map.get('b'), 2);
+
+   equal(CacheMap.fromArray([['a', 1]]).get('a'), 1);
+   equal(CacheMap.withOptions({maxSize: 1}, 'a', 1, 'b', 2).size(), 1);
+   ok(CacheMap().isEmpty());
+});
+
+test("put, get, remove", function() {
+   var map = CacheMap();
+
+   strictEqual(map.put('a', 1), undefined);
+   equal(map.put('a', 2), 1);
+   equal(map.get('a'), 2);
+   strictEqual(map.get('b'), undefined);
+   ok(map.containsKey('a'));
+
+   equal(map.getOrPut('b', function() {return 3}), 3);
+   equal(map.getOrPut('b', 4), 3);
+
+   equal(map.remove('a'), 2);
+   strictEqual(map.remove('a'), undefined);
+   equal(map.size(), 1);
+
+   map.removeAll();
+   ok(map.isEmpty());
+   strictEqual(map.get('b'), undefined);
+});
+
+test("lru eviction", function() {
+   var evicted = [];
+   var map = CacheMap.withOptions({maxSize: 3, onEvict: function(key, value, reason) {
+      evicted.push([key, value, reason]);
+   }}, 'a', 1, 'b', 2, 'c', 3);
+
+   map.get('a');
+   map.put('d', 4);
+   deepEqual(evicted, [['b', 2, 'capacity']]);
+   deepEqual(map.keys().items, ['c', 'a', 'd']);
+
+   map.put('c', 30);
+   map.peek('a');
+   map.put('e', 5);
+   deepEqual(evicted[1], ['a', 1, 'capacity'], 'peek is not a use');
+   deepEqual(map.keys().items, ['d', 'c', 'e']);
+
+   map.remove('d');
+   equal(evicted.length, 2, 'Removing an entry is not an eviction');
+});
+
+test("lfu eviction", function() {
+   var map = CacheMap.withOptions({maxSize: 3, policy: 'lfu'}, 'a', 1, 'b', 2, 'c', 3);
+
+   map.get('a');
+   map.get('a');
+   map.get('b');
+   deepEqual(map.keys().items, ['c', 'b', 'a']);
+
+   map.put('d', 4);
+   deepEqual(map.keys().items, ['d', 'b', 'a'], 'The least frequently used entry is evicted');
+
+   map.put('e', 5);
+   deepEqual(map.keys().items, ['e', 'b', 'a'], 'A new entry is the least frequently used one');
+
+   map.get('e');
+   deepEqual(map.keys().items, ['b', 'e', 'a'], 'The least recently used entry goes first among those used as many times');
+
+   map.remove('e');
+   map.get('b');
+   map.get('b');
+   deepEqual(map.keys().items, ['a', 'b']);
+
+   map.put('f', 6);
+   map.put('g', 7);
+   deepEqual(map.keys().items, ['g', 'a', 'b']);
+});
+
+test("ttl", function() {
+   var clock = fakeClock(), evicted = [];
+   var map = CacheMap.withOptions({ttl: 100, clock: clock, onEvict: function(key, value, reason) {
+      evicted.push(key + reason);
+   }});
+
+   map.put('a', 1);
+   map.put('b', 2, 200);
+   map.put('c', 3, 50);
+
+   clock.time = 99;
+   equal(map.get('a'), 1);
+   ok(!map.containsKey('c'));
+   deepEqual(evicted, ['cexpired']);
+
+   clock.time = 100;
+   strictEqual(map.get('a'), undefined);
+   equal(map.size(), 1);
+
+   map.put('b', 20);
+   clock.time = 199;
+   equal(map.peek('b'), 20);
+   clock.time = 200;
+   equal(map.size(), 1, 'Expired entries are kept until they are found');
+   map.prune();
+   ok(map.isEmpty());
+   deepEqual(evicted, ['cexpired', 'aexpired', 'bexpired']);
+});
+
+test("a ttl of 0 expires the entries immediately", function() {
+   var map = CacheMap.withOptions({ttl: 0, clock: fakeClock()});
+
+   map.put('a', 1);
+   ok(!map.containsKey('a'));
+   map.put('b', 2, 10);
+   equal(map.get('b'), 2);
+});
+
+test("stats", function() {
+   var map = CacheMap.withOptions({maxSize: 1}, 'a', 1);
+
+   map.get('a');
+   map.get('b');
+   map.get('a');
+   map.peek('b');
+   map.put('b', 2);
+   deepEqual(map.stats(), {hits: 2, misses: 1, evictions: 1, hitRate: 2 / 3});
+
+   map.resetStats();
+   deepEqual(map.stats(), {hits: 0, misses: 0, evictions: 0, hitRate: 0});
+});
+
+test("withKey", function() {
+   function personEmail(person) {return person.email};
+   var map = CacheMap.withKey(personEmail, {email: 'a@b.c'}, 1);
+
+   equal(map.put({email: 'a@b.c'}, 2), 1);
+   equal(map.size(), 1);
+   equal(map.get({email: 'a@b.c'}), 2);
+
+   var lfu = CacheMap.withOptions({key: personEmail, maxSize: 1, policy: 'lfu'}, {email: 'a@b.c'}, 1);
+   ok(lfu.containsKey({email: 'a@b.c'}));
+});
+
+test("each, iterator and toString", function() {
+   var map = CacheMap('a', 1, 'b', 2);
+   map.get('a');
+
+   var pairs = [];
+   map.each(function(key, value) {pairs.push(key + value)});
+   deepEqual(pairs, ['b2', 'a1']);
+   deepEqual(map.values().items, [2, 1]);
+   deepEqual(iterated(map[iteratorSymbol]()), [['b', 2], ['a', 1]]);
+   equal(map.toString(), 'CacheMap(b -> 2, a -> 1)');
+});
+
+test("readOnly", function() {
+   var map = CacheMap('a', 1);
+   var view = Collection.readOnly(map);
+
+   raises(function() {view.put('b', 2)}, /put\(\) cannot be called on a read-only CacheMap/);
+   raises(function() {view.prune()}, /read-only/);
+   equal(view.get('a'), 1);
+});
\ No newline at end of file
@@ -0,0 +1,88 @@
+module("Combinatorics");
+
+var itemsOfEach = function(view) {
+   return view.toList().map(function(collection) {return collection.items}).items;
+};
+
+test("permutations", function() {
+   var list = List(1, 2, 3);
+
+   deepEqual(itemsOfEach(list.permutations()),
+      [[1, 2, 3], [1, 3, 2], [2, 1, 3], [2, 3, 1], [3, 1, 2], [3, 2, 1]]);
+   deepEqual(itemsOfEach(list.permutations(2)),
+      [[1, 2], [1, 3], [2, 1], [2, 3], [3, 1], [3, 2]]);
+   deepEqual(itemsOfEach(list.permutations(0)), [[]]);
+   deepEqual(itemsOfEach(list.permutations(4)), []);
+   equal(List(1, 2, 3, 4, 5).permutations(3).count(function() {return true}), 60);
+
+   ok(list.permutations().first() instanceof List);
+   ok(list.permutations().force() instanceof List);
+});
+
+test("combinations", function() {
+   var list = List('a', 'b', 'c', 'd');
+
+   deepEqual(itemsOfEach(list.combinations(2)),
+      [['a', 'b'], ['a', 'c'], ['a', 'd'], ['b', 'c'], ['b', 'd'], ['c', 'd']]);
+   deepEqual(itemsOfEach(list.combinations()), [['a', 'b', 'c', 'd']]);
+   deepEqual(itemsOfEach(list.combinations(0)), [[]]);
+   deepEqual(itemsOfEach(list.combinations(5)), []);
+   equal(Seq([1, 2, 3, 4, 5, 6]).combinations(3).count(function() {return true}), 20);
+});
+
+test("powerSet", function() {
+   var set = Set(1, 2, 3);
+   var subsets = set.powerSet().force();
+
+   ok(subsets instanceof Set);
+   equal(subsets.size(), 8);
+   equal(subsets.first().size(), 0);
+   ok(subsets.some(function(subset) {return subset.equals([1, 3])}));
+   ok(subsets.every(function(subset) {return subset instanceof Set && subset.isSubsetOf(set)}));
+
+   equal(Set().powerSet().toArray().length, 1);
+
+   function personEmail(person) {return person.email};
+   var people = Set.withKey(personEmail, {email: 'a'}, {email: 'b'});
+   ok(people.powerSet().find(function(subset) {return subset.size() == 2}).contains({email: 'b'}),
+      'The subsets use the same key function');
+
+   deepEqual(SortedSet(3, 1, 2).powerSet().toList().last().items, [1, 2, 3]);
+});
+
+test("cartesianProduct", function() {
+   var product = Collection.cartesianProduct(List(1, 2), ['a', 'b'], Set(true));
+
+   deepEqual(itemsOfEach(product), [[1, 'a', true], [1, 'b', true], [2, 'a', true], [2, 'b', true]]);
+   ok(product.first() instanceof List);
+
+   deepEqual(itemsOfEach(Collection.cartesianProduct([1, 2], [])), []);
+   deepEqual(itemsOfEach(Collection.cartesianProduct()), [[]]);
+});
+
+test("The combinations are generated lazily", function() {
+   var bigList = Collection.range(20);
+
+   var firstPermutations = bigList.permutations().take(2).toArray();
+   equal(firstPermutations.length, 2);
+   equal(firstPermutations[1].itemAt(18), 19);
+   equal(firstPermutations[1].itemAt(19), 18);
+
+   var subset = Set.fromArray(bigList.items).powerSet().find(function(subset) {return subset.size() == 2});
+   ok(subset.equals([0, 1]));
+
+   ok(Collection.cartesianProduct(bigList, bigList, bigList, bigList).some(function(tuple) {
+      return tuple.itemAt(3) == 5;
+   }));
+});
+
+test("The views work with the Sequence methods once forced", function() {
+   var flattened = List(1, 2).permutations().force().flatten();
+   deepEqual(flattened.items, [1, 2, 2, 1]);
+   deepEqual(flattened.distinct().items, [1, 2]);
+
+   var list = List(1, 2);
+   var combinations = list.combinations(1);
+   list.add(3);
+   equal(combinations.toArray().length, 3, 'The items are read when the view is traversed');
+});
\ No newline at end of file
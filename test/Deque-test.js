@@ -0,0 +1,197 @@
+module("Deque", {setup: function() {
+   // The front items wrap around the end of the ring buffer.
+   var deque = Deque(3, 4, 5, 6);
+   deque.pushFront(2);
+   deque.pushFront(1);
+   this.iterable = this.seq = deque;
+}});
+
+runTests(iterableTests);
+runTests(sequenceTests);
+
+test("construction", function() {
+   var deque = Deque(1, 2, 3);
+   ok(deque instanceof Deque);
+   equal(deque.size(), 3);
+   deepEqual(deque.items, [1, 2, 3]);
+
+   deepEqual(Deque.fromArray([1, 2]).items, [1, 2]);
+   deepEqual(Deque.withOptions({capacity: 2}, 1, 2, 3).items, [1, 2]);
+   ok(Deque().isEmpty());
+});
+
+test("push and pop at both ends", function() {
+   var deque = Deque();
+
+   ok(deque.pushBack(2));
+   ok(deque.pushFront(1));
+   deque.pushBack(3);
+   deepEqual(deque.items, [1, 2, 3]);
+   equal(deque.peekFront(), 1);
+   equal(deque.peekBack(), 3);
+   equal(deque.first(), 1);
+   equal(deque.last(), 3);
+   equal(deque.itemAt(1), 2);
+   strictEqual(deque.itemAt(3), undefined);
+
+   equal(deque.popFront(), 1);
+   equal(deque.popBack(), 3);
+   equal(deque.popBack(), 2);
+   strictEqual(deque.popFront(), undefined);
+   strictEqual(deque.popBack(), undefined);
+   strictEqual(deque.peekFront(), undefined);
+   ok(deque.isEmpty());
+});
+
+test("the buffer grows and wraps around", function() {
+   var deque = Deque(), expected = [];
+
+   for (var i = 0; i < 20; i++) {
+      deque.pushFront(-i);
+      deque.pushBack(i);
+      expected.unshift(-i);
+      expected.push(i);
+   }
+   for (i = 0; i < 5; i++) {
+      deque.popFront();
+      deque.pushBack(i);
+      expected.shift();
+      expected.push(i);
+   }
+
+   deepEqual(deque.items, expected);
+   equal(deque.size(), 40);
+
+   deque.removeAll();
+   ok(deque.isEmpty());
+   deepEqual(deque.items, []);
+   deque.pushBack(1);
+   deepEqual(deque.items, [1]);
+});
+
+test("the buffer shrinks when the deque empties", function() {
+   var deque = Deque();
+
+   for (var i = 0; i < 1000; i++) deque.pushBack(i);
+   equal(deque._buffer.length, 1024);
+
+   for (i = 0; i < 990; i++) deque.popFront();
+   ok(deque._buffer.length < 64, 'The buffer is halved while it is less than a quarter full');
+   deepEqual(deque.items, [990, 991, 992, 993, 994, 995, 996, 997, 998, 999]);
+
+   while (deque.popBack() !== undefined);
+   equal(deque._buffer.length, 8);
+   deque.pushFront(1);
+   deepEqual(deque.items, [1]);
+});
+
+test("items is rebuilt after a modification", function() {
+   var deque = Deque(1, 2);
+   var items = deque.items;
+   strictEqual(deque.items, items);
+
+   deque.pushBack(3);
+   deepEqual(deque.items, [1, 2, 3]);
+   deepEqual(items, [1, 2]);
+   ok(deque.contains(3));
+   equal(deque.indexOf(3), 2);
+});
+
+test("bounded capacity rejecting new items", function() {
+   var deque = Deque.withOptions({capacity: 2}, 1, 2);
+
+   ok(deque.isFull());
+   ok(!deque.pushBack(3));
+   ok(!deque.pushFront(0));
+   deepEqual(deque.items, [1, 2]);
+
+   deque.popFront();
+   ok(!deque.isFull());
+   ok(deque.pushFront(0));
+   deepEqual(deque.items, [0, 2]);
+});
+
+test("bounded capacity overwriting items", function() {
+   var deque = Deque.withOptions({capacity: 3, overflow: 'overwrite'}, 1, 2, 3);
+
+   ok(deque.pushBack(4));
+   deepEqual(deque.items, [2, 3, 4]);
+   ok(deque.pushFront(1));
+   deepEqual(deque.items, [1, 2, 3]);
+
+   var filtered = deque.filter(function(num) {return num > 1});
+   ok(filtered instanceof Deque);
+   filtered.pushBack(4);
+   filtered.pushBack(5);
+   deepEqual(filtered.items, [3, 4, 5], 'Derived deques keep the same capacity');
+
+   ok(!Deque.withOptions({capacity: 0, overflow: 'overwrite'}).pushBack(1));
+});
+
+test("withMutations, freeze and readOnly", function() {
+   var deque = Deque(1, 2);
+
+   var result = deque.withMutations(function(copy) {copy.pushFront(0)});
+   deepEqual(result.items, [0, 1, 2]);
+   raises(function() {result.popBack()}, /popBack\(\) cannot be called on a frozen Deque/);
+
+   var transient = Queue.withOptions({capacity: 2, overflow: 'overwrite'}, 1, 2).asTransient();
+   transient.enqueue(3);
+   deepEqual(transient.items, [2, 3]);
+   strictEqual(transient.persistent(), transient);
+   raises(function() {transient.dequeue()}, /dequeue\(\) cannot be called on a frozen Queue/);
+
+   deque.freeze();
+   raises(function() {deque.removeAll()}, /frozen/);
+   deepEqual(deque.items, [1, 2]);
+
+   raises(function() {Collection.readOnly(Deque()).pushBack(1)}, /read-only/);
+   raises(function() {Collection.readOnly(Queue()).enqueue(1)}, /read-only/);
+   raises(function() {Collection.readOnly(Stack()).push(1)}, /read-only/);
+});
+
+test("toString", function() {
+   equal(Deque(1, 2).toString(), 'Deque(1, 2)');
+});
+
+
+module("Queue");
+
+test("enqueue and dequeue", function() {
+   var queue = Queue(1, 2);
+
+   ok(queue instanceof Deque);
+   ok(queue.enqueue(3));
+   equal(queue.peek(), 1);
+   equal(queue.dequeue(), 1);
+   equal(queue.dequeue(), 2);
+   equal(queue.size(), 1);
+   deepEqual(Queue.fromArray([1, 2]).items, [1, 2]);
+
+   var bounded = Queue.withOptions({capacity: 1}, 1);
+   ok(!bounded.enqueue(2));
+
+   var mapped = queue.map(function(num) {return num * 2});
+   ok(mapped instanceof Queue);
+   equal(mapped.dequeue(), 6);
+});
+
+
+module("Stack");
+
+test("push and pop", function() {
+   var stack = Stack(1, 2);
+
+   ok(stack instanceof Deque);
+   ok(stack.push(3));
+   equal(stack.peek(), 3);
+   equal(stack.pop(), 3);
+   equal(stack.pop(), 2);
+   equal(stack.size(), 1);
+   equal(Stack.fromArray([1, 2]).peek(), 2);
+
+   var bounded = Stack.withOptions({capacity: 2, overflow: 'overwrite'}, 1, 2);
+   bounded.push(3);
+   deepEqual(bounded.items, [2, 3], 'The bottom item is overwritten');
+   equal(bounded.toString(), 'Stack(2, 3)');
+});
\ No newline at end of file
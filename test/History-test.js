@@ -0,0 +1,231 @@
+module("History");
+
+test("List", function() {
+   var list = List(1, 2, 3);
+   var history = History(list);
+   ok(!history.canUndo());
+
+   list.add(4);
+   list.update(0, 10);
+   list.removeIf(function(num) {return num == 2 || num == 4});
+   list.removeFirst();
+   deepEqual(list.items, [3]);
+
+   ok(history.undo());
+   deepEqual(list.items, [10, 3]);
+   ok(history.undo());
+   deepEqual(list.items, [10, 2, 3, 4]);
+   ok(history.undo());
+   deepEqual(list.items, [1, 2, 3, 4]);
+   ok(history.canRedo());
+
+   ok(history.redo());
+   ok(history.redo());
+   deepEqual(list.items, [10, 3]);
+
+   ok(history.undo());
+   ok(history.undo());
+   ok(history.undo());
+   ok(!history.undo());
+   deepEqual(list.items, [1, 2, 3]);
+   ok(!history.canUndo());
+});
+
+test("a new modification discards the steps that could be redone", function() {
+   var list = List(1);
+   var history = History(list);
+
+   list.add(2);
+   history.undo();
+   ok(history.canRedo());
+
+   list.add(3);
+   ok(!history.canRedo());
+   ok(!history.redo());
+   deepEqual(list.items, [1, 3]);
+});
+
+test("Set", function() {
+   var set = Set(1, 2, 3);
+   var history = History(set);
+
+   set.add(4);
+   set.remove(1);
+   set.removeIf(function(num) {return num > 2});
+   set.removeAll();
+   equal(set.size(), 0);
+
+   history.undo();
+   sameArraysWithoutOrdering(set.toArray(), [2]);
+   history.undo();
+   sameArraysWithoutOrdering(set.toArray(), [2, 3, 4]);
+   history.undo();
+   history.undo();
+   sameArraysWithoutOrdering(set.toArray(), [1, 2, 3]);
+
+   history.redo();
+   history.redo();
+   sameArraysWithoutOrdering(set.toArray(), [2, 3, 4]);
+});
+
+test("Map", function() {
+   var map = Map(1, 10, 2, 20);
+   var history = History(map);
+
+   map.put(3, 30);
+   map.put(1, 100);
+   map.remove(2);
+   map.getOrPut(4, 40);
+   map.removeIf(function(key) {return key > 2});
+
+   while (history.undo());
+   equal(map.size(), 2);
+   equal(map.get(1), 10);
+   equal(map.get(2), 20);
+
+   while (history.redo());
+   equal(map.size(), 1);
+   equal(map.get(1), 100);
+});
+
+test("ArrayMap positions are restored", function() {
+   var map = ArrayMap(1, 10, 2, 20, 3, 30, 4, 40, 5, 50);
+   var history = History(map);
+
+   map.remove(2);
+   map.put(3, 300);
+   map.removeIf(function(key) {return key == 1 || key == 4});
+   map.put(6, 60);
+   equalEntryArray(map.items, [[3, 300], [5, 50], [6, 60]]);
+
+   history.undo();
+   history.undo();
+   equalEntryArray(map.items, [[1, 10], [3, 300], [4, 40], [5, 50]]);
+   history.undo();
+   history.undo();
+   equalEntryArray(map.items, [[1, 10], [2, 20], [3, 30], [4, 40], [5, 50]]);
+
+   while (history.redo());
+   equalEntryArray(map.items, [[3, 300], [5, 50], [6, 60]]);
+
+   map.removeAll();
+   history.undo();
+   equalEntryArray(map.items, [[3, 300], [5, 50], [6, 60]]);
+   equal(map.remove(5), 50);
+   equalEntryArray(map.items, [[3, 300], [6, 60]]);
+});
+
+test("ArrayMap values updated after a removeIf are restored", function() {
+   var map = ArrayMap();
+   var history = History(map);
+
+   map.getOrPut(2, 1);
+   map.put(2, 2);
+   map.getOrPut(4, 3);
+   map.getOrPut(0, 2);
+   map.getOrPut(2, 3);
+   map.getOrPut(0, 3);
+   map.removeIf(function(key, value) {return value == 2});
+   map.put(4, 1);
+   map.removeIf(function(key, value) {return value == 1});
+   map.removeIf(function(key, value) {return value == 3});
+   ok(map.isEmpty());
+
+   var states = [];
+   while (history.undo()) states.push(map.toString());
+   deepEqual(states, [
+      'ArrayMap(4 -> 1)',
+      'ArrayMap(4 -> 3)',
+      'ArrayMap(2 -> 2, 4 -> 3, 0 -> 2)',
+      'ArrayMap(2 -> 2, 4 -> 3)',
+      'ArrayMap(2 -> 2)',
+      'ArrayMap(2 -> 1)',
+      'ArrayMap()'
+   ]);
+});
+
+test("transactions", function() {
+   var list = List(1, 2, 3);
+   var history = History(list);
+
+   history.transaction('add numbers', function(list) {
+      list.add(4);
+      list.add(5);
+      history.transaction('nested', function() {list.removeFirst()});
+   });
+   list.add(6);
+
+   equal(history.undoName(), undefined);
+   history.undo();
+   equal(history.undoName(), 'add numbers');
+   history.undo();
+   deepEqual(list.items, [1, 2, 3]);
+   equal(history.redoName(), 'add numbers');
+   ok(!history.canUndo());
+
+   history.redo();
+   deepEqual(list.items, [2, 3, 4, 5]);
+});
+
+test("a transaction throwing is reverted", function() {
+   var list = List(1, 2, 3);
+   var history = History(list);
+
+   raises(function() {
+      history.transaction('failing', function(list) {
+         list.add(4);
+         list.update(0, 10);
+         throw new Error('invalid');
+      });
+   }, /invalid/);
+
+   deepEqual(list.items, [1, 2, 3]);
+   ok(!history.canUndo());
+
+   history.transaction('undo inside', function() {
+      raises(function() {history.undo()}, /undo\(\) cannot be called during a transaction/);
+   });
+   ok(!history.canUndo(), 'an empty transaction is not recorded');
+});
+
+test("maxDepth", function() {
+   var list = List();
+   var history = History(list, {maxDepth: 2});
+
+   list.add(1);
+   list.add(2);
+   list.add(3);
+
+   ok(history.undo());
+   ok(history.undo());
+   ok(!history.undo());
+   deepEqual(list.items, [1]);
+
+   history = History(list, {maxDepth: 0});
+   list.add(2);
+   ok(!history.canUndo(), 'a maxDepth of 0 keeps no step');
+});
+
+test("clear and dispose", function() {
+   var list = List();
+   var history = History(list);
+
+   list.add(1);
+   history.clear();
+   ok(!history.canUndo());
+
+   history.dispose();
+   list.add(2);
+   ok(!history.canUndo());
+});
+
+test("live lists follow the undone modifications", function() {
+   var list = List(1, 2, 3, 4);
+   var evens = list.liveFilter(function(num) {return num % 2 == 0});
+   var history = History(list);
+
+   list.removeIf(function(num) {return num > 1});
+   deepEqual(evens.items, []);
+   history.undo();
+   deepEqual(evens.items, [2, 4]);
+});
\ No newline at end of file
@@ -0,0 +1,143 @@
+module("IntervalTree");
+
+function intervalValues(list) {
+   return list.map(function(interval) {return interval.value}).items;
+}
+
+test("construction", function() {
+   var tree = IntervalTree(0, 10, 'a', 5, 15, 'b');
+   equal(tree.size(), 2);
+   ok(tree instanceof IntervalTree);
+
+   equal(IntervalTree.fromArray([[0, 1, 'a']]).size(), 1);
+   ok(IntervalTree().isEmpty());
+   raises(function() {IntervalTree(0, 10)}, /multiple of 3/);
+   raises(function() {IntervalTree(5, 5, 'a')}, /must be lower than its end: \[5, 5\)/);
+   raises(function() {IntervalTree().insert(5, 3, 'a')}, /must be lower/);
+});
+
+test("overlapping", function() {
+   var tree = IntervalTree(
+      9, 10, 'standup',
+      10, 12, 'review',
+      11, 13, 'lunch',
+      14, 15, 'call',
+      8, 18, 'office');
+
+   deepEqual(intervalValues(tree.overlapping(10, 11)), ['office', 'review'], 'Ranges are half-open');
+   deepEqual(intervalValues(tree.overlapping(11.5, 14.5)), ['office', 'review', 'lunch', 'call']);
+   deepEqual(intervalValues(tree.overlapping(18, 20)), []);
+   deepEqual(intervalValues(tree.overlapping(0, 8)), []);
+
+   var first = tree.overlapping(9, 9.5).first();
+   deepEqual(first, {start: 8, end: 18, value: 'office'});
+   ok(tree.overlapping(0, 1) instanceof List);
+});
+
+test("containing", function() {
+   var tree = IntervalTree(0, 10, 'a', 5, 15, 'b', 10, 20, 'c');
+
+   deepEqual(intervalValues(tree.containing(5)), ['a', 'b']);
+   deepEqual(intervalValues(tree.containing(10)), ['b', 'c']);
+   deepEqual(intervalValues(tree.containing(0)), ['a']);
+   deepEqual(intervalValues(tree.containing(20)), []);
+   deepEqual(intervalValues(tree.containing(-1)), []);
+});
+
+test("many intervals", function() {
+   var tree = IntervalTree(), intervals = [];
+   for (var i = 0; i < 200; i++) {
+      var start = (i * 37) % 101, end = start + 1 + (i * 13) % 17;
+      tree.insert(start, end, i);
+      intervals.push({start: start, end: end, value: i});
+   }
+
+   for (var point = -1; point < 120; point += 7) {
+      var expected = Seq(intervals).filter(function(interval) {
+         return interval.start <= point && point < interval.end;
+      });
+      sameArraysWithoutOrdering(intervalValues(tree.containing(point)), intervalValues(List.fromArray(expected)));
+   }
+
+   for (i = 0; i < 200; i += 2) ok(tree.remove(intervals[i].start, intervals[i].end, i));
+   equal(tree.size(), 100);
+
+   var remaining = Seq(intervals).filter(function(interval) {
+      return interval.value % 2 == 1 && interval.start < 50 && 40 < interval.end;
+   });
+   sameArraysWithoutOrdering(intervalValues(tree.overlapping(40, 50)), intervalValues(List.fromArray(remaining)));
+});
+
+test("remove", function() {
+   var tree = IntervalTree(0, 10, 'a', 0, 10, 'b', 0, 10, 'c', 5, 15, 'd');
+
+   ok(tree.remove(0, 10, 'b'));
+   ok(!tree.remove(0, 10, 'b'));
+   ok(!tree.remove(0, 11, 'a'));
+   deepEqual(intervalValues(tree.containing(1)), ['a', 'c']);
+
+   ok(tree.remove(0, 10), 'All the values of the interval are removed');
+   deepEqual(intervalValues(tree.toList()), ['d']);
+   equal(tree.size(), 1);
+
+   tree.removeAll();
+   ok(tree.isEmpty());
+   deepEqual(tree.containing(7).items, []);
+});
+
+test("withOrdering", function() {
+   var tree = IntervalTree.withOrdering({ignoreCase: true}, 'a', 'm', 'first half', 'N', 'z', 'second half');
+
+   deepEqual(intervalValues(tree.containing('B')), ['first half']);
+   deepEqual(intervalValues(tree.overlapping('l', 'O')), ['first half', 'second half']);
+
+   var dates = IntervalTree.withOrdering(function(a, b) {return a.getTime() - b.getTime()});
+   dates.insert(new Date(2024, 0, 1), new Date(2024, 0, 8), 'week 1');
+   deepEqual(intervalValues(dates.containing(new Date(2024, 0, 3))), ['week 1']);
+   equal(dates.clone().size(), 1);
+});
+
+test("merged", function() {
+   var tree = IntervalTree(1, 3, 'a', 3, 5, 'b', 4, 6, 'c', 8, 9, 'd');
+
+   deepEqual(tree.merged().items, [{start: 1, end: 6}, {start: 8, end: 9}]);
+   deepEqual(IntervalTree().merged().items, []);
+});
+
+test("each, toArray, clone, iterator and toString", function() {
+   var tree = IntervalTree(5, 6, 'b', 1, 2, 'a');
+
+   var values = [];
+   tree.each(function(start, end, value) {values.push(start + '-' + end + value)});
+   deepEqual(values, ['1-2a', '5-6b']);
+
+   deepEqual(tree.toArray(), [{start: 1, end: 2, value: 'a'}, {start: 5, end: 6, value: 'b'}]);
+   equal(iterated(tree[iteratorSymbol]()).length, 2);
+   equal(tree.toString(), 'IntervalTree([1, 2) -> a, [5, 6) -> b)');
+
+   var clone = tree.clone();
+   clone.insert(0, 1, 'z');
+   equal(tree.size(), 2);
+   equal(clone.size(), 3);
+});
+
+test("withMutations, freeze and readOnly", function() {
+   var tree = IntervalTree(0, 10, 'a');
+
+   var result = tree.withMutations(function(copy) {copy.insert(5, 15, 'b')});
+   equal(result.size(), 2);
+   equal(tree.size(), 1);
+   raises(function() {result.insert(1, 2, 'c')}, /insert\(\) cannot be called on a frozen IntervalTree/);
+
+   var transient = result.asTransient();
+   ok(transient.remove(5, 15));
+   equal(transient.containing(12).size(), 0);
+   strictEqual(transient.persistent(), transient);
+   raises(function() {transient.removeAll()}, /frozen/);
+   equal(result.containing(12).size(), 1);
+
+   tree.freeze();
+   raises(function() {tree.remove(0, 10)}, /frozen/);
+
+   raises(function() {Collection.readOnly(IntervalTree()).insert(0, 1, 'a')}, /read-only/);
+});
\ No newline at end of file
@@ -275,6 +275,16 @@ var iterableTests = {
       ok(clone instanceof this.iterable.constructor);
       notEqual(clone, this.iterable);
       notEqual(clone.items, this.iterable.items);
+   },
+
+   iterators: function() {
+      deepEqual(iterated(this.iterable[iteratorSymbol]()), [1, 2, 3, 4, 5, 6]);
+      deepEqual(iterated(this.iterable.valuesIterator()), [1, 2, 3, 4, 5, 6]);
+      deepEqual(iterated(this.iterable.keysIterator()), [0, 1, 2, 3, 4, 5]);
+      deepEqual(iterated(this.iterable.entriesIterator()).slice(0, 2), [[0, 1], [1, 2]]);
+
+      var iterator = this.iterable.valuesIterator();
+      equal(iterator[iteratorSymbol](), iterator, 'iterators are iterable');
    }
 };
 
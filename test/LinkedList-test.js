@@ -0,0 +1,135 @@
+module("LinkedList", {setup: function() {
+   this.iterable = this.seq = LinkedList(1, 2, 3, 4, 5, 6);
+}});
+
+runTests(iterableTests);
+runTests(sequenceTests);
+
+test("construction", function() {
+   var list = LinkedList(1, 2, 3);
+   ok(list instanceof LinkedList);
+   equal(list.size(), 3);
+   deepEqual(list.items, [1, 2, 3]);
+
+   deepEqual(LinkedList.fromArray([1, 2]).items, [1, 2]);
+   ok(LinkedList().isEmpty());
+});
+
+test("add, remove and items", function() {
+   var list = LinkedList(2);
+   var items = list.items;
+
+   list.add(3).addFirst(1);
+   deepEqual(list.items, [1, 2, 3]);
+   deepEqual(items, [2], 'items is rebuilt after a modification');
+   strictEqual(list.items, list.items);
+   equal(list.first(), 1);
+   equal(list.last(), 3);
+   equal(list.itemAt(1), 2);
+
+   list.add(2);
+   equal(list.remove(2), 2);
+   deepEqual(list.items, [1, 3, 2], 'The first occurrence is removed');
+   strictEqual(list.remove(4), false);
+
+   equal(list.removeFirst(), 1);
+   equal(list.removeLast(), 2);
+   deepEqual(list.items, [3]);
+
+   list.removeAll();
+   ok(list.isEmpty());
+   strictEqual(list.removeFirst(), undefined);
+   strictEqual(list.removeLast(), undefined);
+   strictEqual(list.first(), undefined);
+
+   list = LinkedList(1, 2, 3, 4);
+   deepEqual(list.removeIf(function(num) {return num % 2 == 0}).items, [2, 4]);
+   deepEqual(list.items, [1, 3]);
+});
+
+test("nodes", function() {
+   var list = LinkedList('a', 'c');
+   var a = list.firstNode(), c = list.lastNode();
+
+   equal(a.item, 'a');
+   strictEqual(a.previous, null);
+   strictEqual(a.next, c);
+   strictEqual(c.next, null);
+
+   var b = list.insertAfter(a, 'b');
+   equal(b.item, 'b');
+   var d = list.insertBefore(null, 'd');
+   list.insertBefore(a, '0');
+   list.insertAfter(null, '-1');
+   deepEqual(list.items, ['-1', '0', 'a', 'b', 'c', 'd']);
+   strictEqual(list.nodeOf('b'), b);
+   strictEqual(list.nodeOf('z'), null);
+
+   equal(list.removeNode(b), 'b');
+   strictEqual(a.next, c, 'The other nodes remain valid');
+   list.insertBefore(c, 'b2');
+   deepEqual(list.items, ['-1', '0', 'a', 'b2', 'c', 'd']);
+   strictEqual(list.lastNode(), d);
+
+   raises(function() {list.removeNode(b)}, /does not belong/);
+   raises(function() {list.insertAfter(b, 'x')}, /does not belong/);
+   raises(function() {LinkedList(1).moveToFront(a)}, /does not belong/);
+   equal(list.size(), 6);
+
+   list.removeAll();
+   raises(function() {list.removeNode(a)}, /does not belong/);
+});
+
+test("moveToFront and moveToBack", function() {
+   var list = LinkedList(1, 2, 3);
+   var two = list.nodeOf(2);
+
+   list.moveToFront(two);
+   deepEqual(list.items, [2, 1, 3]);
+   list.moveToFront(two);
+   deepEqual(list.items, [2, 1, 3]);
+
+   list.moveToBack(two);
+   deepEqual(list.items, [1, 3, 2]);
+   strictEqual(list.lastNode(), two);
+   equal(list.size(), 3);
+
+   list.insertBefore(two, 2.5);
+   deepEqual(list.items, [1, 3, 2.5, 2]);
+});
+
+test("Iterable methods return LinkedLists", function() {
+   var list = LinkedList(1, 2, 3);
+
+   var doubled = list.map(function(num) {return num * 2});
+   ok(doubled instanceof LinkedList);
+   deepEqual(doubled.items, [2, 4, 6]);
+
+   var clone = list.clone();
+   clone.add(4);
+   equal(list.size(), 3);
+   equal(list.toString(), 'LinkedList(1, 2, 3)');
+});
+
+test("withMutations and freeze", function() {
+   var list = LinkedList(1, 2);
+
+   var result = list.withMutations(function(copy) {copy.add(3)});
+   deepEqual(list.items, [1, 2]);
+   deepEqual(result.items, [1, 2, 3]);
+   raises(function() {result.addFirst(0)}, /addFirst\(\) cannot be called on a frozen LinkedList/);
+
+   var transient = list.asTransient();
+   transient.moveToFront(transient.lastNode());
+   deepEqual(transient.items, [2, 1]);
+   strictEqual(list.firstNode().item, 1, 'the transient list has its own nodes');
+   strictEqual(transient.persistent(), transient);
+   raises(function() {transient.removeFirst()}, /frozen/);
+
+   strictEqual(list.freeze(), list);
+   raises(function() {list.moveToBack(list.firstNode())}, /frozen/);
+   raises(function() {list.removeNode(list.firstNode())}, /frozen/);
+   deepEqual(list.items, [1, 2]);
+
+   raises(function() {Collection.readOnly(LinkedList(1)).add(2)}, /read-only/);
+});
\ No newline at end of file
@@ -0,0 +1,86 @@
+module("LinkedMap", {setup: function() {
+   this.MapType = LinkedMap;
+
+   this.sameArrays = function(arr1, arr2) {
+      deepEqual(arr1, arr2);
+   };
+}});
+
+// All basic map tests should run with a LinkedMap
+runTests(mapTests);
+
+test("keys and values are ordered", function() {
+   var map = LinkedMap(1, 10, 2, 20, 3, 30);
+
+   map.put(0, 100);
+   map.put(2, 200);
+   map.remove(3);
+
+   deepEqual(map.keys().items, [1, 2, 0]);
+   deepEqual(map.values().items, [10, 200, 100]);
+   equalEntryArray(map.items, [[1, 10], [2, 200], [0, 100]]);
+});
+
+test("removals in any order", function() {
+   var map = LinkedMap(), expected = [];
+   for (var i = 0; i < 100; i++) map.put(i, i * 2);
+   for (i = 0; i < 100; i++) {
+      if (i % 3 == 0) map.remove(i);
+      else expected.push(i);
+   }
+
+   deepEqual(map.keys().items, expected);
+   equal(map.size(), expected.length);
+   ok(!map.containsKey(3));
+   equal(map.get(4), 8);
+});
+
+test("moveToFront and moveToBack", function() {
+   var map = LinkedMap('a', 1, 'b', 2, 'c', 3);
+
+   ok(map.moveToBack('a'));
+   deepEqual(map.keys().items, ['b', 'c', 'a']);
+   ok(map.moveToFront('c'));
+   deepEqual(map.keys().items, ['c', 'b', 'a']);
+   ok(!map.moveToFront('d'));
+
+   map.put('b', 20);
+   deepEqual(map.values().items, [3, 20, 1]);
+});
+
+test("Iterable methods", function() {
+   var map = LinkedMap('b', 2, 'a', 1, 'c', 3);
+
+   var odds = map.filter(function(key, value) {return value % 2 == 1});
+   ok(odds instanceof LinkedMap);
+   deepEqual(odds.keys().items, ['a', 'c']);
+
+   deepEqual(map.keySorted().keys().items, ['a', 'b', 'c']);
+   deepEqual(map.valueSorted({reverse: true}).values().items, [3, 2, 1]);
+   equal(map.toString(), 'LinkedMap(b -> 2, a -> 1, c -> 3)');
+});
+
+test("asTransient and freeze keep the order", function() {
+   var map = LinkedMap('a', 1, 'b', 2);
+
+   var transient = map.asTransient();
+   transient.moveToFront('b');
+   transient.put('c', 3);
+   deepEqual(transient.keys().items, ['b', 'a', 'c']);
+   deepEqual(map.keys().items, ['a', 'b']);
+
+   var result = transient.persistent();
+   raises(function() {result.moveToBack('b')}, /moveToBack\(\) cannot be called on a frozen LinkedMap/);
+   raises(function() {result.items.pop()});
+   equalEntryArray(result.items, [['b', 2], ['a', 1], ['c', 3]]);
+});
+
+test("readOnly", function() {
+   var map = LinkedMap('a', 1, 'b', 2);
+   var view = Collection.readOnly(map);
+
+   raises(function() {view.moveToFront('b')}, /moveToFront\(\) cannot be called on a read-only LinkedMap/);
+   raises(function() {view.items.pop()});
+   map.remove('a');
+   deepEqual(view.keys().items, ['b']);
+});
\ No newline at end of file
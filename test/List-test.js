@@ -127,6 +127,62 @@ test("toSet", function() {
 	ok(set.contains(3));
 });
 
+test("withMutations", function() {
+	var list = List(1, 2, 3);
+	var result = list.withMutations(function(copy) {
+		copy.add(4);
+		copy.removeFirst();
+	});
+
+	deepEqual(list.items, [1, 2, 3]);
+	deepEqual(result.items, [2, 3, 4]);
+	ok(result instanceof List);
+
+	raises(function() {result.add(5)}, /add\(\) cannot be called on a frozen List/);
+	raises(function() {result.removeIf(function() {return true})});
+	raises(function() {result.items.push(5)});
+	deepEqual(result.items, [2, 3, 4]);
+	deepEqual(result.map(function(num) {return num * 2}).add(10).items, [4, 6, 8, 10], 'derived lists are not frozen');
+});
+
+test("asTransient", function() {
+	var list = List(1, 2, 3);
+	var transient = list.asTransient();
+
+	transient.add(4);
+	transient.removeAt(0);
+	deepEqual(transient.items, [2, 3, 4]);
+	deepEqual(list.items, [1, 2, 3]);
+
+	var result = transient.persistent();
+	strictEqual(result, transient);
+	raises(function() {result.addAt(0, 0)}, /addAt\(\) cannot be called on a frozen List/);
+	raises(function() {result.items.push(5)});
+	deepEqual(result.items, [2, 3, 4]);
+});
+
+test("freeze", function() {
+	var list = List(3, 1, 2);
+	strictEqual(list.freeze(), list);
+
+	raises(function() {list.add(4)}, /add\(\) cannot be called on a frozen List/);
+	raises(function() {list.addAt(4, 0)});
+	raises(function() {list.update(0, 4)});
+	raises(function() {list.remove(1)});
+	raises(function() {list.removeAt(0)});
+	raises(function() {list.removeFirst()});
+	raises(function() {list.removeLast()});
+	raises(function() {list.removeAll()});
+	raises(function() {list.removeIf(function() {return true})});
+	if (Object.isFrozen) ok(Object.isFrozen(list.items));
+
+	deepEqual(list.items, [3, 1, 2]);
+	deepEqual(list.sorted().items, [1, 2, 3]);
+	deepEqual(list.reverse().items, [2, 1, 3]);
+	deepEqual(list.filter(function(num) {return num > 1}).add(4).items, [3, 2, 4]);
+	ok(list.contains(2));
+});
+
 test("toString", function() {
 	var sarah = {name: 'sarah', toString: function() {return 'sarah'}};
 	var list = List(1, sarah, 3);
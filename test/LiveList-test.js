@@ -0,0 +1,161 @@
+module("LiveList");
+
+var isEven = function(num) {return num % 2 == 0};
+
+var randomModifications = function(list, count) {
+   var seed = 5;
+   function random(n) {seed = (seed * 16807) % 2147483647; return seed % n;}
+
+   for (var i = 0; i < count; i++) {
+      var index = random(list.size() + 1);
+      switch (random(6)) {
+         case 0: list.add(random(100)); break;
+         case 1: list.addAt(random(100), index); break;
+         case 2: list.removeAt(index); break;
+         case 3: if (index < list.size()) list.update(index, random(100)); break;
+         case 4: list.remove(random(100)); break;
+         case 5: if (random(10) == 0) list.removeIf(function(num) {return num > 80});
+      }
+   }
+};
+
+test("liveFilter", function() {
+   var list = List(1, 2, 3, 4);
+   var evens = list.liveFilter(isEven);
+   deepEqual(evens.items, [2, 4]);
+
+   list.add(6);
+   list.addAt(8, 0);
+   list.update(1, 10);
+   list.update(2, 5);
+   list.removeAt(3);
+   deepEqual(list.items, [8, 10, 5, 4, 6]);
+   deepEqual(evens.items, [8, 10, 4, 6]);
+
+   randomModifications(list, 500);
+   deepEqual(evens.items, list.filter(isEven).items);
+});
+
+test("liveFilter on a big list", function() {
+   var list = List.fromArray(range(0, 2999).items);
+   var evens = list.liveFilter(isEven);
+   equal(evens.size(), 1500);
+
+   list.update(2000, 1);
+   list.removeAt(10);
+   list.addAt(4, 2500);
+   equal(evens.itemAt(999), 2002);
+   equal(evens.itemAt(1249), 4);
+
+   randomModifications(list, 1000);
+   list.removeIf(function(num) {return num > 1000 && num < 2000});
+   randomModifications(list, 1000);
+   deepEqual(evens.items, list.filter(isEven).items);
+
+   list.removeAll();
+   list.add(2);
+   deepEqual(evens.items, [2]);
+});
+
+test("liveMap", function() {
+   var list = List(1, 2, 3);
+   var doubled = list.liveMap(function(num) {return num * 2});
+   deepEqual(doubled.items, [2, 4, 6]);
+
+   list.add(4);
+   list.update(0, 10);
+   list.removeAt(1);
+   deepEqual(doubled.items, [20, 6, 8]);
+
+   randomModifications(list, 500);
+   deepEqual(doubled.items, list.map(function(num) {return num * 2}).items);
+});
+
+test("liveSorted", function() {
+   var list = List(3, 1, 2);
+   var sorted = list.liveSorted();
+   deepEqual(sorted.items, [1, 2, 3]);
+
+   list.add(0);
+   list.update(1, 5);
+   list.remove(2);
+   deepEqual(sorted.items, [0, 3, 5]);
+
+   randomModifications(list, 500);
+   deepEqual(sorted.items, list.sorted().items);
+
+   list.removeAll();
+   deepEqual(sorted.items, []);
+   list.add(1);
+   deepEqual(sorted.items, [1]);
+});
+
+test("liveSorted options", function() {
+   var people = List({name: 'b', age: 30}, {name: 'A', age: 20}, {name: null, age: 10});
+   var byName = people.liveSorted({by: 'name', ignoreCase: true, reverse: true});
+
+   deepEqual(byName.pluck('name').items, [null, 'b', 'A']);
+   people.add({name: 'c', age: 40});
+   people.add({age: 50});
+   deepEqual(byName.pluck('name').items, [null, undefined, 'c', 'b', 'A']);
+   people.removeIf(function(person) {return !person.name});
+   deepEqual(byName.pluck('name').items, ['c', 'b', 'A']);
+
+   var byAge = people.liveSorted({by: function(person) {return -person.age}});
+   people.update(1, {name: 'd', age: 100});
+   deepEqual(byAge.pluck('name').items, ['d', 'c', 'b']);
+});
+
+test("liveValues", function() {
+   var map = ArrayMap(1, 'a', 2, 'b', 3, 'c');
+   var values = map.liveValues();
+   deepEqual(values.items, ['a', 'b', 'c']);
+
+   map.put(4, 'd');
+   map.put(2, 'bb');
+   map.remove(1);
+   map.getOrPut(5, 'e');
+   deepEqual(values.items, ['bb', 'c', 'd', 'e']);
+
+   map.removeIf(function(key) {return key == 2 || key == 4});
+   deepEqual(values.items, ['c', 'e']);
+   map.removeAll();
+   deepEqual(values.items, []);
+});
+
+test("live lists are read-only and can be chained", function() {
+   var list = List(1, 2, 3, 4);
+   var evens = list.liveFilter(isEven);
+   var labels = evens.liveMap(function(num) {return 'n' + num});
+
+   raises(function() {evens.add(6)}, /add\(\) cannot be called on a read-only LiveList/);
+   raises(function() {labels.removeAll()});
+
+   list.add(6);
+   deepEqual(labels.items, ['n2', 'n4', 'n6']);
+
+   var mapped = evens.map(function(num) {return num + 1});
+   ok(!(mapped instanceof LiveList));
+   deepEqual(mapped.add(8).items, [3, 5, 7, 8]);
+});
+
+test("a single record is sent for a batch modification", function() {
+   var list = List(1, 2, 3, 4, 5, 6);
+   var evens = list.liveFilter(isEven);
+   var records = [];
+   evens.observe(function(record) {records.push(record)});
+
+   list.removeIf(function(num) {return num > 1 && num < 6});
+   deepEqual(evens.items, [6]);
+   deepEqual(records, [{type: 'splice', index: 0, removed: [2, 4], added: []}]);
+});
+
+test("dispose", function() {
+   var list = List(1, 2);
+   var evens = list.liveFilter(isEven);
+
+   evens.dispose();
+   list.add(4);
+   deepEqual(evens.items, [2]);
+   evens.dispose();
+});
\ No newline at end of file
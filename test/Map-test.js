@@ -201,6 +201,85 @@ var mapTests = {
       ok(original != clone);
    },
 
+   "iterators": function() {
+      var sarah = {name: 'sarah'};
+      var map = this.MapType(
+         1, sarah, 
+         3, 4,
+         5, 6);
+
+      var entries = iterated(map[iteratorSymbol]());
+      equal(entries.length, 3);
+      this.sameArrays(Seq(entries).map(function(entry) {return entry[0]}), [1, 3, 5]);
+      this.sameArrays(Seq(entries).map(function(entry) {return entry[1]}), [sarah, 4, 6]);
+
+      this.sameArrays(iterated(map.keysIterator()), [1, 3, 5]);
+      this.sameArrays(iterated(map.valuesIterator()), [sarah, 4, 6]);
+      equal(iterated(map.entriesIterator()).length, 3);
+   },
+
+   "withMutations": function() {
+      function personEmail(person) {return person.email};
+      var map = this.MapType.withKey(personEmail, {email: 'a'}, 1);
+
+      var result = map.withMutations(function(copy) {
+         copy.put({email: 'b'}, 2);
+         copy.put({email: 'a'}, 10);
+      });
+
+      equal(map.size(), 1);
+      equal(map.get({email: 'a'}), 1);
+      equal(result.size(), 2);
+      equal(result.get({email: 'a'}), 10);
+
+      raises(function() {result.put(3, 30)}, /put\(\) cannot be called on a frozen/);
+      raises(function() {result.getOrPut(3, 30)});
+      raises(function() {result.remove({email: 'a'})});
+      raises(function() {result.removeIf(function() {return true})});
+      equal(result.size(), 2);
+   },
+
+   "asTransient": function() {
+      function personEmail(person) {return person.email};
+      var map = this.MapType.withKey(personEmail, {email: 'a'}, 1, {email: 'b'}, 2);
+      var transient = map.asTransient();
+
+      transient.put({email: 'a'}, 10);
+      transient.remove({email: 'b'});
+      transient.put({email: 'c'}, 3);
+      equal(transient.size(), 2);
+      equal(transient.get({email: 'a'}), 10);
+      equal(transient.get({email: 'c'}), 3);
+      equal(transient.count(function(key, value) {return value > 2}), 2);
+
+      equal(map.size(), 2);
+      equal(map.get({email: 'a'}), 1);
+      equal(map.get({email: 'b'}), 2);
+
+      var result = transient.persistent();
+      strictEqual(result, transient);
+      raises(function() {result.put({email: 'd'}, 4)}, /put\(\) cannot be called on a frozen/);
+      equal(result.size(), 2);
+      ok(Object.isFrozen(result.items));
+   },
+
+   "freeze": function() {
+      var map = this.MapType(1, 10, 2, 20);
+      strictEqual(map.freeze(), map);
+
+      raises(function() {map.put(3, 30)}, /put\(\) cannot be called on a frozen/);
+      raises(function() {map.getOrPut(1, 30)});
+      raises(function() {map.remove(1)});
+      raises(function() {map.removeIf(function() {return true})});
+      raises(function() {map.removeAll()});
+
+      equal(map.size(), 2);
+      equal(map.get(2), 20);
+      ok(map.containsValue(10));
+      this.sameArrays(map.keys().items, [1, 2]);
+      equal(map.clone().put(3, 30), undefined);
+   },
+
    "cloning keeps the withKey setting": function() {
       var sarah = {name: 'sarah'};
       function personEmail(person) {return person.email};
@@ -226,4 +305,64 @@ test('toString', function() {
    var map = Map(1, sarah, 3, 4);
 
    equal(map.toString(), 'Map(1 -> sarah, 3 -> 4)');
+});
+
+test('Iterable methods', function() {
+   var map = Map('a', 1, 'b', 2, 'c', 3, 'd', 4);
+
+   var evens = map.filter(function(key, value) {return value % 2 == 0});
+   ok(evens instanceof Map);
+   equal(evens.size(), 2);
+   equal(evens.get('b'), 2);
+   equal(evens.get('d'), 4);
+
+   var doubled = map.map(function(key, value) {return [key.toUpperCase(), value * 2]});
+   ok(doubled instanceof Map);
+   equal(doubled.get('C'), 6);
+
+   equal(map.fold(0, function(key, value, sum) {return sum + value}), 10);
+   equal(map.count(function(key, value) {return value > 1}), 3);
+   equal(map.find(function(key, value) {return value == 3}).key, 'c');
+   ok(map.some(function(key) {return key == 'a'}));
+   ok(!map.every(function(key, value) {return value > 1}));
+
+   var parts = map.partition(function(key, value) {return value < 3});
+   ok(parts[0] instanceof Map);
+   sameArraysWithoutOrdering(parts[0].keys().items, ['a', 'b']);
+   sameArraysWithoutOrdering(parts[1].keys().items, ['c', 'd']);
+
+   var groups = map.groupBy(function(key, value) {return value % 2 ? 'odd' : 'even'});
+   equal(groups.get('odd').size(), 2);
+});
+
+test('Iterable methods keep the withKey setting', function() {
+   function personEmail(person) {return person.email};
+   var map = Map.withKey(personEmail,
+      {name: 'sarah', email: 's.connor@me.com'}, 1,
+      {name: 'pedro', email: 'delpaso@titi.com'}, 2);
+
+   var filtered = map.filter(function(person, value) {return value == 1});
+   equal(filtered.get({email: 's.connor@me.com'}), 1);
+
+   var mapped = map.map(function(person, value) {return [{email: person.email}, value * 10]});
+   equal(mapped.get({email: 'delpaso@titi.com'}), 20);
+});
+
+test('The items stay consistent after removals', function() {
+   var map = Map();
+   for (var i = 0; i < 20; i++) map.put(i, i * 10);
+
+   map.remove(3);
+   map.remove(19);
+   map.removeIf(function(key) {return key % 4 == 0});
+   map.remove(7);
+
+   var expected = [1, 2, 5, 6, 9, 10, 11, 13, 14, 15, 17, 18];
+   equal(map.size(), expected.length);
+   sameArraysWithoutOrdering(map.keys().items, expected);
+   for (var i = 0; i < expected.length; i++) {
+      equal(map.remove(expected[i]), expected[i] * 10);
+   }
+   ok(map.isEmpty());
+   deepEqual(map.items, []);
 });
\ No newline at end of file
@@ -0,0 +1,188 @@
+var multiMapTests = {
+
+   "put and get": function() {
+      var map = this.MultiMapType('a', 1, 'a', 2, 'b', 3);
+
+      ok(map.put('a', 1));
+      deepEqual(map.get('a').items, [1, 2, 1]);
+      deepEqual(map.get('b').items, [3]);
+      strictEqual(map.get('c'), undefined);
+
+      raises(function() {map.get('a').add(4)}, /read-only/);
+      equal(map.size(), 4);
+   },
+
+   "size and keyCount": function() {
+      var map = this.MultiMapType();
+      ok(map.isEmpty());
+
+      map.put('a', 1);
+      map.put('a', 2);
+      map.put('b', 3);
+      equal(map.size(), 3);
+      equal(map.keyCount(), 2);
+      ok(!map.isEmpty());
+   },
+
+   "removeValue and removeKey": function() {
+      var map = this.MultiMapType('a', 1, 'a', 2, 'b', 3);
+
+      ok(map.removeValue('a', 1));
+      ok(!map.removeValue('a', 1));
+      ok(!map.removeValue('c', 1));
+      deepEqual(map.get('a').items, [2]);
+      equal(map.size(), 2);
+
+      ok(map.removeValue('a', 2));
+      ok(!map.containsKey('a'), 'A key is removed along with its last value');
+      equal(map.keyCount(), 1);
+
+      map.put('b', 4);
+      deepEqual(map.removeKey('b').items, [3, 4]);
+      strictEqual(map.removeKey('b'), undefined);
+      ok(map.isEmpty());
+
+      map.put('c', 5);
+      map.removeAll();
+      equal(map.size(), 0);
+      equal(map.keyCount(), 0);
+   },
+
+   "contains": function() {
+      var map = this.MultiMapType('a', 1, 'b', 2);
+
+      ok(map.containsKey('a'));
+      ok(!map.containsKey('c'));
+      ok(map.containsEntry('a', 1));
+      ok(!map.containsEntry('a', 2));
+      ok(!map.containsEntry('c', 1));
+      ok(map.containsValue(2));
+      ok(!map.containsValue(3));
+   },
+
+   "keys, values and each": function() {
+      var map = this.MultiMapType('a', 1, 'a', 2, 'b', 3);
+
+      sameArraysWithoutOrdering(map.keys().items, ['a', 'b']);
+      sameArraysWithoutOrdering(map.values().items, [1, 2, 3]);
+
+      var pairs = [];
+      map.each(function(key, value) {pairs.push(key + value)});
+      sameArraysWithoutOrdering(pairs, ['a1', 'a2', 'b3']);
+
+      equal(iterated(map[iteratorSymbol]()).length, 3);
+   },
+
+   "Set buckets": function() {
+      var map = this.MultiMapType.withOptions({buckets: Set}, 'a', 1, 'a', 1);
+
+      ok(map.get('a') instanceof Set);
+      equal(map.size(), 1);
+      ok(!map.put('a', 1));
+      ok(map.put('a', 2));
+      equal(map.size(), 2);
+      ok(map.removeValue('a', 1));
+   },
+
+   "withKey": function() {
+      function personEmail(person) {return person.email};
+      var map = this.MultiMapType.withKey(personEmail, {email: 'a@b.c'}, 1);
+
+      map.put({email: 'a@b.c'}, 2);
+      equal(map.keyCount(), 1);
+      deepEqual(map.get({email: 'a@b.c'}).items, [1, 2]);
+
+      var bucketKey = this.MultiMapType.withOptions({key: personEmail, buckets: function() {return Set.withKey(personEmail)}});
+      bucketKey.put({email: 'a@b.c'}, {email: 'x@y.z'});
+      ok(!bucketKey.put({email: 'a@b.c'}, {email: 'x@y.z'}));
+
+      var clone = map.clone();
+      ok(clone instanceof this.MultiMapType);
+      clone.put({email: 'a@b.c'}, 3);
+      equal(clone.size(), 3);
+      equal(map.size(), 2);
+   },
+
+   "invert": function() {
+      var map = this.MultiMapType.withOptions({buckets: Set}, 'a', 1, 'a', 2, 'b', 1);
+      var inverted = map.invert();
+
+      ok(inverted instanceof this.MultiMapType);
+      ok(inverted.get(1) instanceof Set);
+      sameArraysWithoutOrdering(inverted.get(1).toArray(), ['a', 'b']);
+      deepEqual(inverted.get(2).toArray(), ['a']);
+      equal(inverted.size(), 3);
+   },
+
+   "fromArray": function() {
+      var map = this.MultiMapType.fromArray([['a', 1], ['a', 2]]);
+      equal(map.size(), 2);
+      ok(map instanceof this.MultiMapType);
+   },
+
+   "groupBy": function() {
+      var people = List({name: 'john', city: 'Paris'}, {name: 'sarah', city: 'London'}, {name: 'bob', city: 'Paris'});
+      var byCity = people.groupBy(function(person) {return person.city}, this.MultiMapType());
+
+      ok(byCity instanceof this.MultiMapType);
+      equal(byCity.keyCount(), 2);
+      deepEqual(byCity.get('Paris').pluck('name').items, ['john', 'bob']);
+
+      var lazyByCity = people.view().groupBy(function(person) {return person.city}, this.MultiMapType());
+      ok(lazyByCity instanceof this.MultiMapType);
+      deepEqual(lazyByCity.get('London').pluck('name').items, ['sarah']);
+   },
+
+   "withMutations, freeze and readOnly": function() {
+      var map = this.MultiMapType('a', 1);
+
+      var result = map.withMutations(function(copy) {copy.put('a', 2)});
+      equal(result.size(), 2);
+      equal(map.size(), 1);
+      raises(function() {result.put('b', 3)}, /put\(\) cannot be called on a frozen/);
+
+      var transient = map.asTransient();
+      transient.put('b', 3);
+      equal(transient.size(), 2);
+      strictEqual(transient.persistent(), transient);
+      raises(function() {transient.removeAll()}, /removeAll\(\) cannot be called on a frozen/);
+      equal(map.size(), 1);
+
+      map.freeze();
+      raises(function() {map.removeKey('a')}, /frozen/);
+      equal(map.get('a').size(), 1);
+
+      var readOnlyMap = Collection.readOnly(this.MultiMapType());
+      raises(function() {readOnlyMap.put('a', 1)}, /put\(\) cannot be called on a read-only/);
+   }
+};
+
+module("MultiMap", {setup: function() {
+   this.MultiMapType = MultiMap;
+}});
+
+runTests(multiMapTests);
+
+test("toString", function() {
+   equal(MultiMap('a', 1, 'a', 2).toString(), 'MultiMap(a -> List(1, 2))');
+});
+
+module("ArrayMultiMap", {setup: function() {
+   this.MultiMapType = ArrayMultiMap;
+}});
+
+runTests(multiMapTests);
+
+test("keys are ordered", function() {
+   var map = ArrayMultiMap('c', 1, 'a', 2, 'b', 3, 'c', 4);
+
+   deepEqual(map.keys().items, ['c', 'a', 'b']);
+   deepEqual(map.values().items, [1, 4, 2, 3]);
+   deepEqual(map.invert().keys().items, [1, 4, 2, 3]);
+});
+
+test("groupBy still returns a Map of Lists by default", function() {
+   var groups = List(1, 2, 3).groupBy(function(num) {return num % 2});
+   ok(groups instanceof Map);
+   deepEqual(groups.get(1).items, [1, 3]);
+});
\ No newline at end of file
@@ -0,0 +1,131 @@
+module("MultiSet");
+
+test("construction", function() {
+   var set = MultiSet('a', 'b', 'a');
+   equal(set.size(), 3);
+   equal(set.distinctSize(), 2);
+   equal(set.count('a'), 2);
+
+   equal(MultiSet.fromArray([1, 1, 1]).count(1), 3);
+   ok(MultiSet().isEmpty());
+});
+
+test("add, remove, count", function() {
+   var set = MultiSet();
+
+   equal(set.add('a'), 1);
+   equal(set.add('a', 3), 4);
+   equal(set.add('b', 0), 0);
+   ok(!set.contains('b'));
+   equal(set.count('b'), 0);
+   equal(set.size(), 4);
+
+   equal(set.remove('a'), 1);
+   equal(set.count('a'), 3);
+   equal(set.remove('a', 10), 3, 'At most the number of occurrences are removed');
+   ok(!set.contains('a'));
+   equal(set.remove('a'), 0);
+   ok(set.isEmpty());
+
+   set.add(0, 2);
+   set.add(1);
+   equal(set.remove(0, Infinity), 2);
+   equal(set.size(), 1);
+
+   set.removeAll();
+   equal(set.size(), 0);
+   equal(set.distinctSize(), 0);
+});
+
+test("withKey", function() {
+   function personEmail(person) {return person.email};
+   var set = MultiSet.withKey(personEmail, {email: 'a'}, {email: 'a'}, {email: 'b'});
+
+   equal(set.count({email: 'a'}), 2);
+
+   var distinct = set.distinct();
+   ok(distinct instanceof Set);
+   equal(distinct.size(), 2);
+   ok(distinct.contains({email: 'b'}));
+
+   var clone = set.clone();
+   clone.add({email: 'b'});
+   equal(clone.count({email: 'b'}), 2);
+   equal(set.count({email: 'b'}), 1);
+
+   equal(set.union([{email: 'b'}, {email: 'b'}]).count({email: 'b'}), 2, 'The algebra keeps the key function');
+});
+
+test("mostCommon", function() {
+   var words = MultiSet.fromArray('the cat and the dog and the bird'.split(' '));
+
+   deepEqual(words.mostCommon(2).items, [['the', 3], ['and', 2]]);
+   equal(words.mostCommon().size(), 5);
+   deepEqual(MultiSet().mostCommon(3).items, []);
+});
+
+test("algebra follows the multiplicity", function() {
+   var a = MultiSet('x', 'x', 'x', 'y');
+   var b = MultiSet('x', 'y', 'y', 'z');
+
+   var union = a.union(b);
+   deepEqual([union.count('x'), union.count('y'), union.count('z')], [3, 2, 1]);
+
+   var intersection = a.intersect(b);
+   deepEqual([intersection.count('x'), intersection.count('y'), intersection.count('z')], [1, 1, 0]);
+   equal(intersection.distinctSize(), 2);
+
+   var sum = a.sum(b);
+   deepEqual([sum.count('x'), sum.count('y'), sum.count('z')], [4, 3, 1]);
+   equal(sum.size(), 8);
+
+   var diff = a.diff(b);
+   deepEqual([diff.count('x'), diff.count('y'), diff.count('z')], [2, 0, 0]);
+   ok(!diff.contains('y'));
+
+   equal(a.sum(List('x', 'w')).count('x'), 4, 'Iterables and Arrays are accepted');
+   equal(a.diff(['x', 'x']).count('x'), 1);
+   equal(a.count('x'), 3, 'The original multiset is not modified');
+});
+
+test("each, toArray and iterators", function() {
+   var set = MultiSet('a', 'b', 'a');
+
+   var counts = {};
+   set.each(function(item, count) {counts[item] = count});
+   deepEqual(counts, {a: 2, b: 1});
+
+   sameArraysWithoutOrdering(set.toArray(), ['a', 'a', 'b']);
+   equal(set.toList().size(), 3);
+   equal(iterated(set[iteratorSymbol]()).length, 3);
+});
+
+test("toString", function() {
+   equal(MultiSet(1, 1).toString(), 'MultiSet(1, 1)');
+});
+
+test("distinct with many items", function() {
+   var set = MultiSet.fromArray(range(0, 299999).items);
+   equal(set.distinct().size(), 300000);
+});
+
+test("withMutations, freeze and readOnly", function() {
+   var set = MultiSet('a');
+
+   var result = set.withMutations(function(copy) {copy.add('a', 2)});
+   equal(result.count('a'), 3);
+   equal(set.count('a'), 1);
+   raises(function() {result.remove('a')}, /remove\(\) cannot be called on a frozen MultiSet/);
+
+   var transient = set.asTransient();
+   transient.remove('a');
+   ok(transient.isEmpty());
+   strictEqual(transient.persistent(), transient);
+   raises(function() {transient.add('a')}, /frozen/);
+   equal(set.count('a'), 1);
+
+   set.freeze();
+   raises(function() {set.add('b')}, /frozen/);
+
+   raises(function() {Collection.readOnly(MultiSet()).add('a')}, /read-only/);
+});
\ No newline at end of file
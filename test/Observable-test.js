@@ -0,0 +1,217 @@
+module("Observable", {setup: function() {
+   var records = this.records = [];
+   this.listener = function(record) {records.push(record)};
+}});
+
+test("List", function() {
+   var list = List(1, 2, 3).observe(this.listener);
+
+   list.add(4);
+   list.addAt(0, 0);
+   list.update(1, 10);
+   list.update(1, 10);
+   list.remove(2);
+   list.remove(20);
+   list.removeAt(0);
+   list.removeFirst();
+   list.removeLast();
+
+   deepEqual(this.records, [
+      {type: 'splice', index: 3, removed: [], added: [4]},
+      {type: 'splice', index: 0, removed: [], added: [0]},
+      {type: 'update', index: 1, oldValue: 1, newValue: 10},
+      {type: 'splice', index: 2, removed: [2], added: []},
+      {type: 'splice', index: 0, removed: [0], added: []},
+      {type: 'splice', index: 0, removed: [10], added: []},
+      {type: 'splice', index: 1, removed: [4], added: []}
+   ]);
+   deepEqual(list.items, [3]);
+
+   this.records.length = 0;
+   List().observe(this.listener).removeLast();
+   list.removeAll();
+   deepEqual(this.records, [{type: 'splice', index: 0, removed: [3], added: []}]);
+});
+
+test("List removeIf sends a single record", function() {
+   var list = List(1, 2, 3, 4, 5, 6, 7).observe(this.listener);
+
+   var removed = list.removeIf(function(num) {return num == 2 || num == 3 || num == 5});
+   deepEqual(removed.items, [2, 3, 5]);
+   deepEqual(list.items, [1, 4, 6, 7]);
+   deepEqual(this.records, [{type: 'splice', index: 1, removed: [2, 3, 4, 5], added: [4]}]);
+
+   list.removeIf(function(num) {return num > 10});
+   equal(this.records.length, 1);
+});
+
+test("Set", function() {
+   var set = Set(1).observe(this.listener);
+
+   set.add(1);
+   set.add(2);
+   set.add(3);
+   set.add(4);
+   set.remove(1);
+   set.remove(5);
+   set.removeIf(function(num) {return num > 2});
+
+   deepEqual(this.records.slice(0, 4), [
+      {type: 'add', item: 2},
+      {type: 'add', item: 3},
+      {type: 'add', item: 4},
+      {type: 'remove', item: 1}
+   ]);
+   equal(this.records[4].type, 'splice');
+   sameArraysWithoutOrdering(this.records[4].removed, [3, 4]);
+   equal(this.records.length, 5);
+
+   set.removeAll();
+   deepEqual(this.records[5], {type: 'splice', removed: [2], added: []});
+   set.removeAll();
+   equal(this.records.length, 6);
+});
+
+test("Set records hold the items found in the set", function() {
+   function personEmail(person) {return person.email};
+   var sarah = {name: 'sarah', email: 's'};
+   var set = Set.withKey(personEmail, sarah).observe(this.listener);
+
+   set.remove({email: 's'});
+   deepEqual(this.records, [{type: 'remove', item: sarah}]);
+});
+
+var observableMapTests = {
+   "put, getOrPut, remove": function() {
+      function personEmail(person) {return person.email};
+      var sarah = {name: 'sarah', email: 's'};
+      var map = this.MapType.withKey(personEmail).observe(this.listener);
+
+      map.put(sarah, 1);
+      map.put({email: 's'}, 2);
+      map.put({email: 's'}, 2);
+      map.getOrPut({email: 'a'}, 3);
+      map.getOrPut({email: 'a'}, 4);
+      map.remove({email: 's'});
+      map.remove({email: 'b'});
+
+      var records = this.records;
+      equal(records.length, 4);
+      equal(records[0].type, 'add');
+      equal(records[0].key, sarah);
+      equal(records[0].value, 1);
+      equal(records[1].type, 'update');
+      equal(records[1].key, sarah);
+      equal(records[1].oldValue, 1);
+      equal(records[1].newValue, 2);
+      equal(records[2].type, 'add');
+      equal(records[2].value, 3);
+      equal(records[3].type, 'remove');
+      equal(records[3].key, sarah);
+      equal(records[3].oldValue, 2);
+   },
+
+   "removeIf and removeAll send a single record": function() {
+      var map = this.MapType(1, 10, 2, 20, 3, 30).observe(this.listener);
+
+      map.removeIf(function(key, value) {return key == 1 || value == 30});
+      map.removeIf(function(key, value) {return false});
+      equal(this.records.length, 1);
+      equal(this.records[0].type, 'splice');
+      equal(this.records[0].removed.length - this.records[0].added.length, 2);
+
+      map.removeAll();
+      map.removeAll();
+      equal(this.records.length, 2);
+      equal(this.records[1].removed.length, 1);
+      equal(this.records[1].removed[0].key, 2);
+      deepEqual(this.records[1].added, []);
+   }
+};
+
+module("Observable Map", {setup: function() {
+   var records = this.records = [];
+   this.listener = function(record) {records.push(record)};
+   this.MapType = Map;
+}});
+
+runTests(observableMapTests);
+
+module("Observable ArrayMap", {setup: function() {
+   var records = this.records = [];
+   this.listener = function(record) {records.push(record)};
+   this.MapType = ArrayMap;
+}});
+
+runTests(observableMapTests);
+
+test("records hold the index of the entries", function() {
+   var map = ArrayMap(1, 10, 2, 20, 3, 30, 4, 40).observe(this.listener);
+
+   map.put(5, 50);
+   map.put(3, 300);
+   map.remove(2);
+   map.removeIf(function(key) {return key == 1 || key == 4});
+
+   equal(this.records[0].index, 4);
+   equal(this.records[1].index, 2);
+   equal(this.records[2].index, 1);
+   equal(this.records[3].index, 0);
+   equalEntryArray(this.records[3].removed, [[1, 10], [3, 300], [4, 40]]);
+   equalEntryArray(this.records[3].added, [[3, 300]]);
+   equalEntryArray(map.items, [[3, 300], [5, 50]]);
+});
+
+module("Observable");
+
+test("listeners can be removed", function() {
+   var calls = 0;
+   var listener = function(record) {calls++};
+   var list = List().observe(listener);
+
+   list.add(1);
+   list.unobserve(listener);
+   list.add(2);
+   equal(calls, 1);
+
+   list.unobserve(listener);
+   ok(!list.clone().observe(listener).add(3).isEmpty());
+   equal(calls, 2);
+   list.add(4);
+   equal(calls, 2, 'clones have their own listeners');
+});
+
+test("listeners receive the collection", function() {
+   var list = List();
+   list.observe(function(record, collection) {
+      strictEqual(collection, list);
+   });
+   list.add(1);
+});
+
+test("a listener can remove itself while a record is sent", function() {
+   var calls = [];
+   var list = List();
+   var first = function() {
+      calls.push('first');
+      list.unobserve(first);
+   };
+   list.observe(first).observe(function() {calls.push('second')});
+
+   list.add(1);
+   list.add(2);
+   deepEqual(calls, ['first', 'second', 'second']);
+});
+
+test("read-only views can be observed", function() {
+   var records = [];
+   var list = List();
+   var view = Collection.readOnly(list);
+   var listener = function(record) {records.push(record)};
+
+   view.observe(listener);
+   list.add(1);
+   view.unobserve(listener);
+   list.add(2);
+   equal(records.length, 1);
+});
\ No newline at end of file
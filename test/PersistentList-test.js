@@ -0,0 +1,214 @@
+module("PersistentList", {setup: function() {
+	this.iterable = this.seq = PersistentList(1, 2, 3, 4, 5, 6);
+}});
+
+runTests(iterableTests);
+runTests(sequenceTests);
+
+test("construction", function() {
+	var list = PersistentList(1, 2, 3);
+	ok(list instanceof PersistentList);
+	equal(list.size(), 3);
+	deepEqual(list.items, [1, 2, 3]);
+
+	list = PersistentList.fromArray([1, 2, 3]);
+	deepEqual(list.items, [1, 2, 3]);
+
+	list = List(1, 2, 3).toPersistentList();
+	ok(list instanceof PersistentList);
+	deepEqual(list.items, [1, 2, 3]);
+
+	equal(PersistentList().size(), 0);
+	deepEqual(PersistentList().items, []);
+});
+
+test("add", function() {
+	var list = PersistentList(1, 2, 3);
+	var newList = list.add(4);
+	deepEqual(newList.items, [1, 2, 3, 4]);
+	deepEqual(list.items, [1, 2, 3], 'the original list is not modified');
+});
+
+test("addAt", function() {
+	var list = PersistentList(1, 2, 3);
+	var newObject = {};
+
+	deepEqual(list.addAt(newObject, 2).items, [1, 2, newObject, 3]);
+	deepEqual(list.addAt(0, 0).items, [0, 1, 2, 3]);
+	deepEqual(list.addAt(4, 3).items, [1, 2, 3, 4]);
+	deepEqual(list.items, [1, 2, 3]);
+
+	raises(function() {list.addAt({}, -3);}, 'cannot add at a negative index');
+	raises(function() {list.addAt({}, 7);}, 'sparse lists are not supported');
+});
+
+test("update", function() {
+	var list = PersistentList(1, 2, 3);
+	deepEqual(list.update(1, 10).items, [1, 10, 3]);
+	deepEqual(list.items, [1, 2, 3]);
+	equal(list.update(1, 2), list, 'updating with the same item returns the same list');
+
+	raises(function() {list.update(3, 4);});
+});
+
+test("remove, removeAt, removeFirst, removeLast, removeAll, removeIf", function() {
+	var list = PersistentList(1, 2, 3, 2);
+
+	deepEqual(list.remove(2).items, [1, 3, 2]);
+	equal(list.remove(5), list);
+	deepEqual(list.removeAt(2).items, [1, 2, 2]);
+	equal(list.removeAt(8), list);
+	deepEqual(list.removeFirst().items, [2, 3, 2]);
+	deepEqual(list.removeLast().items, [1, 2, 3]);
+	deepEqual(list.removeAll().items, []);
+	deepEqual(list.removeIf(function(num) {return num == 2}).items, [1, 3]);
+	deepEqual(list.items, [1, 2, 3, 2]);
+});
+
+test("itemAt, first, last", function() {
+	var list = PersistentList(1, 2, 3);
+	equal(list.itemAt(1), 2);
+	equal(list.itemAt(3), undefined);
+	equal(list.first(), 1);
+	equal(list.last(), 3);
+	equal(PersistentList().first(), undefined);
+});
+
+test("big lists share their structure", function() {
+	var items = range(5000).items;
+	var list = PersistentList.fromArray(items);
+	var newList = list.add(5000);
+
+	equal(newList.size(), 5001);
+	equal(newList.last(), 5000);
+	equal(newList.itemAt(4321), 4321);
+	equal(list.size(), 5000);
+	equal(newList._root.array[0], list._root.array[0]);
+
+	newList = list.update(4321, -1);
+	equal(newList.itemAt(4321), -1);
+	equal(list.itemAt(4321), 4321);
+	equal(newList._root.array[0], list._root.array[0]);
+});
+
+test("random modifications", function() {
+	var seed = 7;
+	function random(n) {seed = (seed * 16807) % 2147483647; return seed % n;}
+
+	var list = PersistentList(), expected = [], versions = [];
+	for (var i = 0; i < 5000; i++) {
+		var index = random(expected.length + 1);
+		switch (random(4)) {
+			case 0:
+				list = list.add(i);
+				expected.push(i);
+				break;
+			case 1:
+				list = list.addAt(i, index);
+				expected.splice(index, 0, i);
+				break;
+			case 2:
+				list = list.removeAt(index);
+				expected.splice(index, 1);
+				break;
+			case 3:
+				if (index == expected.length) break;
+				list = list.update(index, -i);
+				expected[index] = -i;
+		}
+		if (i % 500 == 0) versions.push([list, expected.slice()]);
+	}
+
+	equal(list.size(), expected.length);
+	equal(list.itemAt(expected.length >> 1), expected[expected.length >> 1]);
+	deepEqual(list.items, expected);
+	for (var i = 0; i < versions.length; i++) {
+		deepEqual(versions[i][0].items, versions[i][1]);
+	}
+});
+
+test("asTransient", function() {
+	var list = PersistentList(1, 2, 3);
+	var transient = list.asTransient();
+
+	transient.add(4);
+	transient.addAt(0, 0);
+	transient.update(1, 10);
+	equal(transient.removeAt(2), 2);
+	equal(transient.size(), 4);
+	equal(transient.itemAt(1), 10);
+
+	raises(function() {Collection.readOnly(transient).add(5)}, /add\(\) cannot be called on a read-only TransientList/);
+
+	var result = transient.persistent();
+	ok(result instanceof PersistentList);
+	deepEqual(result.items, [0, 10, 3, 4]);
+	deepEqual(list.items, [1, 2, 3]);
+
+	raises(function() {transient.add(5)}, /can no longer be used/);
+	raises(function() {transient.persistent()});
+});
+
+test("withMutations", function() {
+	var list = range(100).toPersistentList();
+
+	var result = list.withMutations(function(transient) {
+		for (var i = 0; i < 1000; i++) transient.add(i);
+		transient.removeFirst();
+		transient.removeLast();
+	});
+	equal(list.size(), 100);
+	equal(result.size(), 1098);
+	equal(result.first(), 1);
+	equal(result.last(), 998);
+	equal(result.itemAt(100), 1);
+
+	strictEqual(list.withMutations(function() {}), list);
+});
+
+test("transient modifications do not leak into other versions", function() {
+	var seed = 11;
+	function random(n) {seed = (seed * 16807) % 2147483647; return seed % n;}
+
+	var list = PersistentList(), expected = [], versions = [];
+	for (var i = 0; i < 50; i++) {
+		versions.push([list, expected.slice()]);
+		list = list.withMutations(function(transient) {
+			for (var j = 0; j < 100; j++) {
+				var index = random(expected.length + 1);
+				if (random(3) && index < expected.length) {
+					equal(transient.removeAt(index), expected[index]);
+					expected.splice(index, 1);
+				}
+				else {
+					transient.addAt(j, index);
+					expected.splice(index, 0, j);
+				}
+			}
+		});
+		list = list.add(-i);
+		expected.push(-i);
+	}
+
+	deepEqual(list.items, expected);
+	for (var i = 0; i < versions.length; i++) {
+		deepEqual(versions[i][0].items, versions[i][1]);
+	}
+});
+
+test("toString", function() {
+	equal(PersistentList(1, 2, 3).toString(), 'PersistentList(1, 2, 3)');
+});
+
+test("the Iterable and Sequence methods do not read the items property", function() {
+	// The engines without getters (IE8 and below) can not define it.
+	var list = PersistentList(3, 1, 2, 1);
+	Object.defineProperty(list, 'items', {value: null});
+
+	deepEqual(list.sorted().toArray(), [1, 1, 2, 3]);
+	deepEqual(list.filter(function(num) {return num > 1}).toArray(), [3, 2]);
+	deepEqual(list.distinct().toArray(), [3, 1, 2]);
+	equal(list.lastIndexOf(1), 3);
+	equal(list.toString(), 'PersistentList(3, 1, 2, 1)');
+	deepEqual(list.view().take(2).toArray(), [3, 1]);
+});
\ No newline at end of file
@@ -0,0 +1,196 @@
+module("PersistentMap");
+
+test("construction", function() {
+   var map = PersistentMap(
+      3, {name: 'coco'},
+      7, {name: 'lala'},
+      4, {name: 'toto'});
+
+   equal(map.size(), 3);
+   ok(map instanceof PersistentMap);
+   ok(PersistentMap().isEmpty());
+
+   raises(function() {
+      PersistentMap(3, {name: 'coco'}, 7)}, 
+      'A Map has to be constructed with an even number of args');
+});
+
+test("put, get, contains", function() {
+   var sarah = {name: 'sarah'};
+   var blue = {color: 'blue'};
+   var map = PersistentMap(1, blue);
+
+   var map2 = map.put(sarah, 5);
+   equal(map2.get(sarah), 5);
+   equal(map2.get(1), blue);
+   equal(map2.size(), 2);
+   ok(map2.containsKey(sarah));
+   ok(!map2.containsKey({name: 'sarah'}), 'by default, key instance equality is used');
+   ok(map2.containsValue(5));
+   ok(!map2.containsValue(6));
+
+   equal(map.get(sarah), undefined, 'the original map is not modified');
+   equal(map.size(), 1);
+
+   var map3 = map2.put(sarah, 6);
+   equal(map3.get(sarah), 6);
+   equal(map3.size(), 2);
+   equal(map2.get(sarah), 5);
+
+   equal(map3.put(sarah, 6), map3, 'putting the same value returns the same map');
+
+   var map4 = map3.put(4, null);
+   ok(map4.containsKey(4));
+   equal(map4.get(4), null);
+});
+
+test("remove, removeIf, removeAll", function() {
+   var map = PersistentMap(1, 10, 2, 20, 3, 30);
+
+   var map2 = map.remove(2);
+   equal(map2.size(), 2);
+   ok(!map2.containsKey(2));
+   ok(map.containsKey(2));
+   equal(map.remove(4), map, 'removing a missing key returns the same map');
+
+   var map3 = map.removeIf(function(key, value) {return key == 1 || value == 30});
+   sameArraysWithoutOrdering(map3.keys().items, [2]);
+   equal(map.size(), 3);
+
+   equal(map.removeAll().size(), 0);
+   equal(map.size(), 3);
+});
+
+test("withKey", function() {
+   function personEmail(person) {return person.email};
+   var map = PersistentMap.withKey(personEmail,
+      {name: 'sarah', email: 's.connor@me.com'}, 1,
+      {name: 'pedro', email: 'delpaso@titi.com'}, 2);
+
+   equal(map.get({email: 's.connor@me.com'}), 1);
+
+   var map2 = map.put({name: 'the wrong sarah', email: 's.connor@me.com'}, 3);
+   equal(map2.size(), 2);
+   equal(map2.get({email: 's.connor@me.com'}), 3);
+   equal(map2.keys().find(function(person) {return person.email == 's.connor@me.com'}).name, 'sarah');
+
+   equal(map2.remove({email: 'delpaso@titi.com'}).get({email: 's.connor@me.com'}), 3, 'the key function is kept');
+});
+
+test("colliding hashes", function() {
+   function id(obj) {return obj.id};
+   // 'Aa' and 'BB' have the same hash
+   var aa = {id: 'Aa'}, bb = {id: 'BB'}, cc = {id: 'Ab'};
+   var map = PersistentMap.withKey(id, aa, 1, bb, 2, cc, 3);
+
+   equal(map.size(), 3);
+   equal(map.get(aa), 1);
+   equal(map.get(bb), 2);
+   equal(map.put(bb, 4).get(bb), 4);
+   equal(map.put(bb, 4).get(aa), 1);
+
+   var map2 = map.remove(aa);
+   equal(map2.size(), 2);
+   equal(map2.get(aa), undefined);
+   equal(map2.get(bb), 2);
+   equal(map2.remove(bb).size(), 1);
+   equal(map2.remove(bb).get(cc), 3);
+});
+
+test("big maps share their structure", function() {
+   var map = PersistentMap();
+   for (var i = 0; i < 2000; i++) map = map.put(i, i * 2);
+
+   var map2 = map.put(2000, 1).remove(3);
+   equal(map2.size(), 2000);
+   equal(map.size(), 2000);
+   equal(map.get(3), 6);
+   equal(map2.get(3), undefined);
+   equal(map2.get(1500), 3000);
+
+   var shared = 0;
+   for (var i = 0; i < map._root.array.length; i++) {
+      if (map._root.array[i] === map2._root.array[i]) shared++;
+   }
+   ok(shared >= map._root.array.length - 2);
+
+   for (var i = 0; i < 2000; i++) map = map.remove(i);
+   equal(map.size(), 0);
+   deepEqual(map.toArray(), []);
+});
+
+test("keys, values, each, toList, toMap", function() {
+   var sarah = {name: 'sarah'};
+   var map = PersistentMap(1, sarah, 3, 4);
+
+   sameArraysWithoutOrdering(map.keys().items, [1, 3]);
+   sameArraysWithoutOrdering(map.values().items, [sarah, 4]);
+
+   var keys = [];
+   map.each(function(key, value) {keys.push(key)});
+   sameArraysWithoutOrdering(keys, [1, 3]);
+
+   equal(map.toList().size(), 2);
+   ok(map.toList().first().key !== undefined);
+
+   var mutable = map.toMap();
+   ok(mutable instanceof Map);
+   equal(mutable.get(1), sarah);
+
+   var persistent = Map(1, 2).toPersistentMap();
+   ok(persistent instanceof PersistentMap);
+   equal(persistent.get(1), 2);
+
+   sameArraysWithoutOrdering(iterated(map.keysIterator()), [1, 3]);
+});
+
+test("asTransient", function() {
+   var map = PersistentMap(1, 10, 2, 20);
+   var transient = map.asTransient();
+
+   equal(transient.put(3, 30), undefined);
+   equal(transient.put(1, 100), 10);
+   equal(transient.put(1, 100), 100);
+   equal(transient.remove(2), 20);
+   equal(transient.remove(2), undefined);
+   equal(transient.size(), 2);
+   equal(transient.get(1), 100);
+   ok(transient.containsKey(3));
+
+   raises(function() {Collection.readOnly(transient).put(4, 40)}, /put\(\) cannot be called on a read-only TransientMap/);
+
+   var result = transient.persistent();
+   ok(result instanceof PersistentMap);
+   equal(result.size(), 2);
+   equal(result.get(1), 100);
+   equal(result.get(3), 30);
+
+   equal(map.size(), 2);
+   equal(map.get(1), 10);
+   equal(map.get(2), 20);
+
+   raises(function() {transient.put(4, 40)}, /can no longer be used/);
+});
+
+test("withMutations", function() {
+   function personEmail(person) {return person.email};
+   var map = PersistentMap.withKey(personEmail, {email: 'a'}, 1);
+
+   var result = map.withMutations(function(transient) {
+      for (var i = 0; i < 1000; i++) transient.put({email: 'key' + i}, i);
+      transient.remove({email: 'a'});
+   });
+
+   equal(map.size(), 1);
+   equal(result.size(), 1000);
+   equal(result.get({email: 'key500'}), 500);
+   equal(result.get({email: 'a'}), undefined);
+
+   strictEqual(map.withMutations(function(transient) {transient.put({email: 'a'}, 1)}), map);
+});
+
+test("toString", function() {
+   var sarah = {name: 'sarah', toString: function() {return 'sarah'}};
+   var map = PersistentMap(1, sarah);
+   equal(map.toString(), 'PersistentMap(1 -> sarah)');
+});
\ No newline at end of file
@@ -0,0 +1,131 @@
+module("PriorityQueue");
+
+test("construction", function() {
+   var queue = PriorityQueue(3, 1, 2);
+   equal(queue.size(), 3);
+   equal(queue.peek(), 1);
+
+   equal(PriorityQueue.fromArray([2, 1]).peek(), 1);
+   equal(PriorityQueue.withOrdering({reverse: true}, 1, 3, 2).peek(), 3);
+   equal(PriorityQueue.withOrdering(function(a, b) {return b.length - a.length}, 'a', 'abc').peek(), 'abc');
+   ok(PriorityQueue().isEmpty());
+});
+
+test("push and pop", function() {
+   var queue = PriorityQueue(), items = [5, 3, 8, 1, 9, 2, 7, 4, 6, 0, 3];
+
+   for (var i = 0; i < items.length; i++) queue.push(items[i]);
+
+   var popped = [];
+   while (!queue.isEmpty()) popped.push(queue.pop());
+   deepEqual(popped, [0, 1, 2, 3, 3, 4, 5, 6, 7, 8, 9]);
+   strictEqual(queue.pop(), undefined);
+   strictEqual(queue.peek(), undefined);
+});
+
+test("by ordering and stability", function() {
+   var a = {name: 'a', priority: 2}, b = {name: 'b', priority: 1}, c = {name: 'c', priority: 2}, d = {name: 'd', priority: 1};
+   var queue = PriorityQueue.withOrdering({by: 'priority'}, a, b, c, d);
+
+   deepEqual(queue.drain().pluck('name').items, ['b', 'd', 'a', 'c']);
+   ok(queue.isEmpty());
+
+   var many = PriorityQueue.withOrdering({by: 'priority'});
+   for (var i = 0; i < 50; i++) many.push({index: i, priority: i % 3});
+   var previous = many.pop();
+   while (!many.isEmpty()) {
+      var current = many.pop();
+      ok(previous.priority < current.priority || previous.index < current.index);
+      previous = current;
+   }
+});
+
+test("pushPop", function() {
+   var queue = PriorityQueue(2, 4);
+
+   equal(queue.pushPop(1), 1, 'An item of higher priority is returned right away');
+   equal(queue.size(), 2);
+   ok(!queue.contains(1));
+
+   equal(queue.pushPop(3), 2);
+   deepEqual(queue.toArray(), [3, 4]);
+   equal(PriorityQueue().pushPop(1), 1);
+
+   var a = {priority: 1}, b = {priority: 1};
+   var stable = PriorityQueue.withOrdering({by: 'priority'}, a);
+   strictEqual(stable.pushPop(b), a, 'The item pushed first is popped first');
+});
+
+test("updatePriority", function() {
+   var tasks = [];
+   for (var i = 0; i < 10; i++) tasks.push({name: i, priority: i});
+   var queue = PriorityQueue.withOrdering({by: 'priority'});
+   for (i = 0; i < tasks.length; i++) queue.push(tasks[i]);
+
+   tasks[7].priority = -1;
+   ok(queue.updatePriority(tasks[7]));
+   strictEqual(queue.peek(), tasks[7]);
+
+   tasks[7].priority = 20;
+   tasks[0].priority = 5;
+   queue.updatePriority(tasks[7]);
+   queue.updatePriority(tasks[0]);
+   deepEqual(queue.drain().pluck('name').items, [1, 2, 3, 4, 0, 5, 6, 8, 9, 7], 'The item keeps its push order among equal priorities');
+
+   ok(!queue.updatePriority({priority: 0}));
+});
+
+test("contains, removeAll and duplicates", function() {
+   var queue = PriorityQueue(1, 2, 1);
+
+   ok(queue.contains(1));
+   ok(!queue.contains(3));
+   equal(queue.pop(), 1);
+   ok(queue.contains(1), 'The other occurrence is still there');
+   equal(queue.pop(), 1);
+   ok(!queue.contains(1));
+
+   queue.removeAll();
+   ok(queue.isEmpty());
+   ok(!queue.contains(2));
+});
+
+test("drain, toList, clone, iterator and toString", function() {
+   var queue = PriorityQueue.withOrdering({reverse: true}, 1, 3, 2);
+
+   deepEqual(queue.toList().items, [3, 2, 1]);
+   deepEqual(iterated(queue[iteratorSymbol]()), [3, 2, 1]);
+   equal(queue.toString(), 'PriorityQueue(3, 2, 1)');
+
+   var clone = queue.clone();
+   clone.push(4);
+   equal(clone.peek(), 4);
+   equal(queue.size(), 3);
+
+   var drained = queue.drain();
+   ok(drained instanceof List);
+   deepEqual(drained.items, [3, 2, 1]);
+   ok(queue.isEmpty());
+});
+
+test("withMutations, freeze and readOnly", function() {
+   var queue = PriorityQueue(2, 1);
+
+   var result = queue.withMutations(function(copy) {copy.push(0)});
+   equal(result.peek(), 0);
+   equal(queue.size(), 2);
+   raises(function() {result.pop()}, /pop\(\) cannot be called on a frozen PriorityQueue/);
+
+   var transient = queue.asTransient();
+   equal(transient.pushPop(3), 1);
+   strictEqual(transient.persistent(), transient);
+   raises(function() {transient.push(0)}, /push\(\) cannot be called on a frozen PriorityQueue/);
+   deepEqual(transient.toArray(), [2, 3]);
+   deepEqual(queue.toArray(), [1, 2]);
+
+   queue.freeze();
+   raises(function() {queue.drain()}, /frozen/);
+   deepEqual(queue.toArray(), [1, 2]);
+
+   raises(function() {Collection.readOnly(PriorityQueue()).push(1)}, /read-only/);
+});
\ No newline at end of file
@@ -0,0 +1,122 @@
+module("RangeSet");
+
+test("construction", function() {
+   var set = RangeSet(1, 3, 5, 7);
+   equal(set.size(), 2);
+   ok(set instanceof RangeSet);
+
+   equal(RangeSet.fromArray([[1, 3], [2, 5]]).toString(), 'RangeSet([1, 5))');
+   ok(RangeSet().isEmpty());
+   raises(function() {RangeSet(1)}, /even number/);
+   raises(function() {RangeSet(3, 1)}, /cannot be greater than its end/);
+});
+
+test("add coalesces the ranges", function() {
+   var set = RangeSet();
+
+   set.add(10, 20).add(30, 40);
+   equal(set.toString(), 'RangeSet([10, 20), [30, 40))');
+
+   set.add(15, 25);
+   equal(set.toString(), 'RangeSet([10, 25), [30, 40))', 'Overlapping range');
+
+   set.add(25, 30);
+   equal(set.toString(), 'RangeSet([10, 40))', 'Adjacent ranges');
+
+   set.add(50, 60).add(70, 80).add(0, 100);
+   equal(set.toString(), 'RangeSet([0, 100))', 'Enclosing range');
+
+   set.add(20, 30).add(5, 5);
+   equal(set.toString(), 'RangeSet([0, 100))');
+   equal(set.size(), 1);
+});
+
+test("remove splits the ranges", function() {
+   var set = RangeSet(0, 100);
+
+   set.remove(40, 60);
+   equal(set.toString(), 'RangeSet([0, 40), [60, 100))');
+
+   set.remove(30, 70);
+   equal(set.toString(), 'RangeSet([0, 30), [70, 100))');
+
+   set.remove(-10, 10).remove(90, 200).remove(50, 60);
+   equal(set.toString(), 'RangeSet([10, 30), [70, 90))');
+
+   set.remove(10, 30);
+   equal(set.toString(), 'RangeSet([70, 90))');
+
+   set.removeAll();
+   ok(set.isEmpty());
+});
+
+test("contains, encloses and rangeContaining", function() {
+   var set = RangeSet(0, 10, 20, 30);
+
+   ok(set.contains(0));
+   ok(set.contains(9.5));
+   ok(!set.contains(10));
+   ok(!set.contains(-1));
+   ok(set.contains(25));
+
+   ok(set.encloses(2, 10));
+   ok(!set.encloses(5, 25));
+   ok(!set.encloses(15, 16));
+
+   deepEqual(set.rangeContaining(22), {start: 20, end: 30});
+   strictEqual(set.rangeContaining(15), undefined);
+});
+
+test("integers", function() {
+   var set = RangeSet.fromIntegers(range(1, 5));
+   equal(set.toString(), 'RangeSet([1, 6))');
+
+   set = RangeSet.fromIntegers([3, 1, 2, 7, 8, 10]);
+   deepEqual(set.ranges().items, [{start: 1, end: 4}, {start: 7, end: 9}, {start: 10, end: 11}]);
+   deepEqual(set.integers().items, [1, 2, 3, 7, 8, 10]);
+});
+
+test("withOrdering", function() {
+   var set = RangeSet.withOrdering({reverse: true}, 10, 5, 4, 0);
+   equal(set.toString(), 'RangeSet([10, 5), [4, 0))');
+   ok(set.contains(7));
+
+   set.add(5, 4);
+   equal(set.toString(), 'RangeSet([10, 0))');
+
+   var clone = set.clone();
+   clone.remove(8, 2);
+   equal(clone.size(), 2);
+   equal(set.size(), 1);
+});
+
+test("each, ranges and iterator", function() {
+   var set = RangeSet(5, 6, 1, 2);
+
+   var ranges = [];
+   set.each(function(start, end) {ranges.push(start + '-' + end)});
+   deepEqual(ranges, ['1-2', '5-6']);
+   ok(set.ranges() instanceof List);
+   deepEqual(iterated(set[iteratorSymbol]()), [{start: 1, end: 2}, {start: 5, end: 6}]);
+});
+
+test("withMutations, freeze and readOnly", function() {
+   var set = RangeSet(0, 10);
+
+   var result = set.withMutations(function(copy) {copy.remove(2, 4)});
+   equal(result.toString(), 'RangeSet([0, 2), [4, 10))');
+   equal(set.size(), 1);
+   raises(function() {result.add(1, 5)}, /add\(\) cannot be called on a frozen RangeSet/);
+
+   var transient = set.asTransient();
+   transient.add(10, 12);
+   equal(transient.toString(), 'RangeSet([0, 12))');
+   strictEqual(transient.persistent(), transient);
+   raises(function() {transient.remove(0, 1)}, /frozen/);
+   equal(set.toString(), 'RangeSet([0, 10))');
+
+   set.freeze();
+   raises(function() {set.removeAll()}, /frozen/);
+
+   raises(function() {Collection.readOnly(RangeSet()).add(0, 1)}, /read-only/);
+});
\ No newline at end of file
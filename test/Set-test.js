@@ -101,6 +101,43 @@ var setTests = {
       this.sameArrays(set2.diff(set1).toArray(), [5, 4, 6]);
    },
 
+   "symmetricDiff": function() {
+      var set1 = this.SetType(1, 2, 3);
+      var set2 = this.SetType(1, 5, 3);
+      this.sameArrays(set1.symmetricDiff(set2).toArray(), [2, 5]);
+      this.sameArrays(set2.symmetricDiff(set1).toArray(), [2, 5]);
+      equal(set1.symmetricDiff(set1).size(), 0);
+   },
+
+   "subsets, supersets and equality": function() {
+      var set = this.SetType(1, 2, 3);
+
+      ok(set.isSubsetOf(this.SetType(1, 2, 3, 4)));
+      ok(set.isSubsetOf(set));
+      ok(!set.isSubsetOf(this.SetType(1, 2)));
+      ok(set.isSupersetOf(this.SetType(1, 3)));
+      ok(!set.isSupersetOf(this.SetType(1, 4)));
+      ok(set.isDisjointFrom(this.SetType(4, 5)));
+      ok(!set.isDisjointFrom(this.SetType(3, 4)));
+      ok(set.equals(this.SetType(3, 2, 1)));
+      ok(!set.equals(this.SetType(1, 2)));
+      ok(!set.equals(this.SetType(1, 2, 4)));
+      ok(this.SetType().equals(this.SetType()));
+   },
+
+   "set algebra accepts Arrays and Iterables": function() {
+      var set = this.SetType(1, 2, 3);
+
+      this.sameArrays(set.union([3, 4]).toArray(), [1, 2, 3, 4]);
+      this.sameArrays(set.intersect(List(2, 3, 4)).toArray(), [2, 3]);
+      this.sameArrays(set.diff(Seq([1])).toArray(), [2, 3]);
+      this.sameArrays(set.symmetricDiff([3, 4, 4]).toArray(), [1, 2, 4]);
+      ok(set.isSubsetOf([1, 2, 3, 4]));
+      ok(set.isSupersetOf(List(1, 1, 2)));
+      ok(set.isDisjointFrom([]));
+      ok(set.equals([1, 2, 3, 3]));
+   },
+
    "toList": function() {
       var sarah = {name: 'sarah'};
       var set = this.SetType(1, sarah, 3);
@@ -125,6 +162,68 @@ var setTests = {
       ok(clone != original); 
    },
 
+   "iterators": function() {
+      var sarah = {name: 'sarah'};
+      var set = this.SetType(1, sarah, 3);
+
+      this.sameArrays(iterated(set[iteratorSymbol]()), [1, sarah, 3]);
+      this.sameArrays(iterated(set.valuesIterator()), [1, sarah, 3]);
+      this.sameArrays(iterated(set.keysIterator()), [1, sarah, 3]);
+      deepEqual(iterated(Set(1).entriesIterator()), [[1, 1]]);
+   },
+
+   "withMutations": function() {
+      function personEmail(person) {return person.email};
+      var set = this.SetType.withKey(personEmail, {email: 'a'});
+
+      var result = set.withMutations(function(copy) {
+         copy.add({email: 'b'});
+         copy.add({email: 'a'});
+      });
+
+      equal(set.size(), 1);
+      equal(result.size(), 2);
+      ok(result.contains({email: 'b'}));
+
+      raises(function() {result.add(3)}, /add\(\) cannot be called on a frozen/);
+      raises(function() {result.remove({email: 'a'})});
+      raises(function() {result.removeAll()});
+      equal(result.size(), 2);
+   },
+
+   "asTransient": function() {
+      function personEmail(person) {return person.email};
+      var set = this.SetType.withKey(personEmail, {email: 'a'}, {email: 'b'});
+      var transient = set.asTransient();
+
+      transient.remove({email: 'a'});
+      transient.add({email: 'c'});
+      equal(transient.size(), 2);
+      ok(transient.contains({email: 'c'}));
+      ok(set.contains({email: 'a'}));
+      ok(!set.contains({email: 'c'}));
+
+      var result = transient.persistent();
+      strictEqual(result, transient);
+      raises(function() {result.add({email: 'd'})}, /add\(\) cannot be called on a frozen/);
+      equal(result.size(), 2);
+   },
+
+   "freeze": function() {
+      var set = this.SetType(1, 2, 3);
+      strictEqual(set.freeze(), set);
+
+      raises(function() {set.add(4)}, /add\(\) cannot be called on a frozen/);
+      raises(function() {set.remove(1)});
+      raises(function() {set.removeIf(function() {return true})});
+      raises(function() {set.removeAll()});
+
+      equal(set.size(), 3);
+      ok(set.contains(2));
+      this.sameArrays(set.union(this.SetType(4)).toArray(), [1, 2, 3, 4]);
+      ok(set.clone().add(4));
+   },
+
    "cloning keeps the withKey setting": function() {
       function personEmail(person) {return person.email};
       var set = this.SetType.withKey(personEmail,
@@ -149,4 +248,109 @@ test('toString', function() {
    var set = Set(1, sarah, 3, 4, 5);
 
    equal(set.toString(), 'Set(1, sarah, 3, 4, 5)');
+});
+
+test('Iterable methods', function() {
+   var set = Set(1, 2, 3, 4, 5);
+
+   var evens = set.filter(function(num) {return num % 2 == 0});
+   ok(evens instanceof Set);
+   sameArraysWithoutOrdering(evens.toArray(), [2, 4]);
+
+   equal(set.fold(0, function(num, sum) {return sum + num}), 15);
+   equal(set.count(function(num) {return num > 2}), 3);
+   ok(set.some(function(num) {return num == 5}));
+   ok(set.every(function(num) {return num > 0}));
+   deepEqual(set.sorted({reverse: true}).items, [5, 4, 3, 2, 1]);
+
+   var parity = set.partition(function(num) {return num % 2 == 0});
+   ok(parity[0] instanceof Set);
+   equal(parity[1].size(), 3);
+
+   var halves = set.map(function(num) {return Math.floor(num / 2)});
+   ok(halves instanceof Set);
+   sameArraysWithoutOrdering(halves.toArray(), [0, 1, 2]);
+});
+
+test('Iterable methods keep the withKey setting', function() {
+   function personEmail(person) {return person.email};
+   var set = Set.withKey(personEmail,
+      {name: 'sarah', email: 's.connor@me.com'},
+      {name: 'pedro', email: 'delpaso@titi.com'});
+
+   var filtered = set.filter(function(person) {return person.name == 'sarah'});
+   ok(filtered.contains({email: 's.connor@me.com'}));
+
+   var renamed = set.map(function(person) {return {name: 'anonymous', email: person.email}});
+   equal(renamed.size(), 2);
+   ok(!renamed.add({email: 'delpaso@titi.com'}));
+
+   var emails = Set.withKey(personEmail).map(function(person) {return person});
+   equal(emails.size(), 0);
+
+   equal(set.pluck('name').size(), 2);
+});
+
+test('The items stay consistent after removals', function() {
+   var set = Set();
+   for (var i = 0; i < 20; i++) set.add(i);
+
+   set.remove(3);
+   set.remove(19);
+   set.removeIf(function(num) {return num % 4 == 0});
+   set.remove(7);
+
+   var expected = [1, 2, 5, 6, 9, 10, 11, 13, 14, 15, 17, 18];
+   sameArraysWithoutOrdering(set.items, expected);
+   equal(set.size(), expected.length);
+   for (var i = 0; i < expected.length; i++) {
+      ok(set.remove(expected[i]));
+   }
+   deepEqual(set.items, []);
+});
+
+test('Set algebra keeps the key function of the receiver', function() {
+   function personEmail(person) {return person.email};
+   var sarah = {name: 'sarah', email: 's.connor@me.com'};
+   var pedro = {name: 'pedro', email: 'delpaso@titi.com'};
+   var set = Set.withKey(personEmail, sarah, pedro);
+
+   var union = set.union(Set({name: 'sarah again', email: 's.connor@me.com'}));
+   equal(union.size(), 2, 'The items of the other set are compared using the key function of this set');
+   ok(union.contains({email: 'delpaso@titi.com'}));
+   ok(!union.add({email: 'delpaso@titi.com'}));
+
+   var intersection = set.intersect([{email: 'delpaso@titi.com'}]);
+   deepEqual(intersection.items, [pedro]);
+   ok(intersection.contains({email: 'delpaso@titi.com'}));
+
+   equal(set.diff([{email: 'delpaso@titi.com'}]).size(), 1);
+   ok(set.equals([{email: 'delpaso@titi.com'}, {email: 's.connor@me.com'}]));
+
+   var identitySet = Set(sarah);
+   ok(!identitySet.isSupersetOf([{email: 's.connor@me.com'}]), 'An identity set compares the items by reference');
+   ok(identitySet.isSubsetOf(set));
+});
+
+test('Set algebra accepts any iterable collection', function() {
+   var set = Set(1, 2, 3);
+   var view = List(2, 3, 4).view().filter(function(item) {return item > 2});
+   var queue = PriorityQueue(5, 1);
+
+   sameArraysWithoutOrdering(set.union(view).items, [1, 2, 3, 4]);
+   sameArraysWithoutOrdering(set.intersect(view).items, [3]);
+   sameArraysWithoutOrdering(set.diff(view).items, [1, 2]);
+   sameArraysWithoutOrdering(set.symmetricDiff(view).items, [1, 2, 4]);
+   ok(Set(4, 3).equals(view));
+   ok(Set(1, 5).isDisjointFrom(view));
+
+   sameArraysWithoutOrdering(set.diff(queue).items, [2, 3]);
+   sameArraysWithoutOrdering(set.symmetricDiff(queue).items, [2, 3, 5]);
+   ok(Set(1, 5).equals(queue));
+   ok(set.isDisjointFrom(PriorityQueue(4, 5)));
+
+   var multiSet = MultiSet(1, 1, 4);
+   sameArraysWithoutOrdering(set.union(multiSet).items, [1, 2, 3, 4]);
+   deepEqual(MultiSet(1, 1, 2).intersect(view).toArray(), []);
+   equal(MultiSet(3, 3, 4).intersect(view).count(3), 1);
 });
\ No newline at end of file
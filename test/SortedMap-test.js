@@ -0,0 +1,233 @@
+module("SortedMap");
+
+var sortedMapKeys = function(map) {
+   return map.keys().items;
+};
+
+test("construction", function() {
+   var map = SortedMap(3, 'c', 1, 'a', 2, 'b');
+   equal(map.size(), 3);
+   deepEqual(sortedMapKeys(map), [1, 2, 3]);
+   deepEqual(map.values().items, ['a', 'b', 'c']);
+
+   var fromArray = SortedMap.fromArray([['b', 2], ['a', 1]]);
+   deepEqual(sortedMapKeys(fromArray), ['a', 'b']);
+
+   raises(function() {SortedMap(1)});
+});
+
+test("put, get, remove", function() {
+   var map = SortedMap();
+   ok(map.isEmpty());
+
+   strictEqual(map.put(5, 'five'), undefined);
+   strictEqual(map.put(1, 'one'), undefined);
+   equal(map.put(5, 'FIVE'), 'five');
+   equal(map.get(5), 'FIVE');
+   strictEqual(map.get(2), undefined);
+   ok(map.containsKey(1));
+   ok(!map.containsKey(2));
+   ok(map.containsValue('one'));
+   ok(!map.containsValue('five'));
+
+   equal(map.remove(1), 'one');
+   strictEqual(map.remove(1), undefined);
+   equal(map.size(), 1);
+   equalEntryArray(map.items, [[5, 'FIVE']]);
+
+   equal(map.getOrPut(3, function() {return 'three'}), 'three');
+   equal(map.getOrPut(3, function() {return 'other'}), 'three');
+   deepEqual(sortedMapKeys(map), [3, 5]);
+
+   map.removeAll();
+   ok(map.isEmpty());
+   strictEqual(map.first(), undefined);
+});
+
+test("the map stays sorted and balanced under random modifications", function() {
+   var map = SortedMap(), model = {};
+   var random = 7;
+   var nextRandom = function() {
+      random = (random * 16807) % 2147483647;
+      return random % 500;
+   };
+
+   for (var i = 0; i < 3000; i++) {
+      var key = nextRandom();
+      if (i % 3 == 0) {
+         equal(map.remove(key), model[key]);
+         delete model[key];
+      }
+      else {
+         equal(map.put(key, i), model[key]);
+         model[key] = i;
+      }
+   }
+
+   var expectedKeys = Seq(Object.keys(model)).map(Number).sort(function(a, b) {return a - b});
+   deepEqual(sortedMapKeys(map), expectedKeys);
+   equal(map.size(), expectedKeys.length);
+   equal(map.itemAt(10).key, expectedKeys[10]);
+   equal(map.get(expectedKeys[20]), model[expectedKeys[20]]);
+
+   var height = function(node) {
+      return node ? 1 + Math.max(height(node.left), height(node.right)) : 0;
+   };
+   ok(height(map._tree.root) <= 2 * Math.log(map.size() + 1) / Math.LN2, 'The tree is balanced');
+});
+
+test("navigation", function() {
+   var map = SortedMap(10, 'a', 20, 'b', 30, 'c');
+
+   equal(map.firstKey(), 10);
+   equal(map.lastKey(), 30);
+   equal(map.first().value, 'a');
+   equal(map.last().value, 'c');
+   equal(map.itemAt(1).key, 20);
+   strictEqual(map.itemAt(3), undefined);
+
+   equal(map.floorKey(20), 20);
+   equal(map.floorKey(25), 20);
+   strictEqual(map.floorKey(5), undefined);
+   equal(map.ceilingKey(20), 20);
+   equal(map.ceilingKey(25), 30);
+   strictEqual(map.ceilingKey(35), undefined);
+   equal(map.lowerKey(20), 10);
+   strictEqual(map.lowerKey(10), undefined);
+   equal(map.higherKey(20), 30);
+   strictEqual(map.higherKey(30), undefined);
+
+   var empty = SortedMap();
+   strictEqual(empty.firstKey(), undefined);
+   strictEqual(empty.floorKey(1), undefined);
+});
+
+test("subMap, headMap and tailMap are live views", function() {
+   var map = SortedMap(1, 'a', 3, 'c', 5, 'e', 7, 'g', 9, 'i');
+   var sub = map.subMap(3, 7);
+
+   deepEqual(sortedMapKeys(sub), [3, 5]);
+   equal(sub.size(), 2);
+   equal(sub.firstKey(), 3);
+   equal(sub.lastKey(), 5);
+   strictEqual(sub.get(7), undefined);
+   strictEqual(sub.remove(9), undefined);
+   ok(!sub.containsKey(1));
+   strictEqual(sub.higherKey(5), undefined);
+   equal(sub.lowerKey(100), 5);
+   equal(sub.ceilingKey(0), 3);
+
+   map.put(4, 'd');
+   map.put(8, 'h');
+   deepEqual(sortedMapKeys(sub), [3, 4, 5]);
+
+   sub.put(6, 'f');
+   sub.remove(3);
+   deepEqual(sortedMapKeys(map), [1, 4, 5, 6, 7, 8, 9]);
+   raises(function() {sub.put(7, 'g')}, /out of the range/);
+
+   deepEqual(sortedMapKeys(map.headMap(5)), [1, 4]);
+   deepEqual(sortedMapKeys(map.tailMap(8)), [8, 9]);
+   deepEqual(sortedMapKeys(sub.headMap(100)), [4, 5, 6], 'The bounds of a view are kept');
+   deepEqual(sortedMapKeys(sub.tailMap(5).headMap(6)), [5]);
+
+   sub.removeAll();
+   deepEqual(sortedMapKeys(map), [1, 7, 8, 9]);
+});
+
+test("ordering", function() {
+   var reversed = SortedMap.withOrdering({reverse: true}, 1, 'a', 3, 'c', 2, 'b');
+   deepEqual(sortedMapKeys(reversed), [3, 2, 1]);
+   strictEqual(reversed.floorKey(4), undefined);
+   equal(reversed.ceilingKey(4), 3);
+
+   var ignoreCase = SortedMap.withOrdering({ignoreCase: true}, 'b', 1, 'A', 2);
+   deepEqual(sortedMapKeys(ignoreCase), ['A', 'b']);
+   equal(ignoreCase.get('a'), 2);
+   ignoreCase.put('a', 3);
+   deepEqual(sortedMapKeys(ignoreCase), ['A', 'b'], 'The key of an existing entry is kept');
+
+   var john = {name: 'john'}, alice = {name: 'alice'};
+   var byName = SortedMap.withOrdering({by: 'name'}, john, 1, alice, 2);
+   deepEqual(sortedMapKeys(byName), [alice, john]);
+   equal(byName.get({name: 'john'}), 1);
+
+   var byLength = SortedMap.withOrdering(function(a, b) {return a.length - b.length}, 'ccc', 3, 'a', 1);
+   deepEqual(sortedMapKeys(byLength), ['a', 'ccc']);
+});
+
+test("Iterable methods", function() {
+   var map = SortedMap.withOrdering({reverse: true}, 1, 10, 2, 20, 3, 30, 4, 40);
+
+   var evens = map.filter(function(key, value) {return key % 2 == 0});
+   ok(evens instanceof SortedMap);
+   deepEqual(sortedMapKeys(evens), [4, 2]);
+
+   evens.put(3, 30);
+   deepEqual(sortedMapKeys(evens), [4, 3, 2], 'The ordering is kept');
+
+   deepEqual(sortedMapKeys(map.reverse()), [4, 3, 2, 1], 'The entries are always ordered by key');
+
+   var sum = 0;
+   map.each(function(key, value) {sum += value});
+   equal(sum, 100);
+
+   ok(map.some(function(key, value) {return value == 30}));
+   equal(map.count(function(key) {return key > 1}), 3);
+
+   var list = map.toList();
+   ok(list instanceof List);
+   equal(list.first().key, 4);
+
+   var clone = map.clone();
+   clone.remove(1);
+   equal(map.size(), 4);
+   equal(clone.size(), 3);
+});
+
+test("iterators", function() {
+   var map = SortedMap(2, 'b', 1, 'a');
+
+   deepEqual(iterated(map[iteratorSymbol]()), [[1, 'a'], [2, 'b']]);
+   deepEqual(iterated(map.keysIterator()), [1, 2]);
+   deepEqual(iterated(map.valuesIterator()), ['a', 'b']);
+   deepEqual(iterated(map.entriesIterator()), [[1, 'a'], [2, 'b']]);
+
+   // The engines without getters (IE8 and below) can not define the items property.
+   Object.defineProperty(map, 'items', {value: null});
+   deepEqual(iterated(map.keysIterator()), [1, 2]);
+   deepEqual(iterated(map.entriesIterator()), [[1, 'a'], [2, 'b']]);
+});
+
+test("toString", function() {
+   equal(SortedMap(3, 'c', 1, 'a').toString(), 'SortedMap(1 -> a, 3 -> c)');
+});
+
+test("withMutations, freeze and readOnly", function() {
+   var map = SortedMap(2, 'b', 1, 'a');
+
+   var result = map.withMutations(function(copy) {copy.put(0, 'z')});
+   deepEqual(result.keys().items, [0, 1, 2]);
+   equal(map.size(), 2);
+   raises(function() {result.put(3, 'c')}, /put\(\) cannot be called on a frozen SortedMap/);
+
+   var transient = SortedMap(1, 'a', 2, 'b', 3, 'c').subMap(2, 4).asTransient();
+   transient.put(0, 'z');
+   deepEqual(transient.keys().items, [0, 2, 3], 'the transient of a view is not bound to its range');
+
+   map.freeze();
+   raises(function() {map.remove(1)}, /frozen/);
+   raises(function() {map.subMap(1, 3).remove(1)}, /remove\(\) cannot be called on a frozen SortedMap/);
+   raises(function() {map.headMap(2).tailMap(1).put(1, 'y')}, /frozen/);
+   deepEqual(map.tailMap(2).keys().items, [2]);
+   equal(map.get(1), 'a');
+
+   raises(function() {Collection.readOnly(SortedMap(1, 'a')).put(2, 'b')}, /read-only/);
+
+   var readOnlyMap = Collection.readOnly(SortedMap(1, 'a', 2, 'b'));
+   raises(function() {readOnlyMap.headMap(2).put(0, 'z')}, /put\(\) cannot be called on a read-only SortedMap/);
+   deepEqual(readOnlyMap.tailMap(2).keys().items, [2]);
+   raises(function() {readOnlyMap.tailMap(1).subMap(1, 2).remove(1)}, /read-only/);
+   raises(function() {readOnlyMap.subMap(1, 3).items.push(null)});
+   equal(readOnlyMap.size(), 2);
+});
\ No newline at end of file
@@ -0,0 +1,179 @@
+module("SortedSet");
+
+test("construction", function() {
+   var set = SortedSet(3, 1, 2, 3);
+   deepEqual(set.items, [1, 2, 3]);
+   equal(set.size(), 3);
+
+   deepEqual(SortedSet.fromArray(['b', 'c', 'a']).items, ['a', 'b', 'c']);
+   deepEqual(SortedSet.withOrdering({reverse: true}, 1, 3, 2).items, [3, 2, 1]);
+   deepEqual(SortedSet.withOrdering(function(a, b) {return a.length - b.length}, 'aaa', 'b', 'cc').items, ['b', 'cc', 'aaa']);
+});
+
+test("add, contains, remove", function() {
+   var set = SortedSet();
+   ok(set.isEmpty());
+
+   ok(set.add(5));
+   ok(set.add(1));
+   ok(!set.add(5));
+   ok(set.contains(1));
+   ok(!set.contains(2));
+   deepEqual(set.items, [1, 5]);
+
+   ok(set.remove(1));
+   ok(!set.remove(1));
+   deepEqual(set.items, [5]);
+
+   set.add(3);
+   set.add(8);
+   set.removeIf(function(num) {return num > 4});
+   deepEqual(set.items, [3]);
+
+   set.removeAll();
+   ok(set.isEmpty());
+});
+
+test("items are compared using the ordering", function() {
+   var set = SortedSet.withOrdering({by: 'id'}, {id: 2, name: 'b'}, {id: 1, name: 'a'});
+   ok(set.contains({id: 2}));
+   ok(!set.add({id: 1, name: 'other'}));
+   equal(set.first().name, 'a');
+
+   var names = SortedSet.withOrdering({ignoreCase: true}, 'Bob', 'alice');
+   ok(names.contains('BOB'));
+   deepEqual(names.items, ['alice', 'Bob']);
+});
+
+test("rank and select", function() {
+   var scores = SortedSet(50, 10, 40, 20, 30);
+
+   equal(scores.rank(10), 0);
+   equal(scores.rank(30), 2);
+   equal(scores.rank(35), 3);
+   equal(scores.rank(0), 0);
+   equal(scores.rank(100), 5);
+
+   equal(scores.select(0), 10);
+   equal(scores.select(3), 40);
+   strictEqual(scores.select(5), undefined);
+   strictEqual(scores.select(-1), undefined);
+   equal(scores.itemAt(4), 50);
+   equal(scores.first(), 10);
+   equal(scores.last(), 50);
+
+   var leaderboard = SortedSet.withOrdering({reverse: true}, 50, 10, 40);
+   equal(leaderboard.rank(40), 1);
+   equal(leaderboard.select(0), 50);
+});
+
+test("floor, ceiling, lower and higher", function() {
+   var set = SortedSet(10, 20, 30);
+
+   equal(set.floor(20), 20);
+   equal(set.floor(25), 20);
+   strictEqual(set.floor(5), undefined);
+   equal(set.ceiling(25), 30);
+   strictEqual(set.ceiling(31), undefined);
+   equal(set.lower(20), 10);
+   equal(set.higher(20), 30);
+   strictEqual(set.higher(30), undefined);
+});
+
+test("subSet, headSet and tailSet are live views", function() {
+   var set = SortedSet(1, 3, 5, 7, 9);
+   var sub = set.subSet(3, 8);
+
+   deepEqual(sub.items, [3, 5, 7]);
+   equal(sub.size(), 3);
+   equal(sub.first(), 3);
+   equal(sub.last(), 7);
+   equal(sub.rank(5), 1);
+   equal(sub.rank(1), 0);
+   equal(sub.rank(100), 3);
+   equal(sub.select(2), 7);
+   strictEqual(sub.select(3), undefined);
+   ok(!sub.contains(9));
+   strictEqual(sub.higher(7), undefined);
+
+   set.add(4);
+   deepEqual(sub.items, [3, 4, 5, 7]);
+   sub.remove(3);
+   sub.add(6);
+   deepEqual(set.items, [1, 4, 5, 6, 7, 9]);
+   raises(function() {sub.add(8)}, /out of the range/);
+
+   deepEqual(set.headSet(5).items, [1, 4]);
+   deepEqual(set.tailSet(7).items, [7, 9]);
+   deepEqual(sub.tailSet(0).items, [4, 5, 6, 7]);
+});
+
+test("Iterable methods keep the ordering", function() {
+   var set = SortedSet.withOrdering({reverse: true}, 1, 2, 3, 4);
+
+   var evens = set.filter(function(num) {return num % 2 == 0});
+   ok(evens instanceof SortedSet);
+   deepEqual(evens.items, [4, 2]);
+   evens.add(3);
+   deepEqual(evens.items, [4, 3, 2]);
+
+   deepEqual(set.map(function(num) {return num * 10}).items, [40, 30, 20, 10]);
+   equal(set.count(function(num) {return num > 2}), 2);
+   deepEqual(set.toArray(), [4, 3, 2, 1]);
+
+   var clone = set.clone();
+   clone.remove(1);
+   equal(set.size(), 4);
+});
+
+test("union, intersect, diff", function() {
+   var set = SortedSet(1, 2, 3);
+   deepEqual(set.union(Set(3, 4)).items, [1, 2, 3, 4]);
+   deepEqual(set.intersect(Set(2, 3, 4)).items, [2, 3]);
+   deepEqual(set.diff(SortedSet(2)).items, [1, 3]);
+});
+
+test("iterators", function() {
+   var set = SortedSet(2, 1);
+
+   deepEqual(iterated(set[iteratorSymbol]()), [1, 2]);
+   deepEqual(iterated(set.keysIterator()), [1, 2]);
+   deepEqual(iterated(set.entriesIterator()), [[1, 1], [2, 2]]);
+});
+
+test("toString", function() {
+   equal(SortedSet(2, 1).toString(), 'SortedSet(1, 2)');
+});
+
+test("withMutations, freeze and readOnly", function() {
+   var set = SortedSet(2, 1);
+
+   var result = set.withMutations(function(copy) {copy.add(0)});
+   deepEqual(result.items, [0, 1, 2]);
+   raises(function() {result.add(3)}, /add\(\) cannot be called on a frozen SortedSet/);
+
+   var transient = SortedSet(1, 2, 3).headSet(3).asTransient();
+   transient.add(5);
+   deepEqual(transient.items, [1, 2, 5]);
+
+   set.freeze();
+   raises(function() {set.removeIf(function() {return true})}, /frozen/);
+   deepEqual(set.items, [1, 2]);
+
+   var frozen = SortedSet(1, 2, 3).freeze();
+   raises(function() {frozen.subSet(1, 3).remove(1)}, /remove\(\) cannot be called on a frozen SortedSet/);
+   raises(function() {frozen.headSet(3).tailSet(2).add(2.5)}, /frozen/);
+   deepEqual(frozen.items, [1, 2, 3]);
+
+   raises(function() {Collection.readOnly(SortedSet(1)).add(2)}, /read-only/);
+   raises(function() {Collection.readOnly(SortedSet(1, 2)).tailSet(2).add(3)}, /add\(\) cannot be called on a read-only SortedSet/);
+});
+
+test("set algebra uses the ordering of the receiver", function() {
+   var set = SortedSet.withOrdering({ignoreCase: true}, 'a', 'B', 'c');
+
+   deepEqual(set.symmetricDiff(['b', 'D']).items, ['a', 'c', 'D']);
+   ok(set.isSupersetOf(['A', 'C']));
+   ok(set.equals(Set('A', 'b', 'C')));
+   ok(set.isDisjointFrom(['d']));
+});
\ No newline at end of file
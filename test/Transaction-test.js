@@ -0,0 +1,164 @@
+module("transaction");
+
+test("the modifications are kept when the function succeeds", function() {
+   var list = List(1, 2);
+   var set = Set('a');
+
+   var result = Collection.transaction(function() {
+      list.add(3);
+      set.add('b');
+      return 'done';
+   }, [list, set]);
+
+   equal(result, 'done');
+   deepEqual(list.items, [1, 2, 3]);
+   ok(set.contains('b'));
+
+   list.add(4);
+   deepEqual(list.items, [1, 2, 3, 4], 'the collections are no longer journaled');
+});
+
+test("all collections are rolled back when the function throws", function() {
+   var users = ArrayMap('john', {age: 30}, 'sarah', {age: 25}, 'alice', {age: 40});
+   var names = Set('john', 'sarah', 'alice');
+   var log = List('created');
+   var ages = Map('john', 30);
+
+   raises(function() {
+      Collection.transaction(function() {
+         users.remove('john');
+         users.put('bob', {age: 20});
+         users.put('sarah', {age: 26});
+         names.remove('john');
+         names.add('bob');
+         log.add('john removed');
+         log.update(0, 'updated');
+         ages.removeAll();
+         users.removeIf(function(name, user) {return user.age > 30});
+         throw new Error('validation failed');
+      }, [users, names, log, ages]);
+   }, /validation failed/);
+
+   deepEqual(users.keys().items, ['john', 'sarah', 'alice']);
+   equal(users.get('sarah').age, 25);
+   sameArraysWithoutOrdering(names.toArray(), ['john', 'sarah', 'alice']);
+   deepEqual(log.items, ['created']);
+   equal(ages.get('john'), 30);
+   equal(ages.size(), 1);
+});
+
+test("collections can be listed several times", function() {
+   var list = List(1);
+
+   raises(function() {
+      Collection.transaction(function() {
+         list.add(2);
+         list.add(3);
+         throw new Error();
+      }, [list, list]);
+   });
+
+   deepEqual(list.items, [1]);
+});
+
+test("the rollback goes on when a modification can not be reverted", function() {
+   var list = List(1);
+   var set = Set('a');
+
+   raises(function() {
+      Collection.transaction(function() {
+         list.add(2);
+         set.add('b');
+         set.freeze();
+         throw new Error('validation failed');
+      }, [list, set]);
+   }, /validation failed/, 'the original error is thrown');
+
+   deepEqual(list.items, [1]);
+   ok(set.contains('b'));
+});
+
+test("the records of the reverting modifications tell what they revert", function() {
+   var list = List(1);
+   var records = [];
+   list.observe(function(record) {records.push(record)});
+
+   raises(function() {
+      Collection.transaction(function() {
+         list.add(2);
+         throw new Error();
+      }, [list]);
+   });
+
+   equal(records.length, 2);
+   strictEqual(records[1].reverts, records[0]);
+   ok(!('reverts' in records[0]));
+   list.add(3);
+   ok(!('reverts' in records[2]));
+});
+
+test("nested transactions", function() {
+   var list = List(1);
+
+   Collection.transaction(function() {
+      list.add(2);
+      try {
+         Collection.transaction(function() {
+            list.add(3);
+            throw new Error();
+         }, [list]);
+      }
+      catch (e) {}
+      list.add(4);
+   }, [list]);
+
+   deepEqual(list.items, [1, 2, 4]);
+});
+
+test("only observable collections can be part of a transaction", function() {
+   var called = false;
+   raises(function() {
+      Collection.transaction(function() {called = true}, [List(), PersistentList()]);
+   }, /can not be part of a transaction/);
+   ok(!called);
+});
+
+test("a History observing a collection forgets the modifications that were rolled back", function() {
+   var list = List(1);
+   var map = Map('a', 1);
+   var listHistory = History(list), mapHistory = History(map);
+   var received = [];
+   list.observe(function(record) {received.push(record.type)});
+
+   list.add(2);
+   raises(function() {
+      Collection.transaction(function() {
+         list.add(3);
+         list.update(0, 10);
+         map.put('a', 2);
+         map.put('b', 3);
+         throw new Error();
+      }, [list, map]);
+   });
+
+   deepEqual(list.items, [1, 2]);
+   deepEqual(received, ['splice', 'splice', 'update', 'update', 'splice'], 'The other listeners see the rollback');
+   ok(!mapHistory.canUndo());
+   ok(listHistory.undo());
+   deepEqual(list.items, [1]);
+   ok(!listHistory.canUndo());
+
+   listHistory.transaction('named', function() {
+      list.add(5);
+      try {
+         Collection.transaction(function() {
+            list.add(6);
+            throw new Error();
+         }, [list]);
+      }
+      catch (e) {}
+   });
+   deepEqual(list.items, [1, 5]);
+   ok(listHistory.undo());
+   deepEqual(list.items, [1]);
+});
\ No newline at end of file
@@ -0,0 +1,138 @@
+module("TrieMap");
+
+test("construction", function() {
+   var map = TrieMap('car', 1, 'cat', 2);
+   equal(map.size(), 2);
+   equal(map.get('cat'), 2);
+
+   equal(TrieMap.fromArray([['a', 1]]).get('a'), 1);
+   ok(TrieMap().isEmpty());
+   raises(function() {TrieMap('a')}, /even number/);
+   raises(function() {TrieMap(1, 'one')}, /must be a String/);
+});
+
+test("put, get, remove", function() {
+   var map = TrieMap();
+
+   strictEqual(map.put('tea', 1), undefined);
+   equal(map.put('tea', 2), 1);
+   map.put('te', 3);
+   map.put('', 4);
+   equal(map.size(), 3);
+
+   equal(map.get('tea'), 2);
+   equal(map.get('te'), 3);
+   equal(map.get(''), 4);
+   strictEqual(map.get('t'), undefined, 'A prefix of a key is not a key');
+   strictEqual(map.get('teas'), undefined);
+   ok(map.containsKey('te'));
+   ok(!map.containsKey('t'));
+
+   equal(map.getOrPut('ten', 5), 5);
+   equal(map.getOrPut('ten', 6), 5);
+
+   equal(map.remove('te'), 3);
+   strictEqual(map.remove('te'), undefined);
+   strictEqual(map.remove('t'), undefined);
+   strictEqual(map.remove('tease'), undefined);
+   equal(map.get('tea'), 2, 'The longer keys are kept');
+
+   equal(map.remove('tea'), 2);
+   equal(map.remove('ten'), 5);
+   equal(map._root.childCount, 0, 'The nodes no longer leading to a key are pruned');
+   equal(map.size(), 1);
+
+   map.removeAll();
+   ok(map.isEmpty());
+   strictEqual(map.get(''), undefined);
+});
+
+test("keysWithPrefix", function() {
+   var map = TrieMap('banana', 3, 'band', 1, 'ban', 2, 'apple', 5, 'bandana', 4, 'Band', 6);
+
+   deepEqual(map.keysWithPrefix('ban').items, ['ban', 'banana', 'band', 'bandana']);
+   deepEqual(map.keysWithPrefix('band').items, ['band', 'bandana']);
+   deepEqual(map.keysWithPrefix('x').items, []);
+   deepEqual(map.keysWithPrefix('').items, ['Band', 'apple', 'ban', 'banana', 'band', 'bandana']);
+   ok(map.keysWithPrefix('ban') instanceof List);
+
+   deepEqual(map.keysWithPrefix('ban', {limit: 2}).items, ['ban', 'banana']);
+   deepEqual(map.keysWithPrefix('ban', {valueSorted: {reverse: true}}).items, ['bandana', 'banana', 'ban', 'band']);
+   deepEqual(map.keysWithPrefix('ban', {limit: 2, valueSorted: {}}).items, ['band', 'ban']);
+   deepEqual(map.keysWithPrefix('ban', {limit: 0}).items, []);
+});
+
+test("entriesWithPrefix", function() {
+   var map = TrieMap('ab', 1, 'abc', 2, 'b', 3);
+
+   var entries = map.entriesWithPrefix('ab');
+   ok(entries instanceof ArrayMap);
+   equalEntryArray(entries.items, [['ab', 1], ['abc', 2]]);
+
+   entries.put('ab', 10);
+   equal(map.get('ab'), 1, 'The returned map is a copy');
+});
+
+test("longestPrefixOf", function() {
+   var map = TrieMap('/', 1, '/users', 2, '/users/admin', 3);
+
+   equal(map.longestPrefixOf('/users/admin/edit'), '/users/admin');
+   equal(map.longestPrefixOf('/users/bob'), '/users');
+   equal(map.longestPrefixOf('/user'), '/');
+   strictEqual(map.longestPrefixOf('users'), undefined);
+
+   map.put('', 0);
+   strictEqual(map.longestPrefixOf('users'), '');
+});
+
+test("ignoreCase", function() {
+   var map = TrieMap.withOptions({ignoreCase: true}, 'Paris', 1, 'parma', 2);
+
+   equal(map.get('PARIS'), 1);
+   equal(map.put('paris', 3), 1);
+   equal(map.size(), 2);
+   deepEqual(map.keysWithPrefix('PAR').items, ['Paris', 'parma'], 'The keys are the ones first put');
+   equal(map.longestPrefixOf('PARISIAN'), 'Paris');
+   equal(map.remove('pArIs'), 3);
+
+   var clone = map.clone();
+   ok(clone.containsKey('PARMA'));
+});
+
+test("keys, values, each, iterator and toString", function() {
+   var map = TrieMap('b', 2, 'a', 1, 'c', 3);
+
+   deepEqual(map.keys().items, ['a', 'b', 'c']);
+   deepEqual(map.values().items, [1, 2, 3]);
+
+   var pairs = [];
+   map.each(function(key, value) {pairs.push(key + value)});
+   deepEqual(pairs, ['a1', 'b2', 'c3']);
+
+   deepEqual(iterated(map[iteratorSymbol]()), [['a', 1], ['b', 2], ['c', 3]]);
+   equal(map.toString(), 'TrieMap(a -> 1, b -> 2, c -> 3)');
+
+   var clone = map.clone();
+   clone.remove('a');
+   equal(map.size(), 3);
+});
+
+test("withMutations, freeze and readOnly", function() {
+   var map = TrieMap('a', 1);
+
+   var result = map.withMutations(function(copy) {copy.put('ab', 2)});
+   deepEqual(result.keysWithPrefix('a').items, ['a', 'ab']);
+   ok(!map.containsKey('ab'));
+   raises(function() {result.remove('a')}, /remove\(\) cannot be called on a frozen TrieMap/);
+
+   var transient = TrieMap.withOptions({ignoreCase: true}, 'Apple', 1).asTransient();
+   transient.put('APPLE', 2);
+   equal(transient.get('apple'), 2);
+   strictEqual(transient.persistent(), transient);
+   raises(function() {transient.removeAll()}, /frozen/);
+
+   map.freeze();
+   raises(function() {map.put('b', 2)}, /frozen/);
+
+   raises(function() {Collection.readOnly(TrieMap()).put('a', 1)}, /read-only/);
+});
\ No newline at end of file
@@ -0,0 +1,180 @@
+module("View");
+
+test("operations are only run when the view is forced", function() {
+   var calls = 0;
+   var list = List(1, 2, 3, 4, 5, 6);
+
+   var view = list.view().map(function(num) {calls++; return num * 10;});
+   equal(calls, 0);
+
+   var result = view.force();
+   ok(result instanceof List);
+   deepEqual(result.items, [10, 20, 30, 40, 50, 60]);
+   equal(calls, 6);
+});
+
+test("operations are fused and short-circuited", function() {
+   var mapCalls = 0, filterCalls = 0;
+   var list = range(1000);
+
+   var result = list.view()
+      .filter(function(num) {filterCalls++; return num % 2 == 0;})
+      .map(function(num) {mapCalls++; return num * -1;})
+      .take(3)
+      .toList();
+
+   deepEqual(result.items, [0, -2, -4]);
+   equal(filterCalls, 5);
+   equal(mapCalls, 3);
+});
+
+test("map, filter, take, drop, takeWhile, dropWhile, slice", function() {
+   var list = List(1, 2, 3, 4, 5, 6);
+   var isSmall = function(num) {return num < 4};
+
+   deepEqual(list.view().map(function(num) {
+      return (num % 2) ? Collection.NOT_MAPPED : num;
+   }).toArray(), [2, 4, 6]);
+   deepEqual(list.view().filter(isSmall).toArray(), [1, 2, 3]);
+   deepEqual(list.view().take(2).toArray(), [1, 2]);
+   deepEqual(list.view().take(20).toArray(), [1, 2, 3, 4, 5, 6]);
+   deepEqual(list.view().drop(4).toArray(), [5, 6]);
+   deepEqual(list.view().drop(20).toArray(), []);
+   deepEqual(list.view().takeWhile(isSmall).toArray(), [1, 2, 3]);
+   deepEqual(list.view().dropWhile(isSmall).toArray(), [4, 5, 6]);
+   deepEqual(list.view().slice(1, 4).toArray(), [2, 3, 4]);
+   deepEqual(list.view().slice(2).toArray(), [3, 4, 5, 6]);
+});
+
+test("terminal operations", function() {
+   var list = List(1, 2, 3, 4, 5, 6);
+   var seen = [];
+   var view = list.view().filter(function(num) {return num > 2});
+
+   view.each(function(num, index) {seen.push([num, index])});
+   deepEqual(seen, [[3, 0], [4, 1], [5, 2], [6, 3]]);
+
+   equal(view.count(function(num) {return num % 2 == 0}), 2);
+   equal(view.find(function(num) {return num > 4}), 5);
+   equal(view.find(function(num) {return num > 40}), undefined);
+   ok(view.some(function(num) {return num == 3}));
+   ok(!view.some(function(num) {return num == 1}));
+   ok(view.every(function(num) {return num > 2}));
+   ok(!view.every(function(num) {return num > 3}));
+   equal(view.fold(0, function(num, acc) {return acc + num}), 18);
+   equal(view.first(), 3);
+   equal(view.filter(function() {return false}).first(), undefined);
+});
+
+test("a view can be forced several times and reflects the latest items", function() {
+   var list = List(1, 2, 3);
+   var view = list.view().map(function(num) {return num * 2});
+
+   deepEqual(view.toArray(), [2, 4, 6]);
+   deepEqual(view.toArray(), [2, 4, 6]);
+
+   list.add(4);
+   deepEqual(view.toArray(), [2, 4, 6, 8]);
+});
+
+test("Array view", function() {
+   var result = Seq([1, 2, 3, 4]).view().filter(function(num) {return num > 2}).force();
+   deepEqual(result, [3, 4]);
+});
+
+test("ArrayMap view", function() {
+   function personEmail(person) {return person.email};
+   var map = ArrayMap.withKey(personEmail,
+      {email: 'a'}, 1,
+      {email: 'b'}, 2,
+      {email: 'c'}, 3);
+
+   var result = map.view()
+      .filter(function(key, value) {return value > 1})
+      .map(function(key, value) {return [key, value * 10]})
+      .filter(function(key, value) {return value < 30})
+      .force();
+
+   ok(result instanceof ArrayMap);
+   equalEntryArray(result.items, [[map.items[1].key, 20]]);
+   equal(result.get({email: 'b'}), 20, 'the withKey setting is kept');
+});
+
+test("iteration runs the operations lazily", function() {
+   var calls = 0;
+   var iterator = range(1000).view().map(function(num) {calls++; return num * 2})[iteratorSymbol]();
+
+   deepEqual(iterator.next(), {value: 0, done: false});
+   deepEqual(iterator.next(), {value: 2, done: false});
+   equal(calls, 2);
+
+   deepEqual(iterated(List(1, 2).view()[iteratorSymbol]()), [1, 2]);
+});
+
+test("ArrayMap values that are pairs are not taken for mapped tuples", function() {
+   var map = ArrayMap('a', [1, 2], 'b', [3, 4]);
+
+   deepEqual(map.view().filter(function(key, value) {return key == 'b'}).force().get('b'), [3, 4]);
+   deepEqual(map.view()
+      .map(function(key, value) {return [key, value[0]]})
+      .filter(function(key, value) {return value > 1})
+      .toArray(), [['b', 3]]);
+   deepEqual(map.view().pluck('value').filter(function(value) {return value[0] > 1}).toArray(), [[3, 4]]);
+   ok(map.view().pluck('key').force() instanceof List);
+});
+
+test("slice with negative indices, takeRight, dropRight, reverse, sorted", function() {
+   var list = List(1, 2, 3, 4, 5, 6);
+   var calls = 0;
+   var view = list.view().map(function(num) {calls++; return num});
+
+   deepEqual(List(1, 2, 3).view().slice(-2).toArray(), [2, 3]);
+   deepEqual(view.slice(1, -2).toArray(), [2, 3, 4]);
+   deepEqual(view.slice(-4, -1).toArray(), [3, 4, 5]);
+   deepEqual(view.slice(-20).toArray(), [1, 2, 3, 4, 5, 6]);
+   deepEqual(view.takeRight(2).toArray(), [5, 6]);
+   deepEqual(view.takeRight(20).toArray(), [1, 2, 3, 4, 5, 6]);
+   deepEqual(view.dropRight(2).toArray(), [1, 2, 3, 4]);
+   deepEqual(view.dropRight(20).toArray(), []);
+   deepEqual(view.reverse().take(2).toArray(), [6, 5]);
+   deepEqual(List(3, 1, 2).view().sorted().toArray(), [1, 2, 3]);
+   deepEqual(List('b', 'C', 'a').view().sorted({ignoreCase: true, reverse: true}).toArray(), ['C', 'b', 'a']);
+
+   calls = 0;
+   var reversed = view.reverse();
+   equal(calls, 0, 'The items are only buffered when the view is forced');
+   ok(reversed.force() instanceof List);
+   equal(calls, 6);
+   list.add(7);
+   deepEqual(reversed.toArray(), [7, 6, 5, 4, 3, 2, 1], 'The buffer is not kept between two traversals');
+   deepEqual(list.items, [1, 2, 3, 4, 5, 6, 7]);
+});
+
+test("pluck, findBy, size, isEmpty, groupBy, grouped, partition, mkString", function() {
+   var people = List({name: 'sarah', age: 31}, {name: 'pedro', age: 24}, {name: 'john', age: 31});
+   var view = people.view();
+   var isEven = function(num) {return num % 2 == 0};
+
+   deepEqual(view.pluck('name').toArray(), ['sarah', 'pedro', 'john']);
+   equal(view.findBy('age', 31), people.items[0]);
+   equal(view.findBy('age', 50), undefined);
+
+   equal(view.filter(function(person) {return person.age > 30}).size(), 2);
+   ok(!view.isEmpty());
+   ok(view.filter(function(person) {return person.age > 40}).isEmpty());
+
+   var groups = view.groupBy(function(person) {return person.age});
+   equal(groups.size(), 2);
+   deepEqual(groups.get(31).items, [people.items[0], people.items[2]]);
+
+   var grouped = range(1, 5).view().grouped(2);
+   equal(grouped.size(), 3);
+   ok(grouped.first() instanceof List);
+   deepEqual(grouped.pluck('items').items, [[1, 2], [3, 4], [5]]);
+
+   var partition = range(1, 5).view().partition(isEven);
+   deepEqual(partition[0].items, [2, 4]);
+   deepEqual(partition[1].items, [1, 3, 5]);
+
+   equal(range(1, 3).view().map(function(num) {return num * 2}).mkString('[', ', ', ']'), '[2, 4, 6]');
+});
\ No newline at end of file
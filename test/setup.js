@@ -3,9 +3,29 @@ getId = Collection.getId;
 Iterable = Collection.Iterable;
 Sequence = Seq = Collection.Sequence;
 List = Collection.List;
+PersistentList = Collection.PersistentList;
+LiveList = Collection.LiveList;
 Map = Collection.Map;
+PersistentMap = Collection.PersistentMap;
 Set = Collection.Set;
 ArrayMap = Collection.ArrayMap;
+SortedMap = Collection.SortedMap;
+SortedSet = Collection.SortedSet;
+MultiMap = Collection.MultiMap;
+ArrayMultiMap = Collection.ArrayMultiMap;
+MultiSet = Collection.MultiSet;
+BiMap = Collection.BiMap;
+CacheMap = Collection.CacheMap;
+Deque = Collection.Deque;
+Queue = Collection.Queue;
+Stack = Collection.Stack;
+PriorityQueue = Collection.PriorityQueue;
+LinkedList = Collection.LinkedList;
+LinkedMap = Collection.LinkedMap;
+TrieMap = Collection.TrieMap;
+IntervalTree = Collection.IntervalTree;
+RangeSet = Collection.RangeSet;
+History = Collection.History;
 range = Collection.range;
 
 
@@ -36,6 +56,14 @@ var equalEntryArray = function(mapEntries, expectedEntries) {
    ok(true);
 };
 
+var iteratorSymbol = (typeof Symbol === 'function' && Symbol.iterator) || '@@iterator';
+
+function iterated(iterator) {
+   var result = [], current;
+   while (!(current = iterator.next()).done) result.push(current.value);
+   return result;
+};
+
 function indexOf(array, item) {
    for (var i = 0, length = array.length; i < length; i++) {
       if (array[i] === item) return i;
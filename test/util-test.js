@@ -30,4 +30,75 @@ test("getId - objects", function() {
    equal(getId(null), 'object-null');
    equal(getId(null), 'object-null');
    equal(getId(undefined), 'undefined-undefined');
+});
+
+test("readOnly", function() {
+   var list = List(1, 2, 3);
+   var view = Collection.readOnly(list);
+
+   raises(function() {view.add(4)}, /add\(\) cannot be called on a read-only List/);
+   raises(function() {view.removeIf(function() {return true})});
+   ok(view instanceof List);
+   deepEqual(view.map(function(num) {return num * 2}).items, [2, 4, 6]);
+   equal(view.toString(), 'List(1, 2, 3)');
+
+   list.add(4);
+   equal(view.size(), 4, 'the view reflects the changes made to the collection');
+   equal(view.last(), 4);
+   deepEqual(list.items, [1, 2, 3, 4]);
+
+   var set = Set(1, 2);
+   var readOnlySet = Collection.readOnly(set);
+   raises(function() {readOnlySet.add(3)}, /add\(\) cannot be called on a read-only Set/);
+   set.add(3);
+   ok(readOnlySet.contains(3));
+
+   var map = ArrayMap(1, 10);
+   var readOnlyMap = Collection.readOnly(map);
+   raises(function() {readOnlyMap.put(2, 20)}, /put\(\) cannot be called on a read-only ArrayMap/);
+   raises(function() {readOnlyMap.getOrPut(2, 20)});
+   raises(function() {Collection.readOnly(Map()).remove(1)});
+   map.put(2, 20);
+   equal(readOnlyMap.get(2), 20);
+   equal(readOnlyMap.filter(function(key, value) {return value > 10}).size(), 1);
+
+   var persistentList = PersistentList(1, 2);
+   strictEqual(Collection.readOnly(persistentList), persistentList);
+
+   raises(function() {Collection.readOnly(Seq([1, 2]))}, /cannot be made read-only/);
+});
+
+test("readOnly items", function() {
+   var list = List(1, 2, 3);
+   var view = Collection.readOnly(list);
+
+   raises(function() {view.items.push(4)});
+   deepEqual(list.items, [1, 2, 3], 'the items of the view are a copy');
+   ok(Object.isFrozen(view.items));
+
+   list.add(4);
+   list.update(0, 10);
+   deepEqual(view.items, [10, 2, 3, 4]);
+   list.removeAt(1);
+   list.addAt(2, 0);
+   deepEqual(view.items, [2, 10, 3, 4]);
+   strictEqual(view.items, view.items, 'the copy is reused until the list is modified');
+   strictEqual(list._observers, null, 'the view does not register any listener');
+   deepEqual(view.filter(function(num) {return num < 5}).items, [2, 3, 4]);
+
+   var set = Set(1, 2);
+   var readOnlySet = Collection.readOnly(set);
+   raises(function() {readOnlySet.items.push(3)});
+   equal(set.size(), 2);
+   set.removeAll();
+   deepEqual(readOnlySet.items, []);
+
+   var map = ArrayMap('a', 1);
+   var readOnlyMap = Collection.readOnly(map);
+   readOnlyMap.items[0].value = 5;
+   equal(map.get('a'), 1, 'the entries of the view are copies');
+   ok(Object.isFrozen(readOnlyMap.items[0]));
+   map.put('a', 2);
+   equal(readOnlyMap.items[0].value, 2);
+   deepEqual(readOnlyMap.values().items, [2]);
 });
\ No newline at end of file